@@ -0,0 +1,127 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Currículo de certificação - desbloqueio de cenários por nível
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Notas da melhor para a pior (mesma escala do HUD)
+const GRADE_ORDER = ["S", "A", "B", "C", "D", "F"];
+
+// Cada nível exige `passes` cenários aprovados no nível anterior
+// com nota mínima `minGrade` (limitado ao total de cenários daquele nível)
+const CURRICULUM_TIERS = [
+  { level: 1, label: "FÁCIL", passes: 0, minGrade: null },
+  { level: 2, label: "MÉDIO", passes: 1, minGrade: "C" },
+  { level: 3, label: "DIFÍCIL", passes: 2, minGrade: "C" },
+  { level: 4, label: "EXPERT", passes: 2, minGrade: "B" },
+  { level: 5, label: "LENDÁRIO", passes: 2, minGrade: "B" },
+];
+
+/**
+ * true se `grade` é igual ou melhor que `minGrade`
+ */
+function meetsGrade(grade, minGrade) {
+  if (!minGrade) return true;
+  const index = GRADE_ORDER.indexOf(grade);
+  return index !== -1 && index <= GRADE_ORDER.indexOf(minGrade);
+}
+
+/**
+ * Calcula o progresso de um aluno no currículo
+ * @param {Array<{id, name, difficulty: number}>} scenarios - Resumos dos cenários
+ * @param {object[]} sessions - Sessões do aluno
+ * @returns {{ currentLevel: number, tiers: object[], scenarios: object }}
+ */
+function computeProgress(scenarios, sessions) {
+  // Melhor resultado por cenário
+  const results = {};
+  for (const scenario of scenarios) {
+    results[scenario.id] = {
+      level: scenario.difficulty,
+      attempts: 0,
+      completions: 0,
+      bestScore: null,
+      bestGrade: null,
+    };
+  }
+
+  for (const session of sessions) {
+    const result = results[session.scenarioId];
+    if (!result) continue;
+
+    result.attempts++;
+    if (session.outcome !== "completed") continue;
+
+    result.completions++;
+    if (result.bestScore === null || session.score > result.bestScore) {
+      result.bestScore = session.score;
+    }
+    if (
+      result.bestGrade === null ||
+      GRADE_ORDER.indexOf(session.grade) < GRADE_ORDER.indexOf(result.bestGrade)
+    ) {
+      result.bestGrade = session.grade;
+    }
+  }
+
+  const tiers = [];
+  let currentLevel = 1;
+
+  for (const tier of CURRICULUM_TIERS) {
+    const tierScenarios = scenarios.filter((s) => s.difficulty === tier.level);
+    const previous = tiers[tiers.length - 1];
+
+    // Aprovação no nível anterior com a nota exigida por ESTE nível
+    let unlocked = true;
+    let requirement = null;
+    if (previous) {
+      const previousIds = scenarios
+        .filter((s) => s.difficulty === previous.level)
+        .map((s) => s.id);
+      const passed = previousIds.filter(
+        (id) =>
+          results[id].bestGrade !== null &&
+          meetsGrade(results[id].bestGrade, tier.minGrade),
+      ).length;
+      const required = Math.min(tier.passes, previousIds.length);
+
+      requirement = {
+        level: previous.level,
+        label: previous.label,
+        passes: required,
+        minGrade: tier.minGrade,
+        passed: Math.min(passed, required),
+      };
+      unlocked = previous.unlocked && passed >= required;
+    }
+
+    if (unlocked) currentLevel = tier.level;
+
+    tiers.push({
+      level: tier.level,
+      label: tier.label,
+      unlocked,
+      requirement,
+      total: tierScenarios.length,
+      completed: tierScenarios.filter((s) => results[s.id].completions > 0)
+        .length,
+    });
+  }
+
+  const scenarioProgress = {};
+  for (const scenario of scenarios) {
+    const tier = tiers.find((t) => t.level === scenario.difficulty);
+    scenarioProgress[scenario.id] = {
+      ...results[scenario.id],
+      unlocked: tier ? tier.unlocked : false,
+    };
+  }
+
+  return { currentLevel, tiers, scenarios: scenarioProgress };
+}
+
+module.exports = {
+  GRADE_ORDER,
+  CURRICULUM_TIERS,
+  meetsGrade,
+  computeProgress,
+};
@@ -0,0 +1,131 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Utilitários HTTP para a API REST
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Tamanho máximo do corpo das requisições (1 MB)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Erro com código HTTP associado (tratado pelo roteador da API)
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Envia uma resposta JSON no formato padrão da API
+ * @param {http.ServerResponse} res
+ * @param {number} status - Código HTTP
+ * @param {object} body - Corpo da resposta
+ */
+function sendJSON(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(payload);
+}
+
+/**
+ * Responde a requisições CORS de preflight (OPTIONS)
+ */
+function sendPreflight(res) {
+  res.writeHead(204, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Max-Age": "86400",
+  });
+  res.end();
+}
+
+/**
+ * Resposta de sucesso: { success: true, data, ...extra }
+ */
+function sendSuccess(res, data, extra = {}, status = 200) {
+  sendJSON(res, status, { success: true, data, ...extra });
+}
+
+/**
+ * Resposta de erro: { success: false, error }
+ */
+function sendError(res, status, message, extra = {}) {
+  sendJSON(res, status, { success: false, error: message, ...extra });
+}
+
+/**
+ * Separa a URL da requisição em segmentos e parâmetros de query
+ * @param {http.IncomingMessage} req
+ * @returns {{ pathname: string, segments: string[], query: URLSearchParams }}
+ * @throws {HttpError} 400 se algum segmento tiver codificação inválida
+ */
+function parseRequestUrl(req) {
+  const url = new URL(req.url, "http://localhost");
+  const segments = url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (err) {
+        throw new HttpError(400, `Caminho inválido: ${segment}`);
+      }
+    });
+  return { pathname: url.pathname, segments, query: url.searchParams };
+}
+
+/**
+ * Lê e interpreta o corpo JSON de uma requisição
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, "Corpo da requisição muito grande"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw.trim()) {
+        reject(new HttpError(400, "Corpo da requisição vazio"));
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (err) {
+        reject(new HttpError(400, "JSON inválido"));
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+module.exports = {
+  HttpError,
+  readJSONBody,
+  sendPreflight,
+  sendJSON,
+  sendSuccess,
+  sendError,
+  parseRequestUrl,
+};
@@ -0,0 +1,83 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Roteador da API REST (/api/v1)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const {
+  sendError,
+  sendPreflight,
+  parseRequestUrl,
+} = require("./http-utils");
+const { ScenariosAPI, loadScenarioModule } = require("./scenarios");
+const { SessionsAPI } = require("./sessions");
+const { LeaderboardsAPI } = require("./leaderboards");
+const { TraineesAPI } = require("./trainees");
+
+const API_PREFIX = "/api/";
+
+/**
+ * Cria o roteador da API carregando os módulos necessários
+ * @returns {Promise<(req, res) => boolean>} Função que trata requisições /api/*
+ */
+async function createAPIRouter() {
+  const scenarioModule = await loadScenarioModule();
+
+  const scenarios = new ScenariosAPI(scenarioModule);
+  await scenarios.loadCustomScenarios();
+
+  const trainees = new TraineesAPI(scenarios);
+  await trainees.load();
+
+  const sessions = new SessionsAPI(scenarios, trainees);
+  await sessions.load();
+
+  // O progresso dos alunos é calculado a partir das sessões
+  trainees.sessions = sessions;
+
+  // Recursos disponíveis em /api/v1/<recurso>
+  const resources = {
+    scenarios,
+    sessions,
+    trainees,
+    leaderboards: new LeaderboardsAPI(sessions, scenarios),
+  };
+
+  return function handleAPIRequest(req, res) {
+    if (!req.url.startsWith(API_PREFIX)) return false;
+
+    if (req.method === "OPTIONS") {
+      sendPreflight(res);
+      return true;
+    }
+
+    // Handlers podem ser síncronos ou assíncronos; a URL é interpretada
+    // dentro da cadeia para que um caminho malformado vire 400
+    Promise.resolve()
+      .then(() => {
+        const { segments, query } = parseRequestUrl(req);
+        const [, version, resourceName, ...rest] = segments;
+        const resource =
+          version === "v1" &&
+          Object.prototype.hasOwnProperty.call(resources, resourceName)
+            ? resources[resourceName]
+            : null;
+        return resource ? resource.handle(req, res, rest, query) : false;
+      })
+      .then((handled) => {
+        if (!handled) {
+          sendError(res, 404, `Rota não encontrada: ${req.method} ${req.url}`);
+        }
+      })
+      .catch((err) => {
+        if (!err.status) console.error("❌ Erro na API:", err);
+        if (!res.headersSent) {
+          sendError(res, err.status || 500, err.message || "Erro interno", {
+            ...(err.details ? { details: err.details } : {}),
+          });
+        }
+      });
+    return true;
+  };
+}
+
+module.exports = { createAPIRouter };
@@ -0,0 +1,151 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// API de Rankings - /api/v1/leaderboards
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { sendSuccess, sendError } = require("./http-utils");
+const { parseLimit } = require("./sessions");
+
+/**
+ * Pontuação do ranking: nota final com bônus e penalidades (gradedScore);
+ * sessões gravadas antes da nota final usam o score dos objetivos
+ */
+function rankingScore(session) {
+  return session.gradedScore !== undefined
+    ? session.gradedScore
+    : session.score;
+}
+
+/**
+ * Sessão jogada na versão atual do cenário (config.version, padrão 1).
+ * Um cenário reescrito com o mesmo ID não mistura notas do conteúdo antigo.
+ */
+function isCurrentVersion(session, scenario) {
+  return (
+    (session.scenarioVersion || 1) === ((scenario && scenario.version) || 1)
+  );
+}
+
+/**
+ * Ordem do ranking: maior nota final, depois menor tempo, depois menor dano
+ */
+function compareSessions(a, b) {
+  return (
+    rankingScore(b) - rankingScore(a) ||
+    a.sessionTime - b.sessionTime ||
+    a.damage - b.damage ||
+    a.createdAt.localeCompare(b.createdAt)
+  );
+}
+
+class LeaderboardsAPI {
+  /**
+   * @param {SessionsAPI} sessions
+   * @param {ScenariosAPI} scenarios
+   */
+  constructor(sessions, scenarios) {
+    this.sessions = sessions;
+    this.scenarios = scenarios;
+  }
+
+  /**
+   * Ranking de um cenário
+   * @param {object} options
+   * @param {string} [options.outcome] - "completed" ou "failed"
+   * @param {number} [options.seed] - Só sessões com a mesma semente (disputa justa)
+   * @param {boolean} [options.best] - Manter só a melhor sessão de cada aluno
+   * @param {number} [options.limit]
+   */
+  getLeaderboard(scenarioId, { outcome, seed, best = false, limit = 10 } = {}) {
+    const scenario = this.scenarios.get(scenarioId);
+    let ranked = this.sessions
+      .query({ scenarioId, outcome, seed })
+      .filter((session) => isCurrentVersion(session, scenario))
+      .sort(compareSessions);
+
+    // Sessões sem aluno identificado contam individualmente
+    if (best) {
+      const seen = new Set();
+      ranked = ranked.filter((session) => {
+        if (!session.traineeId) return true;
+        if (seen.has(session.traineeId)) return false;
+        seen.add(session.traineeId);
+        return true;
+      });
+    }
+
+    return ranked.slice(0, limit).map((session, index) => ({
+      rank: index + 1,
+      ...session,
+      gradedScore: rankingScore(session),
+    }));
+  }
+
+  /**
+   * Resumo de todos os cenários que possuem sessões registradas
+   */
+  getSummary() {
+    const scenarios = this.scenarios.getAll();
+    const byScenario = new Map();
+
+    for (const session of this.sessions.query()) {
+      if (!isCurrentVersion(session, scenarios[session.scenarioId])) continue;
+      if (!byScenario.has(session.scenarioId)) {
+        byScenario.set(session.scenarioId, []);
+      }
+      byScenario.get(session.scenarioId).push(session);
+    }
+
+    return [...byScenario.entries()].map(([scenarioId, sessions]) => {
+      const scores = sessions.map(rankingScore);
+      return {
+        scenarioId,
+        scenarioName: scenarios[scenarioId]
+          ? scenarios[scenarioId].name
+          : scenarioId,
+        sessions: sessions.length,
+        completed: sessions.filter((s) => s.outcome === "completed").length,
+        bestScore: Math.max(...scores),
+        averageScore: Math.round(
+          scores.reduce((sum, score) => sum + score, 0) / scores.length,
+        ),
+      };
+    });
+  }
+
+  /**
+   * Trata requisições em /api/v1/leaderboards
+   */
+  handle(req, res, segments, query) {
+    if (req.method !== "GET") return false;
+
+    // GET /api/v1/leaderboards
+    if (segments.length === 0) {
+      const data = this.getSummary();
+      sendSuccess(res, data, { count: data.length });
+      return true;
+    }
+
+    // GET /api/v1/leaderboards/:scenarioId?limit=&outcome=&seed=&best=true
+    if (segments.length === 1) {
+      const scenarioId = segments[0];
+      if (!this.scenarios.get(scenarioId)) {
+        sendError(res, 404, `Cenário não encontrado: ${scenarioId}`);
+        return true;
+      }
+
+      const data = this.getLeaderboard(scenarioId, {
+        outcome: query.get("outcome"),
+        seed: query.get("seed"),
+        best: query.get("best") === "true",
+        limit: parseLimit(query.get("limit"), 10, 100),
+      });
+      sendSuccess(res, data, { scenarioId, count: data.length });
+      return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = { LeaderboardsAPI };
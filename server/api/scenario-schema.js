@@ -0,0 +1,482 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Schema de validação de cenários personalizados
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { validateNode } = require("./schema");
+
+const DIFFICULTIES = ["easy", "medium", "hard", "expert", "legendary"];
+const CATEGORIES = ["inspection", "skill", "emergency", "training"];
+const ENVIRONMENT_TYPES = [
+  "training",
+  "tank",
+  "jacket",
+  "manifold",
+  "pipeline",
+  "hull",
+  "wellhead",
+  "umbilical",
+  "subsea_equipment",
+  "debris",
+  "open_water",
+];
+const OBJECTIVE_TYPES = [
+  "auto",
+  "distance",
+  "trim",
+  "hold",
+  "avoid",
+  "photo",
+];
+const WINCH_MODES = ["auto", "manual"];
+const STRUCTURE_TYPES = ["pillar"];
+const FAULT_TYPES = ["overheat", "corrosion", "leak", "thruster"];
+
+// IDs válidos: minúsculas, números e "_" (ex: "meu_cenario_1")
+const SCENARIO_ID_PATTERN = /^[a-z0-9_]{3,64}$/;
+
+const VECTOR_SCHEMA = {
+  type: "object",
+  properties: {
+    x: { type: "number", required: true },
+    y: { type: "number", required: true },
+    z: { type: "number", required: true },
+  },
+};
+
+const OBJECTIVE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string", required: true, minLength: 1 },
+    name: { type: "string", required: true, minLength: 1 },
+    desc: { type: "string", required: true },
+    points: { type: "number", required: true, min: 0 },
+    type: { type: "string", required: true, enum: OBJECTIVE_TYPES },
+    target: VECTOR_SCHEMA,
+    radius: { type: "number", min: 0.5 },
+    // "trim": segundos neutro (dentro do raio, se houver alvo)
+    // "hold": segundos parado sobre o alvo
+    duration: { type: "number", min: 0 },
+    // "hold": rumo exigido (graus) e tolerância, velocidade máxima (m/s)
+    heading: { type: "number", min: 0, max: 360 },
+    headingTolerance: { type: "number", min: 1, max: 180 },
+    maxSpeed: { type: "number", min: 0.05 },
+    // "photo": face documentada (vetor) e tolerância do ângulo (graus)
+    normal: VECTOR_SCHEMA,
+    facingTolerance: { type: "number", min: 1, max: 180 },
+    // Só conclui com o veículo trimado (flutuabilidade neutra)
+    requireNeutral: { type: "boolean" },
+    // Grafo: pré-requisitos, bônus e caminhos alternativos (mesmo grupo)
+    requires: { type: "array", items: { type: "string", minLength: 1 } },
+    optional: { type: "boolean" },
+    exclusive: { type: "string", minLength: 1 },
+    // "avoid": fica proibida até estes objetivos terminarem
+    until: { type: "array", items: { type: "string", minLength: 1 } },
+    failureReason: { type: "string", minLength: 1, maxLength: 120 },
+  },
+};
+
+// Umbilical: origem (navio/TMS), cabo disponível e lançado, modo do guincho
+const TETHER_SCHEMA = {
+  type: "object",
+  properties: {
+    origin: VECTOR_SCHEMA,
+    maxLength: { type: "number", min: 5 },
+    deployed: { type: "number", min: 5 },
+    winch: { type: "string", enum: WINCH_MODES },
+  },
+};
+
+// Estruturas geradas no cenário (position = base do pilar)
+const STRUCTURE_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", required: true, enum: STRUCTURE_TYPES },
+    position: { ...VECTOR_SCHEMA, required: true },
+    radius: { type: "number", required: true, min: 0.1 },
+    height: { type: "number", required: true, min: 0.1 },
+  },
+};
+
+// Lastro variável: nível inicial do tanque (0-1) e carga extra (kg)
+const BALLAST_SCHEMA = {
+  type: "object",
+  properties: {
+    fill: { type: "number", min: 0, max: 1 },
+    payload: { type: "number" },
+  },
+};
+
+// Bateria: carga inicial (0-1) e se esgotar falha a missão
+const POWER_SCHEMA = {
+  type: "object",
+  properties: {
+    charge: { type: "number", min: 0, max: 1 },
+    failOnDepleted: { type: "boolean" },
+  },
+};
+
+// Temperatura da água (src/js/core/thermal-model.js)
+const WATER_TEMPERATURE_SCHEMA = {
+  type: "object",
+  properties: {
+    surface: { type: "number" },
+    deep: { type: "number" },
+    mixedLayer: { type: "number", min: 0 },
+    thermocline: { type: "number", min: 1 },
+    seabedHeat: { type: "number" },
+    seabedLayer: { type: "number", min: 1 },
+  },
+};
+
+// Pesos da nota (src/js/core/grading.js): bônus e penalidades em % da
+// pontuação máxima; 0 desliga o critério
+const GRADING_SCHEMA = {
+  type: "object",
+  properties: {
+    parTime: { type: "number", min: 1 },
+    timeBonus: { type: "number", min: 0, max: 100 },
+    collision: { type: "number", min: 0, max: 100 },
+    damage: { type: "number", min: 0, max: 1 },
+    speedLimit: { type: "number", min: 0.1 },
+    speedDistance: { type: "number", min: 0 },
+    overspeed: { type: "number", min: 0, max: 100 },
+    surfacing: { type: "number", min: 0, max: 100 },
+    seabed: { type: "number", min: 0, max: 100 },
+    seabedImpactSpeed: { type: "number", min: 0 },
+  },
+};
+
+// Condições de falha (src/js/core/mission-rules.js)
+const RULES_SCHEMA = {
+  type: "object",
+  properties: {
+    timeLimit: { type: "number", min: 1 }, // s
+    maxDamage: { type: "number", min: 1, max: 100 },
+    minAltitude: { type: "number", min: 0 },
+    noSurfacing: { type: "boolean" },
+    forbiddenZones: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string", required: true, minLength: 1 },
+          position: { ...VECTOR_SCHEMA, required: true },
+          radius: { type: "number", required: true, min: 0.5 },
+          reason: { type: "string", maxLength: 200 },
+        },
+      },
+    },
+  },
+};
+
+// Falhas aleatórias (src/js/core/fault-system.js)
+const FAULTS_SCHEMA = {
+  type: "object",
+  properties: {
+    enabled: { type: "boolean" },
+    types: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: FAULT_TYPES },
+    },
+    interval: {
+      type: "array",
+      minItems: 2,
+      items: { type: "number", min: 1 },
+    },
+    maintenanceZone: {
+      ...VECTOR_SCHEMA,
+      properties: {
+        ...VECTOR_SCHEMA.properties,
+        radius: { type: "number", min: 1 },
+      },
+    },
+  },
+};
+
+// Campo de correntes (src/js/core/current-field.js)
+const CURRENT_FIELD_SCHEMA = {
+  type: "object",
+  properties: {
+    layers: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          depth: { type: "number", required: true, min: 0 },
+          x: { type: "number" },
+          z: { type: "number" },
+        },
+      },
+    },
+    tide: {
+      type: "object",
+      properties: {
+        amplitude: { type: "number", min: 0 },
+        period: { type: "number", min: 1 },
+        phase: { type: "number" },
+      },
+    },
+    gusts: {
+      type: "object",
+      properties: {
+        interval: { type: "number", min: 1 },
+        duration: { type: "number", min: 0.1 },
+        strength: { type: "number", min: 0 },
+        spread: { type: "number", min: 0 },
+      },
+    },
+    turbulence: {
+      type: "object",
+      properties: {
+        intensity: { type: "number", min: 0 },
+        scale: { type: "number", min: 0.1 },
+      },
+    },
+    wakes: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        length: { type: "number", min: 0 },
+        shelter: { type: "number", min: 0, max: 1 },
+        turbulence: { type: "number", min: 0 },
+      },
+    },
+  },
+};
+
+const SCENARIO_SCHEMA = {
+  type: "object",
+  properties: {
+    // Revisão do conteúdo (padrão 1): sessões de outra versão saem dos
+    // rankings
+    version: { type: "number", min: 1 },
+    name: { type: "string", required: true, minLength: 1 },
+    description: { type: "string" },
+    difficulty: { type: "string", required: true, enum: DIFFICULTIES },
+    category: { type: "string", required: true, enum: CATEGORIES },
+    startX: { type: "number", required: true },
+    startY: { type: "number", required: true, max: 0 },
+    startZ: { type: "number", required: true },
+    seabedDepth: { type: "number", required: true, min: 1 },
+    visibility: { type: "number", required: true, min: 0.5 },
+    currentX: { type: "number" },
+    currentY: { type: "number" },
+    currentField: CURRENT_FIELD_SCHEMA,
+    environmentType: { type: "string", enum: ENVIRONMENT_TYPES },
+    modelPath: { type: "string", pattern: /^\/models\/[\w\-./]+\.(glb|gltf)$/ },
+    modelPosition: VECTOR_SCHEMA,
+    modelScale: { type: "number", min: 0.01 },
+    tether: TETHER_SCHEMA,
+    ballast: BALLAST_SCHEMA,
+    power: POWER_SCHEMA,
+    waterTemperature: WATER_TEMPERATURE_SCHEMA,
+    faults: FAULTS_SCHEMA,
+    grading: GRADING_SCHEMA,
+    rules: RULES_SCHEMA,
+    structures: { type: "array", items: STRUCTURE_SCHEMA },
+    objectives: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      items: OBJECTIVE_SCHEMA,
+    },
+  },
+};
+
+/**
+ * Regras que já começariam quebradas ou que impedem algum objetivo
+ */
+function validateRules(config, errors) {
+  const { rules, seabedDepth, objectives } = config;
+  const start = { x: config.startX, y: config.startY, z: config.startZ };
+  const targets = (Array.isArray(objectives) ? objectives : [])
+    .map((obj, index) => ({ obj, index }))
+    .filter(({ obj }) => obj && obj.target && obj.type !== "avoid");
+
+  if (typeof rules.minAltitude === "number") {
+    if (seabedDepth + start.y < rules.minAltitude) {
+      errors.push("rules.minAltitude: posição inicial abaixo do limite");
+    }
+    targets.forEach(({ obj, index }) => {
+      if (seabedDepth + obj.target.y < rules.minAltitude) {
+        errors.push(
+          `objectives[${index}].target: abaixo de rules.minAltitude`,
+        );
+      }
+    });
+  }
+
+  const zones = Array.isArray(rules.forbiddenZones) ? rules.forbiddenZones : [];
+  zones.forEach((zone, zoneIndex) => {
+    if (!zone || !zone.position || typeof zone.radius !== "number") return;
+
+    const inside = (point) =>
+      Math.hypot(
+        point.x - zone.position.x,
+        point.y - zone.position.y,
+        point.z - zone.position.z,
+      ) < zone.radius;
+
+    if (inside(start)) {
+      errors.push(
+        `rules.forbiddenZones[${zoneIndex}]: contém a posição inicial`,
+      );
+    }
+    targets.forEach(({ obj, index }) => {
+      if (inside(obj.target)) {
+        errors.push(
+          `rules.forbiddenZones[${zoneIndex}]: contém objectives[${index}].target`,
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Regras que envolvem mais de um campo
+ */
+function validateConsistency(config, errors) {
+  const { startY, seabedDepth, objectives } = config;
+
+  if (
+    typeof startY === "number" &&
+    typeof seabedDepth === "number" &&
+    -startY >= seabedDepth
+  ) {
+    errors.push("startY: posição inicial abaixo do fundo do mar (seabedDepth)");
+  }
+
+  const interval = config.faults && config.faults.interval;
+  if (Array.isArray(interval) && interval[0] > interval[1]) {
+    errors.push("faults.interval: use [mínimo, máximo]");
+  }
+
+  if (config.rules && typeof config.rules === "object") {
+    validateRules(config, errors);
+  }
+
+  if (!Array.isArray(objectives)) return;
+
+  const ids = new Set();
+  objectives.forEach((obj, index) => {
+    if (!obj || typeof obj !== "object") return;
+
+    if (ids.has(obj.id)) {
+      errors.push(`objectives[${index}].id: ID duplicado "${obj.id}"`);
+    }
+    ids.add(obj.id);
+
+    if (
+      (obj.type === "distance" ||
+        obj.type === "hold" ||
+        obj.type === "avoid" ||
+        obj.type === "photo") &&
+      obj.target === undefined
+    ) {
+      errors.push(
+        `objectives[${index}].target: obrigatório para tipo "${obj.type}"`,
+      );
+    }
+
+    const normal = obj.normal;
+    if (normal && normal.x === 0 && normal.y === 0 && normal.z === 0) {
+      errors.push(`objectives[${index}].normal: vetor não pode ser nulo`);
+    }
+
+    // Zona proibida sem fim nunca conclui: não pode valer pontos
+    if (obj.type === "avoid" && obj.until === undefined && obj.points > 0) {
+      errors.push(
+        `objectives[${index}].points: use 0 em "avoid" sem "until"`,
+      );
+    }
+  });
+
+  validateObjectiveGraph(objectives, errors);
+}
+
+/**
+ * Referências de requires/until e ciclos entre pré-requisitos
+ */
+function validateObjectiveGraph(objectives, errors) {
+  const byId = new Map();
+  objectives.forEach((obj) => {
+    if (obj && typeof obj === "object") byId.set(obj.id, obj);
+  });
+
+  objectives.forEach((obj, index) => {
+    if (!obj || typeof obj !== "object") return;
+
+    ["requires", "until"].forEach((field) => {
+      if (!Array.isArray(obj[field])) return;
+      obj[field].forEach((id, i) => {
+        if (typeof id !== "string") return;
+        const path = `objectives[${index}].${field}[${i}]`;
+        if (!byId.has(id)) {
+          errors.push(`${path}: ID desconhecido "${id}"`);
+        } else if (id === obj.id) {
+          errors.push(`${path}: o objetivo depende de si mesmo`);
+        }
+      });
+    });
+  });
+
+  // Busca em profundidade: voltar a um objetivo em visita é um ciclo
+  const visiting = new Set();
+  const done = new Set();
+  const visit = (obj) => {
+    if (done.has(obj.id)) return false;
+    if (visiting.has(obj.id)) return true;
+
+    visiting.add(obj.id);
+    const requires = Array.isArray(obj.requires) ? obj.requires : [];
+    const cyclic = requires.some(
+      (id) => id !== obj.id && byId.has(id) && visit(byId.get(id)),
+    );
+    visiting.delete(obj.id);
+    done.add(obj.id);
+    return cyclic;
+  };
+
+  for (const obj of byId.values()) {
+    if (visit(obj)) {
+      errors.push(`objectives: pré-requisitos em ciclo (envolve "${obj.id}")`);
+      return;
+    }
+  }
+}
+
+/**
+ * Valida a configuração de um cenário personalizado
+ * @param {object} config - Configuração no mesmo formato de SCENARIO_CONFIGS
+ * @returns {string[]} Lista de erros (vazia se válido)
+ */
+function validateScenario(config) {
+  const errors = [];
+  validateNode(config, SCENARIO_SCHEMA, "", errors);
+  if (config && typeof config === "object") {
+    validateConsistency(config, errors);
+  }
+  return errors;
+}
+
+/**
+ * Valida o ID de um cenário personalizado
+ * @returns {string|null} Mensagem de erro ou null se válido
+ */
+function validateScenarioId(id) {
+  if (typeof id !== "string" || !SCENARIO_ID_PATTERN.test(id)) {
+    return "id: use de 3 a 64 caracteres [a-z0-9_]";
+  }
+  return null;
+}
+
+module.exports = {
+  SCENARIO_SCHEMA,
+  OBJECTIVE_TYPES,
+  FAULT_TYPES,
+  validateScenario,
+  validateScenarioId,
+};
@@ -0,0 +1,304 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// API de Cenários - /api/v1/scenarios
+// ═══════════════════════════════════════════════════════════════════════════
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+const {
+  HttpError,
+  readJSONBody,
+  sendSuccess,
+  sendError,
+} = require("./http-utils");
+const { validateScenario, validateScenarioId } = require("./scenario-schema");
+const {
+  dataPath,
+  readJSONDirectory,
+  writeJSON,
+  removeJSON,
+} = require("../storage/json-store");
+
+const SCENARIOS_MODULE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "src",
+  "js",
+  "scenarios",
+  "index.js",
+);
+
+// Cenários personalizados: um arquivo JSON por cenário em data/scenarios/
+const CUSTOM_SCENARIOS_DIR = dataPath("scenarios");
+
+// Segmentos usados como rotas (não podem ser IDs de cenário); "__proto__"
+// trocaria o protótipo do mapa de cenários personalizados
+const RESERVED_IDS = ["custom", "category", "difficulty", "__proto__"];
+
+/**
+ * Carrega o módulo ES6 de cenários (o mesmo usado pelo navegador)
+ * @returns {Promise<object>} Exports de src/js/scenarios/index.js
+ */
+function loadScenarioModule() {
+  return import(pathToFileURL(SCENARIOS_MODULE).href);
+}
+
+class ScenariosAPI {
+  /**
+   * @param {object} scenarioModule - Exports de src/js/scenarios/index.js
+   */
+  constructor(scenarioModule) {
+    this.scenarios = scenarioModule;
+    this.customScenarios = {};
+  }
+
+  /**
+   * Carrega os cenários personalizados gravados em disco
+   */
+  async loadCustomScenarios() {
+    const entries = await readJSONDirectory(CUSTOM_SCENARIOS_DIR);
+    this.customScenarios = {};
+
+    for (const { name, data } of entries) {
+      const errors = validateScenario(data);
+      if (errors.length > 0 || this.isBuiltin(name)) {
+        console.warn(`⚠️ Cenário personalizado ignorado: ${name}`, errors);
+        continue;
+      }
+      this.customScenarios[name] = data;
+    }
+
+    console.log(
+      `📁 ${Object.keys(this.customScenarios).length} cenário(s) personalizado(s) carregado(s)`,
+    );
+  }
+
+  isBuiltin(id) {
+    return Object.prototype.hasOwnProperty.call(
+      this.scenarios.SCENARIO_CONFIGS,
+      id,
+    );
+  }
+
+  isCustom(id) {
+    return Object.prototype.hasOwnProperty.call(this.customScenarios, id);
+  }
+
+  customScenarioPath(id) {
+    return path.join(CUSTOM_SCENARIOS_DIR, `${id}.json`);
+  }
+
+  /**
+   * Lê o corpo de POST/PUT, lançando 400 se não for um objeto JSON
+   */
+  async readScenarioBody(req) {
+    const body = await readJSONBody(req);
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new HttpError(400, "Cenário inválido", [
+        "corpo: deve ser um objeto",
+      ]);
+    }
+    return body;
+  }
+
+  /**
+   * Valida o corpo de POST/PUT, lançando 400 com a lista de erros
+   */
+  assertValid(config) {
+    const errors = validateScenario(config);
+    if (errors.length > 0) {
+      throw new HttpError(400, "Cenário inválido", errors);
+    }
+  }
+
+  // Resumo enviado nas listagens (formato esperado pelo seletor do simulador)
+  summarize(id, config) {
+    return {
+      id,
+      name: config.name,
+      difficulty: this.scenarios.getDifficultyLevel(config.difficulty),
+      difficultyLabel: config.difficulty,
+      category: config.category,
+      description: config.description,
+      environmentType: config.environmentType,
+      objectiveCount: (config.objectives || []).length,
+      custom: this.isCustom(id),
+    };
+  }
+
+  /**
+   * Configuração de um cenário embutido ou personalizado
+   * @returns {object|null} null se o ID não existir (inclusive chaves
+   *   herdadas como "constructor")
+   */
+  get(id) {
+    if (this.isCustom(id)) return this.customScenarios[id];
+    if (this.isBuiltin(id)) return this.scenarios.SCENARIO_CONFIGS[id];
+    return null;
+  }
+
+  // Cenários embutidos + personalizados
+  getAll() {
+    return { ...this.scenarios.SCENARIO_CONFIGS, ...this.customScenarios };
+  }
+
+  /**
+   * Filtra cenários por categoria e/ou dificuldade (texto ou nível 1-5)
+   */
+  filter({ category, difficulty } = {}) {
+    let entries = Object.entries(this.getAll());
+
+    if (category) {
+      entries = entries.filter(([_, config]) => config.category === category);
+    }
+
+    if (difficulty) {
+      const level = Number(difficulty);
+      entries = entries.filter(([_, config]) =>
+        Number.isNaN(level)
+          ? config.difficulty === difficulty
+          : this.scenarios.getDifficultyLevel(config.difficulty) === level,
+      );
+    }
+
+    return entries.map(([id, config]) => this.summarize(id, config));
+  }
+
+  /**
+   * Trata requisições em /api/v1/scenarios
+   * @param {string[]} segments - Segmentos após /api/v1/scenarios
+   * @returns {boolean|Promise<boolean>} true se a rota foi tratada
+   */
+  handle(req, res, segments, query) {
+    switch (req.method) {
+      case "GET":
+        return this.handleGet(req, res, segments, query);
+      case "POST":
+        return segments.length === 0 && this.create(req, res);
+      case "PUT":
+        return segments.length === 1 && this.update(req, res, segments[0]);
+      case "DELETE":
+        return segments.length === 1 && this.remove(res, segments[0]);
+      default:
+        return false;
+    }
+  }
+
+  handleGet(req, res, segments, query) {
+    // GET /api/v1/scenarios?category=&difficulty=
+    if (segments.length === 0) {
+      const data = this.filter({
+        category: query.get("category"),
+        difficulty: query.get("difficulty"),
+      });
+      sendSuccess(res, data, { count: data.length });
+      return true;
+    }
+
+    // GET /api/v1/scenarios/custom - configurações completas (merge no simulador)
+    if (segments.length === 1 && segments[0] === "custom") {
+      sendSuccess(res, this.customScenarios, {
+        count: Object.keys(this.customScenarios).length,
+      });
+      return true;
+    }
+
+    // GET /api/v1/scenarios/category/:category
+    if (segments.length === 2 && segments[0] === "category") {
+      const data = this.filter({ category: segments[1] });
+      sendSuccess(res, data, { count: data.length });
+      return true;
+    }
+
+    // GET /api/v1/scenarios/difficulty/:level
+    if (segments.length === 2 && segments[0] === "difficulty") {
+      const data = this.filter({ difficulty: segments[1] });
+      sendSuccess(res, data, { count: data.length });
+      return true;
+    }
+
+    // GET /api/v1/scenarios/:id
+    if (segments.length === 1) {
+      const id = segments[0];
+      const config = this.get(id);
+      if (!config) {
+        sendError(res, 404, `Cenário não encontrado: ${id}`);
+        return true;
+      }
+      sendSuccess(res, { id, ...this.summarize(id, config), config });
+      return true;
+    }
+
+    return false;
+  }
+
+  // POST /api/v1/scenarios - body: { id, ...config }
+  async create(req, res) {
+    const { id, ...config } = await this.readScenarioBody(req);
+
+    const idError = validateScenarioId(id);
+    if (idError || RESERVED_IDS.includes(id)) {
+      sendError(res, 400, "Cenário inválido", {
+        details: [idError || `id: "${id}" é reservado`],
+      });
+      return true;
+    }
+    if (this.isBuiltin(id) || this.isCustom(id)) {
+      sendError(res, 409, `Já existe um cenário com o ID: ${id}`);
+      return true;
+    }
+    this.assertValid(config);
+
+    await writeJSON(this.customScenarioPath(id), config);
+    this.customScenarios[id] = config;
+
+    sendSuccess(res, { id, ...this.summarize(id, config), config }, {}, 201);
+    return true;
+  }
+
+  // PUT /api/v1/scenarios/:id - substitui a configuração completa
+  async update(req, res, id) {
+    if (this.isBuiltin(id)) {
+      sendError(res, 403, `Cenários embutidos não podem ser alterados: ${id}`);
+      return true;
+    }
+    if (!this.isCustom(id)) {
+      sendError(res, 404, `Cenário não encontrado: ${id}`);
+      return true;
+    }
+
+    const { id: bodyId, ...config } = await this.readScenarioBody(req);
+    if (bodyId !== undefined && bodyId !== id) {
+      sendError(res, 400, "O ID do corpo difere do ID da URL");
+      return true;
+    }
+    this.assertValid(config);
+
+    await writeJSON(this.customScenarioPath(id), config);
+    this.customScenarios[id] = config;
+
+    sendSuccess(res, { id, ...this.summarize(id, config), config });
+    return true;
+  }
+
+  // DELETE /api/v1/scenarios/:id
+  async remove(res, id) {
+    if (this.isBuiltin(id)) {
+      sendError(res, 403, `Cenários embutidos não podem ser removidos: ${id}`);
+      return true;
+    }
+    if (!this.isCustom(id)) {
+      sendError(res, 404, `Cenário não encontrado: ${id}`);
+      return true;
+    }
+
+    await removeJSON(this.customScenarioPath(id));
+    delete this.customScenarios[id];
+
+    sendSuccess(res, { id });
+    return true;
+  }
+}
+
+module.exports = { ScenariosAPI, loadScenarioModule };
@@ -0,0 +1,97 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Validação declarativa de corpos JSON da API
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Nós suportados: { type: "number" | "string" | "boolean" | "array" | "object", ... }
+// Cada nó pode ter: required, min/max, minLength/maxLength, enum, pattern,
+// nullable, items (array) e properties (object)
+
+/**
+ * Valida um valor contra um nó do schema, acumulando mensagens em `errors`
+ */
+function validateNode(value, schema, fieldPath, errors) {
+  if (value === null && schema.nullable) return;
+
+  if (schema.type === "boolean") {
+    if (typeof value !== "boolean") {
+      errors.push(`${fieldPath}: deve ser verdadeiro ou falso`);
+    }
+    return;
+  }
+
+  if (schema.type === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${fieldPath}: deve ser um número`);
+      return;
+    }
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push(`${fieldPath}: deve ser >= ${schema.min}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push(`${fieldPath}: deve ser <= ${schema.max}`);
+    }
+    return;
+  }
+
+  if (schema.type === "string") {
+    if (typeof value !== "string") {
+      errors.push(`${fieldPath}: deve ser um texto`);
+      return;
+    }
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${fieldPath}: não pode ser vazio`);
+    }
+    if (schema.maxLength && value.length > schema.maxLength) {
+      errors.push(`${fieldPath}: máximo de ${schema.maxLength} caracteres`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${fieldPath}: deve ser um de [${schema.enum.join(", ")}]`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${fieldPath}: formato inválido`);
+    }
+    return;
+  }
+
+  if (schema.type === "array") {
+    if (!Array.isArray(value)) {
+      errors.push(`${fieldPath}: deve ser uma lista`);
+      return;
+    }
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${fieldPath}: precisa de pelo menos ${schema.minItems} item(s)`);
+    }
+    value.forEach((item, index) =>
+      validateNode(item, schema.items, `${fieldPath}[${index}]`, errors),
+    );
+    return;
+  }
+
+  if (schema.type === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      errors.push(`${fieldPath || "corpo"}: deve ser um objeto`);
+      return;
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties)) {
+      const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+      if (value[key] === undefined) {
+        if (propSchema.required) errors.push(`${childPath}: obrigatório`);
+        continue;
+      }
+      validateNode(value[key], propSchema, childPath, errors);
+    }
+  }
+}
+
+/**
+ * Valida um objeto contra um schema
+ * @returns {string[]} Lista de erros (vazia se válido)
+ */
+function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, "", errors);
+  return errors;
+}
+
+module.exports = { validateNode, validateSchema };
@@ -0,0 +1,194 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// API de Sessões - /api/v1/sessions
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { readJSONBody, sendSuccess, sendError } = require("./http-utils");
+const { validateSchema } = require("./schema");
+const { GRADE_ORDER } = require("./curriculum");
+const { JSONCollection } = require("../storage/json-collection");
+const { dataPath } = require("../storage/json-store");
+const { INSTRUCTOR_ACTIONS } = require("../live/live-hub");
+
+const SESSION_OUTCOMES = ["completed", "failed"];
+
+// Registro enviado pelo simulador ao final da missão
+const SESSION_SCHEMA = {
+  type: "object",
+  properties: {
+    scenarioId: { type: "string", required: true, minLength: 1 },
+    // Versão do conteúdo do cenário (config.version); ausente = 1
+    scenarioVersion: { type: "number", min: 1 },
+    traineeId: { type: "string", nullable: true },
+    seed: { type: "number", min: 0, max: 4294967295 },
+    outcome: { type: "string", required: true, enum: SESSION_OUTCOMES },
+    failureReason: { type: "string", nullable: true, maxLength: 200 },
+    score: { type: "number", required: true, min: 0 },
+    maxScore: { type: "number", required: true, min: 0 },
+    grade: { type: "string", required: true, enum: GRADE_ORDER },
+    gradedScore: { type: "number", min: 0 },
+    // Detalhamento da nota por critério (objetivos, tempo, penalidades)
+    grading: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", required: true, maxLength: 32 },
+          label: { type: "string", required: true, maxLength: 64 },
+          detail: { type: "string", maxLength: 64 },
+          points: { type: "number", required: true },
+        },
+      },
+    },
+    damage: { type: "number", required: true, min: 0 },
+    sessionTime: { type: "number", required: true, min: 0 },
+    distanceTraveled: { type: "number", required: true, min: 0 },
+    objectivesCompleted: { type: "number", min: 0 },
+    objectivesTotal: { type: "number", min: 0 },
+    rovModel: { type: "string", maxLength: 64 },
+    energyUsed: { type: "number", min: 0 }, // Wh consumidos da bateria
+    // Intervenções do instrutor durante a sessão (instructor.html)
+    interventions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          t: { type: "number", required: true, min: 0 },
+          action: { type: "string", required: true, enum: INSTRUCTOR_ACTIONS },
+          message: { type: "string", required: true, maxLength: 200 },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Converte um parâmetro de query numérico com limites
+ */
+function parseLimit(value, fallback, max) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return fallback;
+  return Math.min(limit, max);
+}
+
+class SessionsAPI {
+  /**
+   * @param {ScenariosAPI} scenarios - Usado para validar o scenarioId
+   * @param {TraineesAPI} trainees - Usado para validar o traineeId
+   */
+  constructor(scenarios, trainees) {
+    this.scenarios = scenarios;
+    this.trainees = trainees;
+    this.store = new JSONCollection(dataPath("sessions.json"));
+  }
+
+  async load() {
+    await this.store.load();
+    console.log(`📊 ${this.store.all().length} sessão(ões) registrada(s)`);
+  }
+
+  /**
+   * Filtra sessões por cenário, aluno, resultado e semente (mais recentes primeiro)
+   */
+  query({ scenarioId, traineeId, outcome, seed } = {}) {
+    const seedNumber =
+      seed === undefined || seed === null || seed === "" ? null : Number(seed);
+    return this.store
+      .all()
+      .filter(
+        (session) =>
+          (!scenarioId || session.scenarioId === scenarioId) &&
+          (!traineeId || session.traineeId === traineeId) &&
+          (!outcome || session.outcome === outcome) &&
+          (seedNumber === null || session.seed === seedNumber),
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Trata requisições em /api/v1/sessions
+   */
+  handle(req, res, segments, query) {
+    // GET /api/v1/sessions?scenarioId=&traineeId=&outcome=&seed=&limit=
+    if (req.method === "GET" && segments.length === 0) {
+      const sessions = this.query({
+        scenarioId: query.get("scenarioId"),
+        traineeId: query.get("traineeId"),
+        outcome: query.get("outcome"),
+        seed: query.get("seed"),
+      });
+      const data = sessions.slice(0, parseLimit(query.get("limit"), 50, 500));
+      sendSuccess(res, data, { count: data.length, total: sessions.length });
+      return true;
+    }
+
+    // GET /api/v1/sessions/:id
+    if (req.method === "GET" && segments.length === 1) {
+      const session = this.store.get(segments[0]);
+      if (!session) {
+        sendError(res, 404, `Sessão não encontrada: ${segments[0]}`);
+        return true;
+      }
+      sendSuccess(res, session);
+      return true;
+    }
+
+    // POST /api/v1/sessions
+    if (req.method === "POST" && segments.length === 0) {
+      return this.create(req, res);
+    }
+
+    return false;
+  }
+
+  async create(req, res) {
+    const body = await readJSONBody(req);
+
+    const errors = validateSchema(body, SESSION_SCHEMA);
+    if (errors.length === 0 && !this.scenarios.get(body.scenarioId)) {
+      errors.push(`scenarioId: cenário desconhecido "${body.scenarioId}"`);
+    }
+    if (
+      errors.length === 0 &&
+      body.traineeId &&
+      !this.trainees.exists(body.traineeId)
+    ) {
+      errors.push(`traineeId: aluno desconhecido "${body.traineeId}"`);
+    }
+    if (errors.length > 0) {
+      sendError(res, 400, "Sessão inválida", { details: errors });
+      return true;
+    }
+
+    // O bloqueio da tela inicial é só visual: sessão de cenário bloqueado
+    // não entra no histórico nem no progresso do aluno
+    if (
+      body.traineeId &&
+      !this.trainees.isScenarioUnlocked(body.traineeId, body.scenarioId)
+    ) {
+      sendError(
+        res,
+        403,
+        `Cenário bloqueado no currículo do aluno: ${body.scenarioId}`,
+      );
+      return true;
+    }
+
+    // Guardar apenas os campos conhecidos do schema
+    const record = {};
+    for (const key of Object.keys(SESSION_SCHEMA.properties)) {
+      if (body[key] !== undefined) record[key] = body[key];
+    }
+    record.traineeId = record.traineeId || null;
+    record.percentage =
+      record.maxScore > 0
+        ? Math.round((record.score / record.maxScore) * 1000) / 10
+        : 0;
+
+    const session = await this.store.insert(record);
+    sendSuccess(res, session, {}, 201);
+    return true;
+  }
+}
+
+module.exports = { SessionsAPI, SESSION_OUTCOMES, parseLimit };
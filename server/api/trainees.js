@@ -0,0 +1,189 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// API de Alunos - /api/v1/trainees
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { readJSONBody, sendSuccess, sendError } = require("./http-utils");
+const { validateSchema } = require("./schema");
+const { computeProgress } = require("./curriculum");
+const { JSONCollection } = require("../storage/json-collection");
+const { dataPath } = require("../storage/json-store");
+
+// Funções na equipe de ROV (do aluno ao supervisor)
+const CREW_ROLES = {
+  trainee: "Aluno",
+  pilot_technician_2: "Piloto Técnico II",
+  pilot_technician_1: "Piloto Técnico I",
+  senior_pilot: "Piloto Sênior",
+  supervisor: "Supervisor de ROV",
+};
+
+const TRAINEE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    companyId: { type: "string", required: true, minLength: 1, maxLength: 50 },
+    crewRole: {
+      type: "string",
+      required: true,
+      enum: Object.keys(CREW_ROLES),
+    },
+  },
+};
+
+class TraineesAPI {
+  /**
+   * @param {ScenariosAPI} scenarios - Cenários usados no cálculo do currículo
+   */
+  constructor(scenarios) {
+    this.scenarios = scenarios;
+    this.store = new JSONCollection(dataPath("trainees.json"));
+
+    // SessionsAPI (definido pelo roteador, pois as sessões referenciam alunos)
+    this.sessions = null;
+  }
+
+  async load() {
+    await this.store.load();
+    console.log(`👷 ${this.store.all().length} aluno(s) cadastrado(s)`);
+  }
+
+  exists(id) {
+    return this.store.get(id) !== null;
+  }
+
+  /**
+   * Valida o corpo de POST/PUT; em PUT os campos são opcionais
+   * @returns {{ data: object, errors: string[] }}
+   */
+  parseBody(body, partial) {
+    const schema = partial
+      ? {
+          type: "object",
+          properties: Object.fromEntries(
+            Object.entries(TRAINEE_SCHEMA.properties).map(([key, prop]) => [
+              key,
+              { ...prop, required: false },
+            ]),
+          ),
+        }
+      : TRAINEE_SCHEMA;
+
+    const errors = validateSchema(body, schema);
+    const data = {};
+    if (errors.length === 0) {
+      for (const key of Object.keys(TRAINEE_SCHEMA.properties)) {
+        if (body[key] !== undefined) data[key] = body[key].trim();
+      }
+    }
+    return { data, errors };
+  }
+
+  /**
+   * Progresso do aluno no currículo (níveis e cenários desbloqueados)
+   */
+  getProgress(traineeId) {
+    const scenarios = Object.entries(this.scenarios.getAll()).map(
+      ([id, config]) => this.scenarios.summarize(id, config),
+    );
+    const sessions = this.sessions ? this.sessions.query({ traineeId }) : [];
+    return computeProgress(scenarios, sessions);
+  }
+
+  /**
+   * true se o cenário já está liberado no currículo do aluno
+   */
+  isScenarioUnlocked(traineeId, scenarioId) {
+    const progress = this.getProgress(traineeId).scenarios[scenarioId];
+    return Boolean(progress && progress.unlocked);
+  }
+
+  /**
+   * Trata requisições em /api/v1/trainees
+   */
+  handle(req, res, segments, query) {
+    const [id, subResource] = segments;
+
+    // GET /api/v1/trainees/roles
+    if (req.method === "GET" && id === "roles" && !subResource) {
+      sendSuccess(res, CREW_ROLES);
+      return true;
+    }
+
+    // GET/POST /api/v1/trainees
+    if (segments.length === 0) {
+      if (req.method === "GET") {
+        const companyId = query.get("companyId");
+        const data = this.store
+          .all()
+          .filter((t) => !companyId || t.companyId === companyId);
+        sendSuccess(res, data, { count: data.length });
+        return true;
+      }
+      if (req.method === "POST") return this.create(req, res);
+      return false;
+    }
+
+    const trainee = this.store.get(id);
+    if (!trainee) {
+      sendError(res, 404, `Aluno não encontrado: ${id}`);
+      return true;
+    }
+
+    // GET /api/v1/trainees/:id/progress
+    if (subResource === "progress" && segments.length === 2) {
+      if (req.method !== "GET") return false;
+      sendSuccess(res, { trainee, ...this.getProgress(id) });
+      return true;
+    }
+
+    if (segments.length !== 1) return false;
+
+    switch (req.method) {
+      case "GET":
+        sendSuccess(res, trainee);
+        return true;
+      case "PUT":
+        return this.update(req, res, id);
+      case "DELETE":
+        return this.remove(res, id);
+      default:
+        return false;
+    }
+  }
+
+  // POST /api/v1/trainees - body: { name, companyId, crewRole }
+  async create(req, res) {
+    const { data, errors } = this.parseBody(await readJSONBody(req), false);
+    if (errors.length > 0) {
+      sendError(res, 400, "Aluno inválido", { details: errors });
+      return true;
+    }
+
+    const trainee = await this.store.insert(data);
+    sendSuccess(res, trainee, {}, 201);
+    return true;
+  }
+
+  // PUT /api/v1/trainees/:id - atualiza os campos enviados
+  async update(req, res, id) {
+    const { data, errors } = this.parseBody(await readJSONBody(req), true);
+    if (errors.length > 0) {
+      sendError(res, 400, "Aluno inválido", { details: errors });
+      return true;
+    }
+
+    const trainee = await this.store.update(id, data);
+    sendSuccess(res, trainee);
+    return true;
+  }
+
+  // DELETE /api/v1/trainees/:id - as sessões do aluno são mantidas
+  async remove(res, id) {
+    await this.store.remove(id);
+    sendSuccess(res, { id });
+    return true;
+  }
+}
+
+module.exports = { TraineesAPI, CREW_ROLES };
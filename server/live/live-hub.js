@@ -0,0 +1,435 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Sessões ao vivo - liga os simuladores abertos ao console do instrutor
+// e aos assinantes de telemetria
+// ═══════════════════════════════════════════════════════════════════════════
+
+// WebSocket em /ws/live?role=<papel>, mensagens JSON { type, ... }
+//
+// Simulador (role=simulator):
+//   → { type: "hello", id?, session: { scenarioId, scenarioName, ... } }
+//   ← { type: "welcome", id }
+//   → { type: "status", status }             - resumo do estado (1 Hz)
+//   → { type: "telemetry", telemetry }       - quadro completo (10 Hz)
+//   ← { type: "command", commandId, command }
+//   → { type: "result", commandId, ok, message | error }
+//
+// Instrutor (role=instructor&token=<segredo>):
+//   ← { type: "sessions", sessions }          - a cada entrada/saída
+//   ← { type: "status", session, status }
+//   → { type: "command", session, command }   - ver INSTRUCTOR_ACTIONS
+//   ← { type: "result", session, ok, message | error }
+//   ← { type: "intervention", session, message } - para todos os instrutores
+//
+// Telemetria (role=telemetry&session=<id>, sessão opcional = todas):
+//   ← { type: "sessions", sessions }
+//   ← { type: "telemetry", session, telemetry } - ver src/js/core/telemetry.js
+//   → { type: "subscribe", session }           - troca a sessão (null = todas)
+//
+// Pedidos de navegador só são aceitos da mesma origem do servidor (o
+// header Origin precisa bater com o Host); ferramentas fora do navegador
+// não enviam Origin. O segredo do instrutor vem de INSTRUCTOR_TOKEN ou é
+// sorteado na inicialização e mostrado no console do servidor.
+
+const crypto = require("crypto");
+const { acceptWebSocket } = require("./websocket");
+const { validateSchema } = require("../api/schema");
+const { FAULT_TYPES } = require("../api/scenario-schema");
+
+const LIVE_PATH = "/ws/live";
+const ROLES = ["simulator", "instructor", "telemetry"];
+
+// Conexões que não respondem ao ping são encerradas
+const HEARTBEAT_INTERVAL = 30000;
+
+// IDs curtos para o instrutor reconhecer a sessão (o simulador reaproveita
+// o seu ao reconectar)
+const SESSION_ID_PATTERN = /^[a-z0-9]{4,16}$/;
+
+// Mesmos comandos de src/js/core/instructor-commands.js
+const INSTRUCTOR_ACTIONS = [
+  "fault",
+  "current",
+  "visibility",
+  "teleport",
+  "reset",
+  "pause",
+];
+
+// Campos obrigatórios de cada comando
+const REQUIRED_FIELDS = {
+  fault: ["fault"],
+  current: ["speed", "direction"],
+  visibility: ["visibility"],
+  teleport: ["position"],
+  reset: [],
+  pause: ["paused"],
+};
+
+const COMMAND_SCHEMA = {
+  type: "object",
+  properties: {
+    action: { type: "string", required: true, enum: INSTRUCTOR_ACTIONS },
+    fault: { type: "string", enum: FAULT_TYPES },
+    speed: { type: "number", min: 0, max: 5 },
+    direction: { type: "number" },
+    visibility: { type: "number", min: 0.5, max: 200 },
+    position: {
+      type: "object",
+      properties: {
+        x: { type: "number", required: true },
+        y: { type: "number", required: true, max: 0 },
+        z: { type: "number", required: true },
+      },
+    },
+    heading: { type: "number" },
+    paused: { type: "boolean" },
+  },
+};
+
+/**
+ * Valida um comando do instrutor
+ * @returns {string[]} Lista de erros (vazia se válido)
+ */
+function validateCommand(command) {
+  const errors = validateSchema(command, COMMAND_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  for (const field of REQUIRED_FIELDS[command.action]) {
+    if (command[field] === undefined) {
+      errors.push(`${field}: obrigatório para "${command.action}"`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Pedido do mesmo site que serve o simulador (sem Origin: fora do navegador)
+ */
+function isSameOrigin(req) {
+  const { origin, host } = req.headers;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Comparação em tempo constante
+function tokensMatch(token, expected) {
+  if (typeof token !== "string") return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function parseMessage(data) {
+  if (typeof data !== "string") return null;
+  try {
+    const message = JSON.parse(data);
+    return message && typeof message.type === "string" ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+class LiveHub {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.instructorToken] - Segredo do console do
+   *   instrutor (sorteado se ausente)
+   */
+  constructor({ instructorToken } = {}) {
+    this.instructorToken =
+      instructorToken || crypto.randomBytes(16).toString("hex");
+
+    this.sessions = new Map(); // id → { id, connection, info, status, connectedAt }
+    this.instructors = new Set();
+    this.subscribers = new Map(); // conexão → ID da sessão assinada (null = todas)
+    this.connections = new Set();
+
+    // Comandos aguardando o resultado do simulador
+    this.pendingCommands = new Map(); // commandId → { instructor, sessionId }
+    this.nextCommandId = 1;
+
+    this.heartbeat = setInterval(
+      () => this.checkConnections(),
+      HEARTBEAT_INTERVAL,
+    );
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Trata o evento "upgrade" do servidor HTTP
+   * @returns {boolean} true se o pedido era para /ws/live
+   */
+  handleUpgrade(req, socket) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== LIVE_PATH) return false;
+
+    if (!isSameOrigin(req)) {
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return true;
+    }
+
+    const role = url.searchParams.get("role");
+    if (!ROLES.includes(role)) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return true;
+    }
+
+    const token = url.searchParams.get("token");
+    if (role === "instructor" && !tokensMatch(token, this.instructorToken)) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      return true;
+    }
+
+    const connection = acceptWebSocket(req, socket);
+    if (!connection) return true;
+
+    this.connections.add(connection);
+    connection.on("close", () => this.connections.delete(connection));
+
+    if (role === "simulator") this.addSimulator(connection);
+    else if (role === "instructor") this.addInstructor(connection);
+    else this.addSubscriber(connection, url.searchParams.get("session"));
+    return true;
+  }
+
+  // Derruba conexões que não responderam ao último ping
+  checkConnections() {
+    for (const connection of this.connections) {
+      if (!connection.isAlive) connection.close();
+      else connection.ping();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // SIMULADORES
+  // ═══════════════════════════════════════════════════════════════
+
+  addSimulator(connection) {
+    connection.on("message", (data) => {
+      const message = parseMessage(data);
+      if (!message) {
+        connection.send({ type: "error", error: "Mensagem inválida" });
+        return;
+      }
+      this.handleSimulatorMessage(connection, message);
+    });
+
+    connection.on("close", () => {
+      const session = this.sessions.get(connection.sessionId);
+      if (!session || session.connection !== connection) return;
+
+      this.sessions.delete(session.id);
+      console.log(`📡 Sessão ao vivo encerrada: ${session.id}`);
+      this.broadcastSessions();
+    });
+  }
+
+  handleSimulatorMessage(connection, message) {
+    if (message.type === "hello") {
+      this.registerSession(connection, message);
+      return;
+    }
+
+    const session = this.sessions.get(connection.sessionId);
+    if (!session) {
+      connection.send({ type: "error", error: "Envie hello primeiro" });
+      return;
+    }
+
+    switch (message.type) {
+      case "status":
+        session.status = message.status || null;
+        this.broadcastToInstructors({
+          type: "status",
+          session: session.id,
+          status: session.status,
+        });
+        break;
+
+      case "telemetry":
+        this.broadcastTelemetry(session.id, message.telemetry);
+        break;
+
+      case "result":
+        this.handleResult(session, message);
+        break;
+    }
+  }
+
+  registerSession(connection, { id, session: info }) {
+    // Reconexão: mantém o ID se ele estiver livre
+    const sessionId =
+      typeof id === "string" &&
+      SESSION_ID_PATTERN.test(id) &&
+      !this.sessions.has(id)
+        ? id
+        : this.createSessionId();
+
+    connection.sessionId = sessionId;
+    this.sessions.set(sessionId, {
+      id: sessionId,
+      connection,
+      info: info && typeof info === "object" ? info : {},
+      status: null,
+      connectedAt: new Date().toISOString(),
+    });
+
+    connection.send({ type: "welcome", id: sessionId });
+    console.log(`📡 Sessão ao vivo: ${sessionId}`);
+    this.broadcastSessions();
+  }
+
+  createSessionId() {
+    let id;
+    do {
+      id = crypto.randomBytes(3).toString("hex");
+    } while (this.sessions.has(id));
+    return id;
+  }
+
+  handleResult(session, { commandId, ok, message, error }) {
+    const pending = this.pendingCommands.get(commandId);
+    if (!pending || pending.sessionId !== session.id) return;
+    this.pendingCommands.delete(commandId);
+
+    pending.instructor.send({
+      type: "result",
+      session: session.id,
+      ok: Boolean(ok),
+      ...(ok ? { message } : { error }),
+    });
+
+    if (!ok) return;
+    console.log(`👨‍🏫 [${session.id}] ${message}`);
+    this.broadcastToInstructors({
+      type: "intervention",
+      session: session.id,
+      message,
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // INSTRUTORES
+  // ═══════════════════════════════════════════════════════════════
+
+  addInstructor(connection) {
+    this.instructors.add(connection);
+    connection.send({ type: "sessions", sessions: this.listSessions() });
+
+    connection.on("message", (data) => {
+      const message = parseMessage(data);
+      if (!message) {
+        connection.send({ type: "error", error: "Mensagem inválida" });
+        return;
+      }
+      if (message.type === "command") this.forwardCommand(connection, message);
+    });
+
+    connection.on("close", () => {
+      this.instructors.delete(connection);
+      for (const [commandId, pending] of this.pendingCommands) {
+        if (pending.instructor === connection) {
+          this.pendingCommands.delete(commandId);
+        }
+      }
+    });
+  }
+
+  forwardCommand(instructor, { session: sessionId, command }) {
+    const reject = (error) =>
+      instructor.send({ type: "result", session: sessionId, ok: false, error });
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      reject(`Sessão não encontrada: ${sessionId}`);
+      return;
+    }
+
+    const errors = validateCommand(command);
+    if (errors.length > 0) {
+      reject(errors.join(", "));
+      return;
+    }
+
+    // Apenas os campos conhecidos seguem para o simulador
+    const forwarded = {};
+    for (const key of Object.keys(COMMAND_SCHEMA.properties)) {
+      if (command[key] !== undefined) forwarded[key] = command[key];
+    }
+
+    const commandId = this.nextCommandId++;
+    this.pendingCommands.set(commandId, { instructor, sessionId });
+    session.connection.send({ type: "command", commandId, command: forwarded });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // TELEMETRIA
+  // ═══════════════════════════════════════════════════════════════
+
+  addSubscriber(connection, sessionId) {
+    this.subscribers.set(connection, sessionId || null);
+    connection.send({ type: "sessions", sessions: this.listSessions() });
+
+    connection.on("message", (data) => {
+      const message = parseMessage(data);
+      if (!message || message.type !== "subscribe") {
+        connection.send({ type: "error", error: "Mensagem inválida" });
+        return;
+      }
+      const session = message.session;
+      this.subscribers.set(
+        connection,
+        typeof session === "string" && session ? session : null,
+      );
+    });
+
+    connection.on("close", () => this.subscribers.delete(connection));
+  }
+
+  broadcastTelemetry(sessionId, telemetry) {
+    if (!telemetry || typeof telemetry !== "object") return;
+
+    let text = null;
+    for (const [subscriber, filter] of this.subscribers) {
+      if (filter !== null && filter !== sessionId) continue;
+      // Serializa uma vez só, e só se houver alguém assinando
+      text =
+        text ||
+        JSON.stringify({ type: "telemetry", session: sessionId, telemetry });
+      subscriber.send(text);
+    }
+  }
+
+  listSessions() {
+    return [...this.sessions.values()].map((session) => ({
+      ...session.info,
+      id: session.id,
+      status: session.status,
+      connectedAt: session.connectedAt,
+    }));
+  }
+
+  broadcastSessions() {
+    const message = { type: "sessions", sessions: this.listSessions() };
+    this.broadcastToInstructors(message);
+
+    const text = JSON.stringify(message);
+    for (const subscriber of this.subscribers.keys()) {
+      subscriber.send(text);
+    }
+  }
+
+  broadcastToInstructors(message) {
+    const text = JSON.stringify(message);
+    for (const instructor of this.instructors) {
+      instructor.send(text);
+    }
+  }
+}
+
+module.exports = { LiveHub, LIVE_PATH, INSTRUCTOR_ACTIONS, validateCommand };
@@ -0,0 +1,273 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// WebSocket mínimo (RFC 6455) sobre o servidor HTTP, sem dependências
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Suporta o que o console do instrutor e o simulador usam: mensagens de
+// texto (JSON), fragmentação, ping/pong e fechamento. Mensagens binárias
+// são entregues como Buffer.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Limite de uma mensagem (soma dos fragmentos)
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+// Códigos de fechamento usados pelo servidor
+const CLOSE_CODES = {
+  normal: 1000,
+  protocolError: 1002,
+  tooBig: 1009,
+};
+
+/**
+ * Monta um quadro do servidor (sem máscara)
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 2 ** 32), 2);
+    header.writeUInt32BE(length % 2 ** 32, 6);
+  }
+  header[0] = 0x80 | opcode; // FIN + opcode
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Conexão aceita. Eventos: "message" (string | Buffer) e "close"
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.fragmentSize = 0;
+    this.isOpen = true;
+    this.closeSent = false;
+
+    // Atualizado a cada pong (verificação de conexões mortas)
+    this.isAlive = true;
+
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => this.onData(chunk));
+    socket.on("close", () => this.onClose());
+    // O servidor HTTP aceita meia conexão: o fim do cliente encerra a nossa
+    socket.on("end", () => socket.end());
+    socket.on("error", () => socket.destroy());
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let frame;
+    while (this.isOpen && (frame = this.readFrame())) {
+      this.handleFrame(frame);
+    }
+  }
+
+  /**
+   * Lê um quadro completo do buffer (null se ainda faltam bytes)
+   */
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+
+    // Quadros do cliente são sempre mascarados
+    if (!masked) {
+      this.close(CLOSE_CODES.protocolError, "Quadro sem máscara");
+      return null;
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+      this.close(CLOSE_CODES.tooBig, "Mensagem muito grande");
+      return null;
+    }
+
+    const end = offset + 4 + length;
+    if (buffer.length < end) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, end));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    this.buffer = buffer.subarray(end);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.ping:
+        this.sendFrame(OPCODES.pong, payload);
+        return;
+
+      case OPCODES.pong:
+        this.isAlive = true;
+        return;
+
+      case OPCODES.close:
+        this.close(
+          payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal,
+        );
+        return;
+
+      case OPCODES.text:
+      case OPCODES.binary:
+        if (this.fragmentOpcode !== null) {
+          this.close(CLOSE_CODES.protocolError, "Fragmento inesperado");
+          return;
+        }
+        this.fragmentOpcode = opcode;
+        break;
+
+      case OPCODES.continuation:
+        if (this.fragmentOpcode === null) {
+          this.close(CLOSE_CODES.protocolError, "Fragmento inesperado");
+          return;
+        }
+        break;
+
+      default:
+        this.close(CLOSE_CODES.protocolError, "Opcode desconhecido");
+        return;
+    }
+
+    this.fragmentSize += payload.length;
+    if (this.fragmentSize > MAX_MESSAGE_SIZE) {
+      this.close(CLOSE_CODES.tooBig, "Mensagem muito grande");
+      return;
+    }
+    this.fragments.push(payload);
+    if (!fin) return;
+
+    const data = Buffer.concat(this.fragments);
+    const isText = this.fragmentOpcode === OPCODES.text;
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.fragmentSize = 0;
+
+    this.emit("message", isText ? data.toString("utf8") : data);
+  }
+
+  sendFrame(opcode, payload) {
+    if (!this.isOpen || this.socket.destroyed) return;
+    this.socket.write(encodeFrame(opcode, payload));
+  }
+
+  /**
+   * Envia uma mensagem de texto (objetos são serializados em JSON)
+   * @param {string|object} data
+   */
+  send(data) {
+    const text = typeof data === "string" ? data : JSON.stringify(data);
+    this.sendFrame(OPCODES.text, Buffer.from(text, "utf8"));
+  }
+
+  ping() {
+    this.isAlive = false;
+    this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+  }
+
+  /**
+   * Fecha a conexão (responde ao fechamento do cliente ou inicia o nosso)
+   */
+  close(code = CLOSE_CODES.normal, reason = "") {
+    if (!this.isOpen) return;
+
+    if (!this.closeSent) {
+      this.closeSent = true;
+      const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+      payload.writeUInt16BE(code, 0);
+      payload.write(reason, 2);
+      this.sendFrame(OPCODES.close, payload);
+    }
+
+    this.isOpen = false;
+    this.socket.end();
+    this.emit("close");
+  }
+
+  // Conexão TCP encerrada (com ou sem quadro de fechamento)
+  onClose() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.emit("close");
+  }
+}
+
+/**
+ * Conclui o handshake de um pedido "upgrade" do servidor HTTP
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @returns {WebSocketConnection|null} null se o pedido não é WebSocket
+ */
+function acceptWebSocket(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  const upgrade = (req.headers.upgrade || "").toLowerCase();
+
+  if (upgrade !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return null;
+  }
+
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + HANDSHAKE_GUID)
+    .digest("base64");
+
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n"),
+  );
+
+  return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection, CLOSE_CODES };
@@ -6,6 +6,8 @@
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const { createAPIRouter } = require("./api");
+const { LiveHub } = require("./live/live-hub");
 
 const PORT = process.env.PORT || 8091;
 const ROOT_DIR = path.join(__dirname, "..");
@@ -34,10 +36,21 @@ const MIME_TYPES = {
   ".ttf": "font/ttf",
 };
 
+// Roteador da API REST (definido na inicialização)
+let handleAPIRequest = null;
+
+// Sessões ao vivo (WebSocket em /ws/live)
+const liveHub = new LiveHub({ instructorToken: process.env.INSTRUCTOR_TOKEN });
+
 const server = http.createServer((req, res) => {
   // Log da requisição
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
 
+  // Rotas da API (/api/v1/...)
+  if (handleAPIRequest && handleAPIRequest(req, res)) {
+    return;
+  }
+
   // Normalizar URL
   let filePath = req.url.split("?")[0]; // Remover query string
 
@@ -92,7 +105,15 @@ const server = http.createServer((req, res) => {
   });
 });
 
-server.listen(PORT, () => {
+server.on("upgrade", (req, socket) => {
+  if (!liveHub.handleUpgrade(req, socket)) socket.destroy();
+});
+
+function startServer() {
+  server.listen(PORT, onListening);
+}
+
+function onListening() {
   console.log("");
   console.log(
     "═══════════════════════════════════════════════════════════════"
@@ -115,13 +136,44 @@ server.listen(PORT, () => {
   console.log(
     `    • http://localhost:${PORT}/rov_simulator_pro.html - Monolítico (backup)`
   );
+  console.log(
+    `    • http://localhost:${PORT}/instructor.html?token=${liveHub.instructorToken} - Console do Instrutor`
+  );
+  console.log("");
+  console.log("  API REST:");
+  console.log(`    • GET /api/v1/scenarios                  - Lista de cenários`);
+  console.log(`    • GET /api/v1/scenarios/:id              - Detalhe do cenário`);
+  console.log(`    • GET /api/v1/scenarios/category/:cat    - Filtro por categoria`);
+  console.log(`    • GET /api/v1/scenarios/difficulty/:lvl  - Filtro por dificuldade`);
+  console.log(`    • GET /api/v1/scenarios/custom           - Cenários personalizados`);
+  console.log(`    • POST /api/v1/scenarios                 - Criar cenário`);
+  console.log(`    • PUT /api/v1/scenarios/:id              - Atualizar cenário`);
+  console.log(`    • DELETE /api/v1/scenarios/:id           - Remover cenário`);
+  console.log(`    • GET/POST /api/v1/sessions              - Resultados de sessões`);
+  console.log(`    • GET /api/v1/leaderboards/:scenarioId   - Ranking do cenário`);
+  console.log(`    • GET/POST /api/v1/trainees              - Alunos`);
+  console.log(`    • GET /api/v1/trainees/:id/progress      - Progresso no currículo`);
+  console.log("");
+  console.log("  Ao vivo:");
+  console.log(`    • ws://localhost:${PORT}/ws/live         - Simuladores, instrutores e telemetria`);
   console.log("");
   console.log("  Pressione Ctrl+C para parar o servidor");
   console.log(
     "═══════════════════════════════════════════════════════════════"
   );
   console.log("");
-});
+}
+
+// Carregar API e iniciar servidor
+createAPIRouter()
+  .then((router) => {
+    handleAPIRequest = router;
+    startServer();
+  })
+  .catch((err) => {
+    console.error("❌ Erro ao carregar a API:", err);
+    process.exit(1);
+  });
 
 // Tratamento de erros
 server.on("error", (err) => {
@@ -0,0 +1,86 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Coleção de registros persistida em um único arquivo JSON
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require("crypto");
+const { readJSON, writeJSON } = require("./json-store");
+
+class JSONCollection {
+  /**
+   * @param {string} filePath - Arquivo JSON que guarda a lista de registros
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = [];
+
+    // Gravações enfileiradas para não sobrepor escritas concorrentes
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    const data = await readJSON(this.filePath, []);
+    this.records = Array.isArray(data) ? data : [];
+    return this;
+  }
+
+  all() {
+    return this.records;
+  }
+
+  get(id) {
+    return this.records.find((record) => record.id === id) || null;
+  }
+
+  /**
+   * Insere um registro gerando `id` e `createdAt`
+   * @returns {Promise<object>} Registro gravado
+   */
+  async insert(data) {
+    const record = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...data,
+    };
+    this.records.push(record);
+    await this.save();
+    return record;
+  }
+
+  /**
+   * Atualiza campos de um registro existente
+   * @returns {Promise<object|null>} Registro atualizado ou null se não existir
+   */
+  async update(id, changes) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    Object.assign(record, changes, {
+      id,
+      updatedAt: new Date().toISOString(),
+    });
+    await this.save();
+    return record;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false se o registro não existia
+   */
+  async remove(id) {
+    const index = this.records.findIndex((record) => record.id === id);
+    if (index === -1) return false;
+
+    this.records.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  save() {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => writeJSON(this.filePath, this.records));
+    return this.writeQueue;
+  }
+}
+
+module.exports = { JSONCollection };
@@ -0,0 +1,90 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR SERVER
+// Armazenamento local em arquivos JSON
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require("fs/promises");
+const path = require("path");
+
+// Diretório de dados (pode ser alterado com DATA_DIR=/caminho)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "..", "data");
+
+/**
+ * Resolve um caminho relativo ao diretório de dados
+ * @param {...string} parts - Segmentos do caminho
+ */
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/**
+ * Lê um arquivo JSON, retornando `fallback` se ele não existir
+ * @param {string} filePath - Caminho absoluto
+ * @param {*} fallback - Valor retornado quando o arquivo não existe
+ */
+async function readJSON(filePath, fallback = null) {
+  try {
+    const content = await fs.readFile(filePath, "utf8");
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+/**
+ * Grava um arquivo JSON de forma atômica (arquivo temporário + rename)
+ * @param {string} filePath - Caminho absoluto
+ * @param {*} data - Conteúdo serializável
+ */
+async function writeJSON(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2) + "\n", "utf8");
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Remove um arquivo JSON
+ * @returns {Promise<boolean>} false se o arquivo não existia
+ */
+async function removeJSON(filePath) {
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+/**
+ * Lê todos os arquivos .json de um diretório
+ * @param {string} dirPath - Caminho absoluto
+ * @returns {Promise<Array<{ name: string, data: * }>>} name = nome sem extensão
+ */
+async function readJSONDirectory(dirPath) {
+  let files;
+  try {
+    files = await fs.readdir(dirPath);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const entries = [];
+  for (const file of files.filter((f) => f.endsWith(".json")).sort()) {
+    const data = await readJSON(path.join(dirPath, file));
+    entries.push({ name: path.basename(file, ".json"), data });
+  }
+  return entries;
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJSON,
+  writeJSON,
+  removeJSON,
+  readJSONDirectory,
+};
@@ -285,6 +285,37 @@ export class CollisionSystem {
     return correctionVector;
   }
 
+  /**
+   * Primeira interseção de um segmento com os objetos colidíveis.
+   * Usado pelo umbilical para detectar contato do cabo com as estruturas.
+   *
+   * @param {THREE.Vector3} start - Início do segmento.
+   * @param {THREE.Vector3} end - Fim do segmento.
+   * @returns {{point: THREE.Vector3, normal: THREE.Vector3, distance: number}|null}
+   *   Ponto de contato, normal da face (mundo) e distância a partir do início.
+   */
+  intersectSegment(start, end) {
+    if (!this.enabled || this.collidableObjects.length === 0) return null;
+
+    const direction = end.clone().sub(start);
+    const length = direction.length();
+    if (length < 1e-6) return null;
+
+    this.raycaster.set(start, direction.divideScalar(length));
+    this.raycaster.far = length;
+
+    const hit = this.raycaster.intersectObjects(this.collidableObjects, false)[0];
+    if (!hit) return null;
+
+    // Normal da face no referencial do mundo, voltada contra o segmento
+    const normal = hit.face
+      ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+      : direction.clone().negate();
+    if (normal.dot(direction) > 0) normal.negate();
+
+    return { point: hit.point, normal, distance: hit.distance };
+  }
+
   /**
    * Atualiza a posição dos helpers visuais para seguir o ROV.
    * Chamado a cada frame para manter os raios visuais sincronizados com a posição do ROV.
@@ -12,6 +12,9 @@ export class GamepadController {
     this.buttonState = {};
     this.vibrationSupported = false;
 
+    // Inclinação da câmera pedida pelo analógico direito (vertical)
+    this.cameraTilt = 0;
+
     // Mapeamento de botões Xbox
     this.buttonMap = {
       0: "A", // A - Trocar câmera
@@ -28,8 +31,8 @@ export class GamepadController {
       11: "RS", // R3 - Pressionar analógico direito
       12: "Up", // D-Pad Up
       13: "Down", // D-Pad Down
-      14: "Left", // D-Pad Left
-      15: "Right", // D-Pad Right
+      14: "Left", // D-Pad Left - Roll para bombordo (segurar)
+      15: "Right", // D-Pad Right - Roll para boreste (segurar)
       16: "Home", // Xbox/PS button
     };
 
@@ -90,6 +93,13 @@ export class GamepadController {
 
     this.gamepad = null;
     this.connected = false;
+    this.cameraTilt = 0;
+
+    // Soltar os eixos: sem isso o último valor lido continuaria valendo
+    const input = this.simulator.gamepadInput;
+    if (input) {
+      for (const axis of Object.keys(input)) input[axis] = 0;
+    }
   }
 
   getControllerType() {
@@ -141,9 +151,13 @@ export class GamepadController {
     const leftX = this.applyDeadzone(gp.axes[0]); // Esquerda/Direita
     const leftY = this.applyDeadzone(gp.axes[1]); // Frente/Trás
 
-    // Analógico direito: Rotação (yaw/pitch)
+    // Analógico direito: Rotação (yaw) e inclinação da câmera
     const rightX = this.applyDeadzone(gp.axes[2]); // Rotação horizontal
-    const rightY = this.applyDeadzone(gp.axes[3]); // Inclinação
+    const rightY = this.applyDeadzone(gp.axes[3]); // Inclinação da câmera
+
+    // D-Pad esquerda/direita: roll do veículo
+    const pressed = (index) => Boolean(gp.buttons[index]?.pressed);
+    const roll = (pressed(15) ? 1 : 0) - (pressed(14) ? 1 : 0);
 
     // Triggers: Subir/Descer
     // Em alguns controles, triggers são botões (6, 7)
@@ -157,14 +171,16 @@ export class GamepadController {
       heave = rt - lt;
     }
 
-    // Aplicar ao input do simulador
-    if (sim.input) {
-      sim.input.sway = leftX; // Movimento lateral
-      sim.input.surge = -leftY; // Movimento frente/trás (invertido)
-      sim.input.yaw = -rightX; // Rotação horizontal (invertido para Logitech)
-      sim.input.pitch = -rightY * 0.5; // Inclinação (reduzida e invertida)
-      sim.input.heave = heave; // Subir/Descer
+    // Aplicar ao canal do gamepad (combinado com o teclado em updateInput)
+    if (sim.gamepadInput) {
+      sim.gamepadInput.sway = leftX; // Movimento lateral
+      sim.gamepadInput.surge = -leftY; // Movimento frente/trás (invertido)
+      sim.gamepadInput.yaw = -rightX; // Rotação horizontal (invertido para Logitech)
+      sim.gamepadInput.pitch = 0; // Pitch do veículo: apenas teclado (I/K)
+      sim.gamepadInput.roll = roll;
+      sim.gamepadInput.heave = heave; // Subir/Descer
     }
+    this.cameraTilt = -rightY * 0.5; // Reduzida e invertida
 
     // Debug - descomentar para ver valores dos eixos
     // console.log(`L:(${leftX.toFixed(2)}, ${leftY.toFixed(2)}) R:(${rightX.toFixed(2)}, ${rightY.toFixed(2)}) H:${heave.toFixed(2)}`);
@@ -200,8 +216,9 @@ export class GamepadController {
         break;
 
       case 1: // B - Pausar
-        sim.isPaused = !sim.isPaused;
-        sim.addEvent("info", sim.isPaused ? "Pausado" : "Retomado");
+        if (sim.togglePause()) {
+          sim.addEvent("info", sim.isPaused ? "Pausado" : "Retomado");
+        }
         break;
 
       case 2: // X - Luzes
@@ -255,6 +272,10 @@ export class GamepadController {
         }
         break;
 
+      case 11: // R3 - Foto
+        sim.requestPhoto();
+        break;
+
       case 12: // D-Pad Up - Aumentar luz
         sim.lightPower = Math.min(2.0, (sim.lightPower || 1) + 0.1);
         this.updateLights();
@@ -3,8 +3,13 @@
 // Classe Principal do Simulador
 // ═══════════════════════════════════════════════════════════════════════════
 
-import { SCENARIO_CONFIGS } from "../scenarios/index.js";
+import {
+  SCENARIO_CONFIGS,
+  getScenarioList,
+  registerScenarios,
+} from "../scenarios/index.js";
 import { Physics } from "./physics.js";
+import { ObjectiveSystem } from "./objectives.js";
 import { Controls } from "./controls.js";
 import { HUD } from "./hud.js";
 import { EnvironmentFactory } from "../environments/EnvironmentFactory.js";
@@ -13,20 +18,91 @@ import { GamepadController } from "./GamepadController.js";
 import { CollisionSystem } from "./CollisionSystem.js";
 import { CameraController } from "./camera-controller.js";
 import { UpdateHUD } from "./update-HUD.js";
+import { SessionReporter } from "./session-reporter.js";
+import { SessionRecorder } from "./session-recorder.js";
+import { SeededRandom } from "./random.js";
+import { Tether } from "./tether.js";
+import { CurrentField } from "./current-field.js";
+import { Ballast } from "./ballast.js";
+import { PowerSystem } from "./power-system.js";
+import { ThermalModel } from "./thermal-model.js";
+import { FaultSystem } from "./fault-system.js";
+import { InstructorCommands } from "./instructor-commands.js";
+import { LiveLink } from "./live-link.js";
+import { SpectatorLink } from "./spectator.js";
+import { EmbedAPI } from "./embed-api.js";
+import { PhotoCapture } from "./photo-capture.js";
+import { GradingSystem } from "./grading.js";
+import { MissionRules } from "./mission-rules.js";
+import {
+  DEFAULT_VEHICLE,
+  VEHICLE_PROFILES,
+  getVehicleProfile,
+} from "../vehicles/vehicle-profiles.js";
 // GLTFLoader carregado via CDN - usa THREE.GLTFLoader
 
+// Passo fixo da simulação (60 Hz) - independe da taxa de quadros
+const FIXED_TIMESTEP = 1 / 60;
+// Máximo de passos por quadro (evita "espiral da morte" em quadros lentos)
+const MAX_STEPS_PER_FRAME = 5;
+
+// Teclas do espectador: só a câmera (C, Z) e o debug de colisões (G)
+const SPECTATOR_KEYS = ["KeyC", "KeyZ", "KeyG"];
+
+/**
+ * Opções da sessão lidas da URL
+ * (?scenario=&seed=&trainee=&embedded=&host=&spectate=)
+ */
+function readURLOptions() {
+  const urlParams = new URLSearchParams(window.location.search);
+  return {
+    scenarioId: urlParams.get("scenario"),
+    seed: urlParams.get("seed"),
+    traineeId: urlParams.get("trainee"),
+    embedded: urlParams.get("embedded") === "true",
+    embedHost: urlParams.get("host"),
+    rovModel: urlParams.get("rov"),
+    spectate: urlParams.get("spectate"),
+  };
+}
+
 export class ROVSimulator {
-  constructor() {
-    // Ler cenário da URL
-    const urlParams = new URLSearchParams(window.location.search);
-    this.scenarioId = urlParams.get("scenario") || "fpso_inspection";
+  /**
+   * @param {object} [options] - Padrão: lidas da URL (ver readURLOptions)
+   * @param {string} [options.scenarioId]
+   * @param {number|string} [options.seed]
+   * @param {string} [options.traineeId]
+   * @param {boolean} [options.embedded]
+   * @param {string} [options.embedHost] - Origem da página hospedeira
+   * @param {string} [options.rovModel] - "rov_pi" | "rov_omega"
+   * @param {string} [options.spectate] - ID da sessão ao vivo a assistir
+   */
+  constructor(options = readURLOptions()) {
+    this.scenarioId = options.scenarioId || "fpso_inspection";
     this.scenarioConfig =
       SCENARIO_CONFIGS[this.scenarioId] || SCENARIO_CONFIGS.fpso_inspection;
-    this.isEmbedded = urlParams.get("embedded") === "true";
+    this.isEmbedded = Boolean(options.embedded);
+    this.embedHost = options.embedHost || null;
+    this.traineeId = options.traineeId || null;
+
+    // Semente da sessão (?seed=): mesma semente + mesmos comandos = mesma sessão
+    this.seed =
+      SeededRandom.normalizeSeed(options.seed) ?? SeededRandom.randomSeed();
+    this.random = new SeededRandom(this.seed);
+
+    // Fluxos independentes: geração do mundo, eventos, ruído de sensores e
+    // rajadas de corrente
+    this.rng = {
+      world: this.random.fork("world"),
+      events: this.random.fork("events"),
+      sensors: this.random.fork("sensors"),
+      currents: this.random.fork("currents"),
+    };
 
     // State
     this.isRunning = false;
     this.isPaused = false;
+    this.pausedByInstructor = false; // Só o instrutor retoma
     this.isArmed = true;
     this.lightsOn = true;
     this.lightPower = 1.0;
@@ -34,19 +110,12 @@ export class ROVSimulator {
     this.score = 0;
     this.totalPossibleScore = 0;
 
-    // Objectives - clonar para não modificar o original
-    this.objectives = JSON.parse(
-      JSON.stringify(this.scenarioConfig.objectives || []),
-    );
-    this.objectives.forEach((obj) => {
-      obj.completed = false;
-      this.totalPossibleScore += obj.points;
-    });
+    // Objectives - preenchidos por applyScenarioConfig()
+    this.objectives = [];
 
     // Tracking para objetivos
     this.distanceTraveled = 0;
     this.lastPosition = null;
-    this.timeAtObjective = 0;
 
     // Multiplicador de velocidade (25% a 1000%)
     this.speedMultiplier = 1.0;
@@ -54,10 +123,13 @@ export class ROVSimulator {
     // Sistema de Dano
     this.damage = 0;
     this.maxDamage = 100;
-    this.lastCollisionTime = 0;
+    this.lastCollisionTime = -Infinity;
     this.collisionCooldown = 0.5;
     this.obstacles = [];
     this.missionFailed = false;
+    this.failureReason = null;
+    this.missionCompleted = false;
+    this.missionEnded = false;
 
     // Sistema de Coleta de ROVs
     this.collectableROVs = [];
@@ -70,7 +142,8 @@ export class ROVSimulator {
       active: false,
       type: null,
       timer: 0,
-      nextEventTime: 60 + Math.random() * 120,
+      deadline: 0,
+      nextEventTime: this.rng.events.range(60, 180),
       maintenanceZone: { x: 0, y: -3, z: 0, radius: 10 },
     };
 
@@ -101,15 +174,13 @@ export class ROVSimulator {
       },
     ];
 
-    // ROV State - usar posição inicial do cenário
+    // ROV State - posição inicial definida por applyScenarioConfig()
+    // rotation: Euler "YZX" (y = rumo, z = pitch, x = roll)
+    // angularVelocity: referencial do corpo (x = roll, y = yaw, z = pitch)
     this.rov = {
-      position: new THREE.Vector3(
-        this.scenarioConfig.startX || 0,
-        this.scenarioConfig.startY || -30,
-        this.scenarioConfig.startZ || 0,
-      ),
+      position: new THREE.Vector3(),
       velocity: new THREE.Vector3(),
-      rotation: new THREE.Euler(0, 0, 0, "YXZ"),
+      rotation: new THREE.Euler(0, 0, 0, "YZX"),
       angularVelocity: new THREE.Vector3(),
       thrusters: new Array(8).fill(0),
     };
@@ -122,20 +193,46 @@ export class ROVSimulator {
       yaw: 0,
       pitch: 0,
       roll: 0,
+      winch: 0, // Guincho do umbilical: +1 solta, -1 recolhe
+      ballast: 0, // Bombas do lastro: +1 esvazia (sobe), -1 alaga (desce)
+    };
+
+    // Eixos do gamepad e da página hospedeira (EmbedAPI.setInput). Ficam
+    // separados de this.input para o teclado não voltar como "gamepad" no
+    // passo seguinte depois de solto
+    this.gamepadInput = {
+      surge: 0,
+      sway: 0,
+      heave: 0,
+      yaw: 0,
+      pitch: 0,
+      roll: 0,
     };
 
     // Key states
     this.keys = {};
     this.cameraPitch = 0;
 
-    // Environment - usar configurações do cenário
+    // Foto pedida (P / R3): tirada no próximo passo; photoTaken marca o
+    // passo da foto na gravação
+    this.photoRequested = false;
+    this.photoTaken = false;
+
+    // Modelo de ROV selecionado (padrão: rov_pi)
+    this.currentROVModel = VEHICLE_PROFILES[options.rovModel]
+      ? options.rovModel
+      : DEFAULT_VEHICLE;
+
+    // Environment - valores definidos por applyScenarioConfig()
     this.environment = {
-      seabedDepth: this.scenarioConfig.seabedDepth,
-      visibility: this.scenarioConfig.visibility,
-      currentX: this.scenarioConfig.currentX,
-      currentY: this.scenarioConfig.currentY,
+      seabedDepth: 0,
+      visibility: 0,
+      currentX: 0,
+      currentY: 0,
     };
 
+    this.applyScenarioConfig(this.scenarioConfig);
+
     // Three.js
     this.scene = null;
     this.camera = null;
@@ -169,12 +266,36 @@ export class ROVSimulator {
       manualRotation: false,
     };
 
-    // Animation
+    // Animation - passo fixo com interpolação na renderização
     this.clock = new THREE.Clock();
     this.lastTime = 0;
+    this.fixedTimeStep = FIXED_TIMESTEP;
+    this.accumulator = 0;
+    this.simulationTick = 0;
+
+    // Pose do passo anterior (interpolada com a atual ao renderizar)
+    this.previousPose = {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+    };
+    this.renderPose = {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      rotation: new THREE.Euler(0, 0, 0, "YZX"),
+    };
 
-    // Subsystems
-    this.physics = null;
+    // Subsystems (física e objetivos não dependem do DOM)
+    this.physics = new Physics(this);
+    this.currentField = new CurrentField(this);
+    this.ballast = new Ballast(this);
+    this.power = new PowerSystem(this);
+    this.thermal = new ThermalModel(this);
+    this.faults = new FaultSystem(this);
+    this.instructor = new InstructorCommands(this);
+    this.objectiveSystem = new ObjectiveSystem(this);
+    this.photoCapture = new PhotoCapture(this);
+    this.grading = new GradingSystem(this);
+    this.missionRules = new MissionRules(this);
     this.controls = null;
     this.hud = null;
     this.environmentFactory = null;
@@ -182,15 +303,87 @@ export class ROVSimulator {
     this.collisionSystem = null;
     this.cameraController = null;
     this.hudController = null;
+    this.sessionReporter = null;
+    this.recorder = null;
+    this.liveLink = null;
+    this.embedAPI = null; // Modo embutido (?embedded=true dentro de um iframe)
+
+    // Modo espectador: o ROV espelha a sessão ao vivo de outro aluno
+    this.spectator = options.spectate
+      ? new SpectatorLink(this, options.spectate)
+      : null;
 
     // Initialize
     this.init();
   }
 
+  /**
+   * Aplica a configuração do cenário: objetivos, posição inicial e ambiente
+   * @param {object} config - Configuração do cenário (SCENARIO_CONFIGS)
+   */
+  applyScenarioConfig(config) {
+    this.scenarioConfig = config;
+
+    // Objectives - clonar para não modificar o original
+    this.objectives = JSON.parse(JSON.stringify(config.objectives || []));
+    this.totalPossibleScore = 0;
+    this.objectives.forEach((obj) => {
+      obj.completed = false;
+      obj.skipped = false;
+      // Opcionais são bônus
+      if (!obj.optional) this.totalPossibleScore += obj.points;
+    });
+
+    this.rov.position.set(
+      config.startX || 0,
+      config.startY || -30,
+      config.startZ || 0,
+    );
+
+    this.environment.seabedDepth = config.seabedDepth;
+    this.environment.visibility = config.visibility;
+    this.environment.currentX = config.currentX || 0;
+    this.environment.currentY = config.currentY || 0;
+  }
+
+  /**
+   * Muda a visibilidade da água (névoa da cena)
+   * @param {number} visibility - m
+   */
+  setVisibility(visibility) {
+    this.environment.visibility = visibility;
+    if (this.scene && this.scene.fog) {
+      this.scene.fog.density = 1 / (visibility * 8);
+    }
+  }
+
+  /**
+   * Reposiciona o ROV parado (teleporte e reset do instrutor); o umbilical
+   * é estendido de novo até a nova posição
+   * @param {THREE.Vector3} position
+   * @param {number} [heading] - Rumo (rad), padrão: o atual
+   */
+  placeROV(position, heading = this.rov.rotation.y) {
+    this.rov.position.copy(position);
+    this.rov.rotation.set(0, heading, 0);
+    this.rov.velocity.set(0, 0, 0);
+    this.rov.angularVelocity.set(0, 0, 0);
+
+    // Sem interpolação nem distância percorrida no salto
+    this.previousPose.position.copy(this.rov.position);
+    this.previousPose.quaternion.setFromEuler(this.rov.rotation);
+    if (this.lastPosition) this.lastPosition.copy(this.rov.position);
+
+    if (this.tether) this.tether.init();
+  }
+
   async init() {
     this.updateLoadingStatus("Connecting to server...", 5);
     await this.sleep(100);
 
+    // Cenários personalizados precisam estar registrados antes da cena
+    await this.loadCustomScenarios();
+
     // Load scenarios from API
     await this.loadScenariosFromAPI();
 
@@ -239,50 +432,68 @@ export class ROVSimulator {
   async loadScenariosFromAPI() {
     try {
       const response = await fetch("/api/v1/scenarios");
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
       const data = await response.json();
 
-      if (data.success && data.data) {
-        this.availableScenarios = data.data;
-        console.log(
-          `Loaded ${this.availableScenarios.length} scenarios from server`,
-        );
-        this.updateScenarioList();
+      if (!data.success || !Array.isArray(data.data)) {
+        throw new Error(data.error || "Resposta inválida da API");
       }
+
+      this.availableScenarios = data.data;
+      console.log(
+        `Loaded ${this.availableScenarios.length} scenarios from server`,
+      );
     } catch (error) {
       console.warn("Could not load scenarios from API, using defaults");
       this.availableScenarios = this.getDefaultScenarios();
     }
+
+    this.updateScenarioList();
+  }
+
+  /**
+   * Busca os cenários personalizados criados pela API de autoria
+   * e aplica o cenário pedido na URL caso ele seja um deles
+   */
+  async loadCustomScenarios() {
+    try {
+      const response = await fetch("/api/v1/scenarios/custom");
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+
+      const registered = registerScenarios(data.data);
+      if (registered.includes(this.scenarioId)) {
+        this.applyScenarioConfig(SCENARIO_CONFIGS[this.scenarioId]);
+      }
+    } catch (error) {
+      console.warn("Could not load custom scenarios:", error.message);
+    }
   }
 
   getDefaultScenarios() {
-    return Object.entries(SCENARIO_CONFIGS).map(([id, config]) => ({
-      id,
-      name: config.name,
-      difficulty:
-        config.difficulty === "easy"
-          ? 1
-          : config.difficulty === "medium"
-            ? 2
-            : config.difficulty === "hard"
-              ? 3
-              : config.difficulty === "expert"
-                ? 4
-                : 5,
-    }));
+    // Mesmo formato do servidor (dificuldade numérica 1-5)
+    return getScenarioList();
   }
 
   updateScenarioList() {
     const selector = document.getElementById("scenario-selector");
     if (!selector) return;
 
-    selector.innerHTML = this.availableScenarios
-      .map(
-        (s) =>
-          `<option value="${s.id}">${s.name} (★${"★".repeat(
-            s.difficulty - 1,
-          )})</option>`,
-      )
-      .join("");
+    // Nomes de cenários personalizados vêm da API: texto, nunca HTML
+    selector.innerHTML = "";
+    this.availableScenarios.forEach((s) => {
+      const label = `${s.name} (★${"★".repeat(s.difficulty - 1)})`;
+      const selected = s.id === this.scenarioId;
+      selector.add(new Option(label, s.id, selected, selected));
+    });
+
+    // Trocar de cenário recarrega o simulador com o novo ID
+    selector.onchange = () => {
+      const params = new URLSearchParams(window.location.search);
+      params.set("scenario", selector.value);
+      window.location.search = params.toString();
+    };
   }
 
   sleep(ms) {
@@ -373,29 +584,6 @@ export class ROVSimulator {
     // Criar modelo fallback primeiro (caixa)
     this.createFallbackROV();
 
-    // Modelo atual selecionado (padrão: rov_pi)
-    this.currentROVModel = "rov_pi";
-
-    // Definir hitboxes específicas para cada modelo ROV (proporcional ao rovScaleMultiplier = 0.5)
-    this.rovHitboxes = {
-      rov_pi: {
-        // ROV Pi - mais compacto
-        width: 0.5,
-        height: 0.4,
-        depth: 0.6,
-        radius: 0.35,
-        offsetY: 0,
-      },
-      rov_omega: {
-        // ROV Omega - maior
-        width: 1.2,
-        height: 0.8,
-        depth: 1.6,
-        radius: 1.0,
-        offsetY: 0,
-      },
-    };
-
     // Tentar carregar modelo STL real
     this.loadRealROVModel(this.currentROVModel);
 
@@ -403,9 +591,14 @@ export class ROVSimulator {
     this.initROVSelector();
   }
 
+  // Perfil hidrodinâmico do ROV atual (massa, arrasto, câmeras...)
+  getVehicleProfile() {
+    return getVehicleProfile(this.currentROVModel);
+  }
+
   // Obter hitbox do ROV atual
   getROVHitbox() {
-    return this.rovHitboxes[this.currentROVModel] || this.rovHitboxes.rov_pi;
+    return this.getVehicleProfile().hitbox;
   }
 
   // Obter raio de colisão do ROV atual
@@ -417,6 +610,12 @@ export class ROVSimulator {
     const rovOptions = document.querySelectorAll(".rov-option");
 
     rovOptions.forEach((option) => {
+      // Modelo pode vir da URL (?rov=)
+      option.classList.toggle(
+        "selected",
+        option.dataset.model === this.currentROVModel,
+      );
+
       option.addEventListener("click", () => {
         // Remover seleção anterior
         rovOptions.forEach((opt) => opt.classList.remove("selected"));
@@ -428,10 +627,14 @@ export class ROVSimulator {
         const modelName = option.dataset.model;
 
         // Trocar modelo se for diferente
+        // A dinâmica (perfil do veículo) muda no próximo passo da física
         if (modelName !== this.currentROVModel) {
           this.currentROVModel = modelName;
           this.loadRealROVModel(modelName);
-          this.addEvent("info", `Modelo alterado: ${modelName.toUpperCase()}`);
+          this.addEvent(
+            "info",
+            `Modelo alterado: ${this.getVehicleProfile().name}`,
+          );
         }
       });
     });
@@ -667,11 +870,68 @@ export class ROVSimulator {
 
     // Criar marcadores de objetivos
     this.createObjectiveMarkers();
+    this.createForbiddenZones();
 
     // Criar túneis do circuito (apenas para training_arena)
     if (this.scenarioId === "training_arena") {
       this.createObstacleTunnels();
     }
+
+    // Estruturas do cenário (colidem com o ROV e com o umbilical)
+    this.createStructures();
+
+    // Correntes (as esteiras dependem das estruturas)
+    this.currentField.init();
+    this.ballast.init();
+    this.power.init();
+    this.thermal.init();
+    this.faults.init();
+
+    this.initTether();
+  }
+
+  /**
+   * Pilares descritos em scenarioConfig.structures
+   * ({ type: "pillar", position: base, radius, height })
+   */
+  createStructures() {
+    const structures = this.scenarioConfig.structures || [];
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x6a6a5a,
+      roughness: 0.8,
+      metalness: 0.4,
+    });
+
+    structures.forEach((structure, index) => {
+      if (structure.type !== "pillar") return;
+
+      const { position, radius, height } = structure;
+      const pillar = new THREE.Mesh(
+        new THREE.CylinderGeometry(radius, radius, height, 16),
+        material,
+      );
+      pillar.name = `structure-${index}`;
+      pillar.position.set(position.x, position.y + height / 2, position.z);
+      this.scene.add(pillar);
+
+      if (this.collisionSystem) {
+        this.collisionSystem.addCollidableObject(pillar);
+      }
+
+      this.obstacles.push({
+        type: "cylinder",
+        position: new THREE.Vector3(position.x, position.y, position.z),
+        radius,
+        height,
+      });
+    });
+  }
+
+  // Umbilical da superfície/TMS até o ROV
+  initTether() {
+    this.tether = new Tether(this);
+    this.tether.init();
+    if (this.renderer) this.tether.createVisual(this.scene);
   }
 
   async loadScenarioModel() {
@@ -740,7 +1000,7 @@ export class ROVSimulator {
     const positions = seabedGeometry.attributes.position;
     for (let i = 0; i < positions.count; i++) {
       const z = positions.getZ(i);
-      positions.setZ(i, z + Math.random() * 2 - 1);
+      positions.setZ(i, z + this.rng.world.next() * 2 - 1);
     }
     seabedGeometry.computeVertexNormals();
 
@@ -752,7 +1012,7 @@ export class ROVSimulator {
 
     // Adicionar algumas rochas
     for (let i = 0; i < 15; i++) {
-      const rockSize = 1 + Math.random() * 3;
+      const rockSize = 1 + this.rng.world.next() * 3;
       const rockGeometry = new THREE.DodecahedronGeometry(rockSize, 0);
       const rockMaterial = new THREE.MeshStandardMaterial({
         color: 0x4a4540,
@@ -760,11 +1020,11 @@ export class ROVSimulator {
       });
       const rock = new THREE.Mesh(rockGeometry, rockMaterial);
       rock.position.set(
-        Math.random() * 200 - 100,
-        -seabedDepth + Math.random() * 2,
-        Math.random() * 200 - 100,
+        this.rng.world.next() * 200 - 100,
+        -seabedDepth + this.rng.world.next() * 2,
+        this.rng.world.next() * 200 - 100,
       );
-      rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+      rock.rotation.set(this.rng.world.next() * Math.PI, this.rng.world.next() * Math.PI, 0);
       rock.scale.y = 0.5;
       this.scene.add(rock);
     }
@@ -777,9 +1037,9 @@ export class ROVSimulator {
     const seabedDepth = this.environment.seabedDepth;
 
     for (let i = 0; i < particleCount; i++) {
-      positions[i * 3] = Math.random() * 150 - 75;
-      positions[i * 3 + 1] = -Math.random() * seabedDepth;
-      positions[i * 3 + 2] = Math.random() * 150 - 75;
+      positions[i * 3] = this.rng.world.next() * 150 - 75;
+      positions[i * 3 + 1] = -this.rng.world.next() * seabedDepth;
+      positions[i * 3 + 2] = this.rng.world.next() * 150 - 75;
     }
 
     geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
@@ -801,8 +1061,8 @@ export class ROVSimulator {
     console.log("ROV Model:", this.rovModel ? "OK" : "FALTANDO");
     console.log("Scenario Model:", this.scenarioModel ? "OK" : "FALTANDO");
 
-    if (!this.rovModel || !this.scenarioModel) {
-      console.warn("ROV ou cenário não carregado, colisão desabilitada");
+    if (!this.rovModel) {
+      console.warn("ROV não carregado, colisão desabilitada");
       // Mesmo sem cenário, inicializar os controladores!
       console.log("Inicializando controladores mesmo sem cenário...");
       this.cameraController = new CameraController(this);
@@ -813,14 +1073,19 @@ export class ROVSimulator {
     }
 
     try {
+      // Sem modelo do cenário o sistema ainda recebe as estruturas
+      // (createStructures) para colisão do ROV e do umbilical
       this.collisionSystem = new CollisionSystem(this.scene, this.rovModel);
-      this.collisionSystem.addCollidableObject(this.scenarioModel);
       console.log("Sistema de colisão inicializado com raycasting");
 
-      // Ativar debug por padrão para teste
-      this.collisionSystem.showDebug = true;
-      this.collisionSystem.createDebugHelpers();
-      console.log("Debug de colisão ATIVADO - raios visíveis");
+      if (this.scenarioModel) {
+        this.collisionSystem.addCollidableObject(this.scenarioModel);
+
+        // Ativar debug por padrão para teste
+        this.collisionSystem.showDebug = true;
+        this.collisionSystem.createDebugHelpers();
+        console.log("Debug de colisão ATIVADO - raios visíveis");
+      }
     } catch (error) {
       console.error("Erro ao inicializar sistema de colisão:", error);
     }
@@ -948,10 +1213,13 @@ export class ROVSimulator {
       if (obj.target) {
         const markerGroup = new THREE.Group();
 
+        // Zonas proibidas em vermelho
+        const color = obj.type === "avoid" ? 0xff3344 : 0x00ff88;
+
         // Esfera central
         const sphereGeometry = new THREE.SphereGeometry(1, 16, 16);
         const sphereMaterial = new THREE.MeshBasicMaterial({
-          color: 0x00ff88,
+          color,
           transparent: true,
           opacity: 0.8,
         });
@@ -965,7 +1233,7 @@ export class ROVSimulator {
           32,
         );
         const ringMaterial = new THREE.MeshBasicMaterial({
-          color: 0x00ff88,
+          color,
           side: THREE.DoubleSide,
           transparent: true,
           opacity: 0.3,
@@ -977,12 +1245,86 @@ export class ROVSimulator {
         markerGroup.position.set(obj.target.x, obj.target.y, obj.target.z);
         markerGroup.userData = { objectiveIndex: index, objective: obj };
 
+        // Manter posição: anel de progresso em volta do alvo
+        if (obj.type === "hold") {
+          markerGroup.userData.progressRing = this.createProgressRing(
+            obj.radius || 5,
+          );
+          markerGroup.add(markerGroup.userData.progressRing);
+        }
+
         this.scene.add(markerGroup);
         this.objectiveMarkers.push(markerGroup);
       }
     });
   }
 
+  /**
+   * Zonas proibidas das regras do cenário: esfera vermelha do tamanho da
+   * zona (sempre visível, ao contrário dos marcadores de objetivo)
+   */
+  createForbiddenZones() {
+    const zones = this.missionRules.rules.forbiddenZones || [];
+
+    zones.forEach((zone, index) => {
+      const sphere = new THREE.Mesh(
+        new THREE.SphereGeometry(zone.radius, 24, 16),
+        new THREE.MeshBasicMaterial({
+          color: 0xff3344,
+          wireframe: true,
+          transparent: true,
+          opacity: 0.25,
+        }),
+      );
+      sphere.name = `forbidden-zone-${index}`;
+      sphere.position.set(zone.position.x, zone.position.y, zone.position.z);
+      this.scene.add(sphere);
+    });
+  }
+
+  /**
+   * Anel que se completa com o progresso (desenhado por segmentos)
+   * @param {number} radius - Raio interno (m)
+   */
+  createProgressRing(radius) {
+    const segments = 64;
+    const geometry = new THREE.RingGeometry(radius, radius + 0.5, segments);
+    geometry.setDrawRange(0, 0);
+
+    const ring = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color: 0xffcc00,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.8,
+      }),
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.userData.segments = segments;
+    return ring;
+  }
+
+  // Só objetivos ativos têm marcador; progresso dos "hold" nos anéis
+  updateObjectiveMarkers() {
+    (this.objectiveMarkers || []).forEach((marker) => {
+      marker.visible =
+        this.objectiveSystem.getState(marker.userData.objective) === "active";
+
+      const ring = marker.userData.progressRing;
+      if (!ring) return;
+
+      const progress = this.objectiveSystem.getProgress(
+        marker.userData.objective,
+      );
+      // Cada segmento do anel são dois triângulos (6 índices)
+      ring.geometry.setDrawRange(
+        0,
+        Math.round(progress * ring.userData.segments) * 6,
+      );
+    });
+  }
+
   createObstacleTunnels() {
     // Pontos de controle do circuito - ajustados para evitar sobreposição
     // O final entra pelo sudoeste, alinhado com a saída que vai para nordeste
@@ -1142,7 +1484,7 @@ export class ROVSimulator {
 
       // Escolher tipo de obstáculo
       const type =
-        obstacleTypes[Math.floor(Math.random() * obstacleTypes.length)];
+        obstacleTypes[Math.floor(this.rng.world.next() * obstacleTypes.length)];
 
       // Se for parede, verificar distância das outras paredes
       if (type === "beam") {
@@ -1162,32 +1504,32 @@ export class ROVSimulator {
       // Posição - paredes no centro, outros com offset
       const position = centerPoint.clone();
       if (type !== "beam") {
-        const offsetDist = (Math.random() - 0.5) * (this.tunnelRadius * 0.8);
-        const offsetHeight = (Math.random() - 0.5) * (this.tunnelRadius * 0.6);
+        const offsetDist = (this.rng.world.next() - 0.5) * (this.tunnelRadius * 0.8);
+        const offsetHeight = (this.rng.world.next() - 0.5) * (this.tunnelRadius * 0.6);
         position.addScaledVector(right, offsetDist);
         position.addScaledVector(realUp, offsetHeight);
       }
-      const material = Math.random() > 0.5 ? obstacleMaterial : warningMaterial;
+      const material = this.rng.world.next() > 0.5 ? obstacleMaterial : warningMaterial;
 
       let obstacle;
       let collisionRadius;
 
       switch (type) {
         case "box":
-          const boxSize = 5 + Math.random() * 2;
+          const boxSize = 5 + this.rng.world.next() * 2;
           const boxGeo = new THREE.BoxGeometry(boxSize, boxSize, boxSize);
           obstacle = new THREE.Mesh(boxGeo, material);
           obstacle.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
+            this.rng.world.next() * Math.PI,
+            this.rng.world.next() * Math.PI,
+            this.rng.world.next() * Math.PI,
           );
           collisionRadius = boxSize * 0.8;
           break;
 
         case "cylinder":
-          const cylRadius = 3 + Math.random() * 1.2;
-          const cylHeight = 2 + Math.random() * 4;
+          const cylRadius = 3 + this.rng.world.next() * 1.2;
+          const cylHeight = 2 + this.rng.world.next() * 4;
           const cylGeo = new THREE.CylinderGeometry(
             cylRadius,
             cylRadius,
@@ -1195,13 +1537,13 @@ export class ROVSimulator {
             12,
           );
           obstacle = new THREE.Mesh(cylGeo, material);
-          obstacle.rotation.x = Math.random() * Math.PI;
-          obstacle.rotation.z = Math.random() * Math.PI;
+          obstacle.rotation.x = this.rng.world.next() * Math.PI;
+          obstacle.rotation.z = this.rng.world.next() * Math.PI;
           collisionRadius = Math.max(cylRadius, cylHeight / 2) * 0.8;
           break;
 
         case "sphere":
-          const sphereRadius = 5 + Math.random() * 1.5;
+          const sphereRadius = 5 + this.rng.world.next() * 1.5;
           const sphereGeo = new THREE.SphereGeometry(sphereRadius, 12, 8);
           obstacle = new THREE.Mesh(sphereGeo, material);
           collisionRadius = sphereRadius;
@@ -1220,18 +1562,18 @@ export class ROVSimulator {
           const sectionSize = tunnelDiameter / sections;
 
           // Escolher 2-3 furos aleatórios (garantir passagem)
-          const holeCount = 2 + Math.floor(Math.random() * 2);
+          const holeCount = 2 + Math.floor(this.rng.world.next() * 2);
           const holes = new Set();
 
           // Garantir pelo menos um furo no centro ou cantos
           const preferredHoles = [4, 0, 2, 6, 8]; // Centro e cantos
           holes.add(
-            preferredHoles[Math.floor(Math.random() * preferredHoles.length)],
+            preferredHoles[Math.floor(this.rng.world.next() * preferredHoles.length)],
           );
 
           // Adicionar mais furos aleatórios
           while (holes.size < holeCount) {
-            holes.add(Math.floor(Math.random() * 9));
+            holes.add(Math.floor(this.rng.world.next() * 9));
           }
 
           // Criar cada seção (exceto os furos)
@@ -1312,9 +1654,10 @@ export class ROVSimulator {
 
       if (isColliding) {
         // Aplicar dano com cooldown
-        const now = Date.now();
+        const now = this.sessionTime;
         const canDamage =
-          !obstacle.userData.lastHit || now - obstacle.userData.lastHit > 500;
+          obstacle.userData.lastHit === undefined ||
+          now - obstacle.userData.lastHit > 0.5;
 
         if (canDamage) {
           obstacle.userData.lastHit = now;
@@ -1323,6 +1666,7 @@ export class ROVSimulator {
 
           // Feedback
           this.addEvent("warning", `💥 Colisão! Dano: ${damageAmount}%`);
+          this.markCollision(`Colisão - ${damageAmount}%`);
 
           // Vibrar controle (suave)
           if (this.gamepadController) {
@@ -1338,12 +1682,12 @@ export class ROVSimulator {
         const velDot = this.rov.velocity.dot(pushDir);
         if (velDot < 0) {
           this.rov.velocity.addScaledVector(pushDir, -velDot * 0.9);
+          this.physics.applyImpact(pushDir, -velDot);
         }
 
         // Verificar destruição
         if (this.damage >= this.maxDamage) {
-          this.missionFailed = true;
-          this.addEvent("danger", "💀 ROV DESTRUÍDO!");
+          this.failMission("ROV Destruído");
         }
 
         break; // Só uma colisão por frame
@@ -1438,7 +1782,7 @@ export class ROVSimulator {
     const safeDistance = this.tunnelRadius - rovRadius - 0.5; // Margem de segurança
 
     if (minDist > safeDistance) {
-      const now = performance.now() / 1000;
+      const now = this.sessionTime;
       if (now - this.lastCollisionTime > 0.3) {
         // Cooldown menor para túnel
         this.lastCollisionTime = now;
@@ -1452,6 +1796,10 @@ export class ROVSimulator {
         const pushDir = closestPoint.clone().sub(rovPos).normalize();
         const pushAmount = minDist - safeDistance + 0.3;
         this.rov.position.addScaledVector(pushDir, pushAmount);
+        this.physics.applyImpact(
+          pushDir,
+          Math.max(0, -this.rov.velocity.dot(pushDir)),
+        );
 
         // Reduzir velocidade significativamente
         this.rov.velocity.multiplyScalar(0.2);
@@ -1460,6 +1808,7 @@ export class ROVSimulator {
           "warning",
           `Colisão com túnel! Dano: ${damageAmount.toFixed(0)}%`,
         );
+        this.markCollision(`Túnel - ${damageAmount.toFixed(0)}%`);
 
         // Vibrar controle (feedback háptico)
         if (this.gamepadController) {
@@ -1468,8 +1817,7 @@ export class ROVSimulator {
 
         // Verificar se ROV foi destruído
         if (this.damage >= this.maxDamage) {
-          this.missionFailed = true;
-          this.addEvent("danger", "ROV DESTRUÍDO!");
+          this.failMission("ROV Destruído");
         }
       }
     }
@@ -1564,6 +1912,9 @@ export class ROVSimulator {
   }
 
   handleKeyDown(e) {
+    // Espectador não pilota: só troca a própria câmera
+    if (this.spectator && !SPECTATOR_KEYS.includes(e.code)) return;
+
     switch (e.code) {
       case "Space":
         e.preventDefault();
@@ -1604,8 +1955,12 @@ export class ROVSimulator {
         }
         break;
 
+      case "KeyP":
+        this.requestPhoto();
+        break;
+
       case "Escape":
-        this.isPaused = !this.isPaused;
+        this.togglePause();
         break;
 
       case "ShiftLeft":
@@ -1663,6 +2018,28 @@ export class ROVSimulator {
     }
   }
 
+  // Foto da câmera ativa (src/js/core/photo-capture.js)
+  requestPhoto() {
+    if (this.spectator || this.missionEnded) return;
+    if (this.recorder && this.recorder.isPlayingBack()) return;
+    this.photoRequested = true;
+  }
+
+  /**
+   * Pausa/retoma a sessão (Esc, gamepad e linha do tempo)
+   * @returns {boolean} false se a pausa foi dada pelo instrutor
+   */
+  togglePause() {
+    // A pausa do espectador é a do piloto (vem da telemetria)
+    if (this.spectator) return false;
+    if (this.pausedByInstructor) {
+      this.addEvent("warning", "⏸ Sessão pausada pelo instrutor");
+      return false;
+    }
+    this.isPaused = !this.isPaused;
+    return true;
+  }
+
   initGamepad() {
     // Inicializar controlador de gamepad
     this.gamepadController = new GamepadController(this);
@@ -1670,12 +2047,32 @@ export class ROVSimulator {
   }
 
   initHUD() {
-    // Implementação do HUD
+    this.hud = new HUD(this);
+    this.hud.init();
+
+    this.sessionReporter = new SessionReporter(this);
+
+    this.recorder = new SessionRecorder(this);
+    this.recorder.init();
   }
 
   updateInput() {
+    // Guincho do umbilical: T = soltar, Y = recolher (funciona desarmado)
+    const winch = (this.keys["KeyT"] ? 1 : 0) - (this.keys["KeyY"] ? 1 : 0);
+    // Lastro: B = esvaziar (sobe), N = alagar (desce) (funciona desarmado)
+    const ballast = (this.keys["KeyB"] ? 1 : 0) - (this.keys["KeyN"] ? 1 : 0);
+
     if (!this.isArmed) {
-      this.input = { surge: 0, sway: 0, heave: 0, yaw: 0, pitch: 0, roll: 0 };
+      this.input = {
+        surge: 0,
+        sway: 0,
+        heave: 0,
+        yaw: 0,
+        pitch: 0,
+        roll: 0,
+        winch,
+        ballast,
+      };
       return;
     }
 
@@ -1685,6 +2082,9 @@ export class ROVSimulator {
     let kbHeave = (this.keys["KeyQ"] ? 1 : 0) - (this.keys["KeyE"] ? 1 : 0);
     let kbYaw =
       (this.keys["ArrowLeft"] ? 1 : 0) - (this.keys["ArrowRight"] ? 1 : 0);
+    // Atitude do veículo: I/K = pitch (nariz sobe/desce), U/O = roll
+    let kbPitch = (this.keys["KeyI"] ? 1 : 0) - (this.keys["KeyK"] ? 1 : 0);
+    let kbRoll = (this.keys["KeyO"] ? 1 : 0) - (this.keys["KeyU"] ? 1 : 0);
 
     const pitchInput =
       (this.keys["ArrowUp"] ? 1 : 0) - (this.keys["ArrowDown"] ? 1 : 0);
@@ -1693,183 +2093,78 @@ export class ROVSimulator {
       this.cameraPitch = Math.max(-0.8, Math.min(0.8, this.cameraPitch));
     }
 
-    // Input do gamepad (já definido pelo GamepadController.update())
-    const gpSurge = this.input.surge || 0;
-    const gpSway = this.input.sway || 0;
-    const gpHeave = this.input.heave || 0;
-    const gpYaw = this.input.yaw || 0;
-    const gpPitch = this.input.pitch || 0;
+    // Input do gamepad (já definido pelo GamepadController.update()) ou da
+    // página hospedeira (EmbedAPI.setInput)
+    const gp = this.gamepadInput;
+    const gpSurge = gp.surge || 0;
+    const gpSway = gp.sway || 0;
+    const gpHeave = gp.heave || 0;
+    const gpYaw = gp.yaw || 0;
+    const gpPitch = gp.pitch || 0;
+    const gpRoll = gp.roll || 0;
+    const gpTilt = this.gamepadController
+      ? this.gamepadController.cameraTilt
+      : 0;
 
     // Combinar teclado + gamepad (o que tiver maior valor absoluto vence)
-    this.input.surge =
-      Math.abs(kbSurge) > Math.abs(gpSurge) ? kbSurge : gpSurge;
-    this.input.sway = Math.abs(kbSway) > Math.abs(gpSway) ? kbSway : gpSway;
-    this.input.heave =
-      Math.abs(kbHeave) > Math.abs(gpHeave) ? kbHeave : gpHeave;
-    this.input.yaw = Math.abs(kbYaw) > Math.abs(gpYaw) ? kbYaw : gpYaw;
-
-    // Gamepad pitch ajusta a câmera também
-    if (Math.abs(gpPitch) > 0.1) {
-      this.cameraPitch = (this.cameraPitch || 0) + gpPitch * 0.03;
+    const pick = (kb, pad) => (Math.abs(kb) > Math.abs(pad) ? kb : pad);
+    this.input = {
+      surge: pick(kbSurge, gpSurge),
+      sway: pick(kbSway, gpSway),
+      heave: pick(kbHeave, gpHeave),
+      yaw: pick(kbYaw, gpYaw),
+      pitch: pick(kbPitch, gpPitch),
+      roll: pick(kbRoll, gpRoll),
+      winch,
+      ballast,
+    };
+
+    // Analógico direito (vertical) ajusta a inclinação da câmera
+    if (Math.abs(gpTilt) > 0.1) {
+      this.cameraPitch = (this.cameraPitch || 0) + gpTilt * 0.03;
       this.cameraPitch = Math.max(-0.8, Math.min(0.8, this.cameraPitch));
     }
   }
 
   updatePhysics(dt) {
-    if (this.isPaused) return;
-
-    const speedMult = this.speedMultiplier || 1.0;
-    const maxSpeed = 25 * speedMult;
-    const maxAngularSpeed = 10.0 * speedMult;
-    const acceleration = 15.0 * speedMult;
-    const angularAcceleration = 8.0 * speedMult;
-
-    // ═══════════════════════════════════════════════════════════════
-    // SISTEMA DE INÉRCIA REALISTA
-    // Valores mais próximos de 1.0 = mais inércia
-    // ═══════════════════════════════════════════════════════════════
-    const linearDrag = 0.985;
-    const angularDrag = 0.975;
-
-    const yaw = this.rov.rotation.y;
-    const pitch = this.cameraPitch || 0;
-
-    // Forward 3D - inclui componente vertical baseado no pitch
-    const forward = new THREE.Vector3(
-      Math.cos(yaw) * Math.cos(pitch),
-      Math.sin(pitch),
-      -Math.sin(yaw) * Math.cos(pitch),
-    ).normalize();
-
-    const right = new THREE.Vector3(
-      Math.cos(yaw - Math.PI / 2),
-      0,
-      -Math.sin(yaw - Math.PI / 2),
-    );
-    const up = new THREE.Vector3(0, 1, 0);
-
-    // ═══════════════════════════════════════════════════════════════
-    // APLICAR FORÇA DOS PROPULSORES
-    // ═══════════════════════════════════════════════════════════════
-    if (this.input.surge !== 0) {
-      this.rov.velocity.addScaledVector(
-        forward,
-        this.input.surge * acceleration * dt,
-      );
-    }
-    if (this.input.sway !== 0) {
-      this.rov.velocity.addScaledVector(
-        right,
-        this.input.sway * acceleration * dt,
-      );
-    }
-    if (this.input.heave !== 0) {
-      this.rov.velocity.addScaledVector(
-        up,
-        this.input.heave * acceleration * dt,
-      );
-    }
-
-    // Rotação (yaw)
-    if (this.input.yaw !== 0) {
-      this.rov.angularVelocity.y += this.input.yaw * angularAcceleration * dt;
-    }
-
-    // Aplicar corrente marítima
-    this.rov.velocity.x += (this.environment.currentX || 0) * dt * 0.3;
-    this.rov.velocity.z += (this.environment.currentY || 0) * dt * 0.3;
-
-    // ═══════════════════════════════════════════════════════════════
-    // APLICAR ARRASTO HIDRODINÂMICO (INÉRCIA)
-    // ═══════════════════════════════════════════════════════════════
-    const speed = this.rov.velocity.length();
-    if (speed > 0.001) {
-      const dragCoeff = 1 - Math.pow(linearDrag, dt * 60);
-      this.rov.velocity.multiplyScalar(1 - dragCoeff);
-
-      if (this.rov.velocity.length() < 0.01) {
-        this.rov.velocity.set(0, 0, 0);
-      }
-    }
-
-    // Arrasto angular
-    if (Math.abs(this.rov.angularVelocity.y) > 0.001) {
-      const angularDragCoeff = 1 - Math.pow(angularDrag, dt * 60);
-      this.rov.angularVelocity.y *= 1 - angularDragCoeff;
-
-      if (Math.abs(this.rov.angularVelocity.y) < 0.001) {
-        this.rov.angularVelocity.y = 0;
-      }
-    }
-
-    // Limitar velocidades
-    if (this.rov.velocity.length() > maxSpeed) {
-      this.rov.velocity.normalize().multiplyScalar(maxSpeed);
-    }
-    this.rov.angularVelocity.y = Math.max(
-      -maxAngularSpeed,
-      Math.min(maxAngularSpeed, this.rov.angularVelocity.y),
-    );
+    this.physics.update(dt);
+    // Modelo e câmeras são atualizados em syncRenderState()
+  }
 
-    // Atualizar posição
-    this.rov.position.addScaledVector(this.rov.velocity, dt);
+  /**
+   * Atualiza modelo 3D e câmeras interpolando entre os dois últimos passos
+   * @param {number} alpha - Fração do próximo passo já decorrida (0-1)
+   */
+  syncRenderState(alpha) {
+    const prev = this.previousPose;
+    const pose = this.renderPose;
 
-    // Verificar e aplicar colisões
-    if (this.collisionSystem) {
-      const correction = this.collisionSystem.checkCollisions(
-        this.rov.position,
-        this.rov.rotation,
-      );
+    pose.position.lerpVectors(prev.position, this.rov.position, alpha);
 
-      // Aplicar correção de posição
-      if (correction.length() > 0) {
-        this.rov.position.add(correction);
-
-        // Reduzir velocidade na direção da colisão
-        const correctionNorm = correction.clone().normalize();
-        const velocityInCollisionDir = this.rov.velocity.dot(correctionNorm);
-        if (velocityInCollisionDir < 0) {
-          this.rov.velocity.addScaledVector(
-            correctionNorm,
-            -velocityInCollisionDir * 0.8,
-          );
-        }
+    const current = new THREE.Quaternion().setFromEuler(this.rov.rotation);
+    pose.quaternion.slerpQuaternions(prev.quaternion, current, alpha);
+    pose.rotation.setFromQuaternion(pose.quaternion);
 
-        // Feedback visual/sonoro de colisão (opcional)
-        if (correction.length() > 0.01) {
-          this.addEvent("warning", "⚠️ Colisão detectada!");
-        }
-      }
+    if (this.rovModel) {
+      this.rovModel.position.copy(pose.position);
+      this.rovModel.quaternion.copy(pose.quaternion);
     }
 
-    // Atualizar rotação
-    this.rov.rotation.y += this.rov.angularVelocity.y * dt;
-
-    // Limites do ambiente
-    if (this.rov.position.y > -2) {
-      this.rov.position.y = -2;
-      this.rov.velocity.y = Math.min(0, this.rov.velocity.y);
-    }
-    const minAlt = -this.environment.seabedDepth + 1;
-    if (this.rov.position.y < minAlt) {
-      this.rov.position.y = minAlt;
-      this.rov.velocity.y = Math.max(0, this.rov.velocity.y);
+    if (this.tether) {
+      const attachOffset = this.tether.getAttachOffset(pose.quaternion);
+      this.tether.updateVisual(attachOffset.add(pose.position));
     }
 
-    // Atualizar modelo
-    if (this.rovModel) {
-      this.rovModel.position.copy(this.rov.position);
-      this.rovModel.rotation.set(0, this.rov.rotation.y, 0);
-    }
-
-    // Atualizar câmeras
-    this.updateCameras();
+    this.updateCameras(pose);
   }
 
-  updateCameras() {
+  /**
+   * @param {{position, rotation}} [pose] - Pose a seguir (padrão: estado físico)
+   */
+  updateCameras(pose) {
     // Delegar para o CameraController
     if (this.cameraController) {
-      this.cameraController.updateCameras();
+      this.cameraController.updateCameras(pose);
     } else {
       console.warn("CameraController não inicializado!");
     }
@@ -1882,12 +2177,21 @@ export class ROVSimulator {
     for (const obstacle of this.obstacles) {
       if (!obstacle.position) continue;
 
-      const dist = this.rov.position.distanceTo(obstacle.position);
+      // Pilares: ponto mais próximo no eixo vertical do cilindro
+      const center = obstacle.position.clone();
+      if (obstacle.type === "cylinder") {
+        center.y = Math.max(
+          obstacle.position.y,
+          Math.min(obstacle.position.y + obstacle.height, this.rov.position.y),
+        );
+      }
+
+      const dist = this.rov.position.distanceTo(center);
       const minDist = (obstacle.radius || 1) + rovRadius;
 
       if (dist < minDist) {
         // Colisão detectada
-        const now = performance.now() / 1000;
+        const now = this.sessionTime;
         if (now - this.lastCollisionTime > this.collisionCooldown) {
           this.lastCollisionTime = now;
 
@@ -1897,11 +2201,9 @@ export class ROVSimulator {
           this.damage += damageAmount;
 
           // Empurrar ROV para fora
-          const pushDir = this.rov.position
-            .clone()
-            .sub(obstacle.position)
-            .normalize();
+          const pushDir = this.rov.position.clone().sub(center).normalize();
           this.rov.position.addScaledVector(pushDir, minDist - dist + 0.1);
+          this.physics.applyImpact(pushDir, impactSpeed);
 
           // Reduzir velocidade
           this.rov.velocity.multiplyScalar(0.3);
@@ -1910,11 +2212,11 @@ export class ROVSimulator {
             "warning",
             `Colisão! Dano: ${damageAmount.toFixed(0)}%`,
           );
+          this.markCollision(`Colisão - ${damageAmount.toFixed(0)}%`);
 
           // Verificar se ROV foi destruído
           if (this.damage >= this.maxDamage) {
-            this.missionFailed = true;
-            this.addEvent("danger", "ROV DESTRUÍDO!");
+            this.failMission("ROV Destruído");
           }
         }
       }
@@ -1922,58 +2224,130 @@ export class ROVSimulator {
   }
 
   updateObjectives(dt) {
-    if (!this.objectives || !this.objectiveMarkers) return;
-
-    for (let i = 0; i < this.objectives.length; i++) {
-      const obj = this.objectives[i];
-      if (obj.completed) continue;
-
-      // Verificar objetivos do tipo "distance" (chegar a um ponto)
-      if (obj.type === "distance" && obj.target) {
-        const targetPos = new THREE.Vector3(
-          obj.target.x,
-          obj.target.y,
-          obj.target.z,
-        );
-        const dist = this.rov.position.distanceTo(targetPos);
-        const radius = obj.radius || 5;
+    this.objectiveSystem.update(dt);
+  }
 
-        if (dist < radius) {
-          obj.completed = true;
-          this.score += obj.points;
-          this.addEvent("success", `${obj.name} - +${obj.points} pts`);
+  /**
+   * @param {object} obj - Objetivo concluído
+   * @param {number} index - Posição em this.objectives
+   */
+  completeObjective(obj, index) {
+    obj.completed = true;
+    this.score += obj.points;
+    this.addEvent("success", `${obj.name} - +${obj.points} pts`);
+
+    // Esconder marcador
+    const marker = (this.objectiveMarkers || []).find(
+      (m) => m.userData.objectiveIndex === index,
+    );
+    if (marker) marker.visible = false;
 
-          // Esconder marcador
-          if (this.objectiveMarkers[i]) {
-            this.objectiveMarkers[i].visible = false;
-          }
-        }
-      }
+    if (this.hud) {
+      this.hud.updateObjectives();
+      this.hud.updateScore();
+    }
+    if (this.recorder) {
+      this.recorder.markEvent("objective", obj.name);
+    }
+    if (this.embedAPI) this.embedAPI.onObjectiveCompleted(obj);
+  }
 
-      // Verificar objetivos do tipo "auto" (completam automaticamente)
-      if (obj.type === "auto" && !obj.completed) {
-        obj.completed = true;
-        this.score += obj.points;
-        this.addEvent("success", `${obj.name} - +${obj.points} pts`);
-      }
+  /**
+   * Descarta um objetivo de um caminho não escolhido
+   * @param {object} obj
+   * @param {number} index - Posição em this.objectives
+   */
+  skipObjective(obj, index) {
+    obj.skipped = true;
+    if (!obj.optional) this.totalPossibleScore -= obj.points;
+    this.addEvent("info", `${obj.name} - caminho descartado`);
+
+    const marker = (this.objectiveMarkers || []).find(
+      (m) => m.userData.objectiveIndex === index,
+    );
+    if (marker) marker.visible = false;
+
+    if (this.hud) {
+      this.hud.updateObjectives();
+      this.hud.updateScore();
+    }
+  }
+
+  // Conta a colisão na nota e marca na linha do tempo da gravação
+  markCollision(label) {
+    this.grading.recordCollision();
+    if (this.recorder) {
+      this.recorder.markEvent("warning", label);
     }
+  }
 
-    // Verificar se todos os objetivos foram completados
-    const allCompleted = this.objectives.every((o) => o.completed);
-    if (allCompleted && !this.missionCompleted) {
-      this.missionCompleted = true;
-      this.addEvent("success", "MISSÃO COMPLETA!");
+  /**
+   * Falha a missão (o motivo aparece no log, no modal e no registro da sessão)
+   * @param {string} reason - Ex: "ROV Destruído"
+   */
+  failMission(reason) {
+    if (this.missionFailed || this.missionEnded) return;
+
+    this.missionFailed = true;
+    this.failureReason = reason;
+    this.addEvent("danger", `💀 MISSÃO FALHOU - ${reason.toUpperCase()}`);
+    if (this.recorder) {
+      this.recorder.markEvent("warning", `Falha: ${reason}`);
     }
   }
 
+  // Encerra a sessão quando a missão é concluída ou falha
+  checkMissionEnd() {
+    if (this.missionEnded) return;
+
+    if (this.missionFailed) {
+      this.endSession("failed");
+    } else if (this.missionCompleted) {
+      this.endSession("completed");
+    }
+  }
+
+  /**
+   * Para a simulação, mostra o resultado e envia a sessão ao servidor
+   * @param {"completed"|"failed"} outcome
+   */
+  async endSession(outcome) {
+    // O laço de renderização continua (replay pelo modal ou pela linha do
+    // tempo); a física para em animate()
+    this.missionEnded = true;
+
+    if (this.embedAPI) this.embedAPI.onMissionEnd(outcome);
+
+    if (this.gamepadController && outcome === "failed") {
+      this.gamepadController.vibrateCollision(1.0);
+    }
+
+    this.hud.updateScore();
+    if (outcome === "completed") {
+      this.hud.showMissionComplete();
+    } else {
+      this.hud.showMissionFailed(this.failureReason);
+    }
+
+    const saved = await this.sessionReporter.submit(outcome);
+    const { rejection } = this.sessionReporter;
+    let status = "✓ Resultado salvo no servidor";
+    if (!saved) {
+      status = rejection
+        ? `⚠ Resultado recusado pelo servidor: ${rejection}`
+        : "⚠ Servidor indisponível - o resultado será reenviado na próxima sessão";
+    }
+    this.hud.setSessionSaveStatus(status, Boolean(saved));
+  }
+
   updateHUD() {
     if (this.hudController) {
       this.hudController.update();
     }
   }
 
-  updateTimer() {
-    this.sessionTime += 1 / 60;
+  // Relógio da sessão (sessionTime avança em step())
+  updateClock() {
     const hours = Math.floor(this.sessionTime / 3600);
     const minutes = Math.floor((this.sessionTime % 3600) / 60);
     const seconds = Math.floor(this.sessionTime % 60);
@@ -1987,6 +2361,9 @@ export class ROVSimulator {
   }
 
   addEvent(type, message) {
+    if (this.liveLink) this.liveLink.telemetry.pushEvent(type, message);
+    if (this.embedAPI) this.embedAPI.onEvent(type, message);
+
     const log = document.getElementById("event-log");
     if (!log) return;
 
@@ -2002,8 +2379,10 @@ export class ROVSimulator {
     event.innerHTML = `
       <span class="event-time">${timeStr}</span>
       <span class="event-type ${type}">${type.toUpperCase()}</span>
-      <span class="event-message">${message}</span>
+      <span class="event-message"></span>
     `;
+    // A mensagem pode trazer nomes e textos de cenários personalizados
+    event.querySelector(".event-message").textContent = message;
     log.insertBefore(event, log.firstChild);
 
     while (log.children.length > 50) {
@@ -2024,6 +2403,23 @@ export class ROVSimulator {
   start() {
     this.isRunning = true;
 
+    if (this.spectator) {
+      this.startSpectating();
+      return;
+    }
+
+    // Sessão ao vivo: console do instrutor e telemetria (apenas com o
+    // servidor Node.js). Criado antes dos eventos de início para que eles
+    // sigam no primeiro quadro de telemetria.
+    this.liveLink = new LiveLink(this);
+    this.liveLink.connect();
+
+    // Página hospedeira (protocolo postMessage, ver embed-api.js)
+    if (this.isEmbedded) {
+      this.embedAPI = new EmbedAPI(this, this.embedHost);
+      if (!this.embedAPI.connect()) this.embedAPI = null;
+    }
+
     const scenarioNameEl = document.getElementById("scenario-name");
     if (scenarioNameEl) {
       scenarioNameEl.textContent = this.scenarioConfig.name.toUpperCase();
@@ -2031,6 +2427,9 @@ export class ROVSimulator {
 
     this.addEvent("info", `Session started - ${this.scenarioConfig.name}`);
     this.addEvent("info", this.scenarioConfig.description);
+    this.missionRules
+      .describe()
+      .forEach((rule) => this.addEvent("warning", `Regra: ${rule.text}`));
     this.addEvent("success", "Launch sequence complete");
     this.addEvent(
       "info",
@@ -2040,6 +2439,26 @@ export class ROVSimulator {
     );
     this.addEvent("info", "ROV armed - ready for operation");
 
+    this.previousPose.position.copy(this.rov.position);
+    this.previousPose.quaternion.setFromEuler(this.rov.rotation);
+    this.addEvent("info", `Seed: ${this.seed}`);
+
+    this.recorder.start();
+
+    this.animate();
+  }
+
+  // Sem sessão própria: nada é gravado, enviado ou anunciado ao servidor
+  startSpectating() {
+    const scenarioNameEl = document.getElementById("scenario-name");
+    if (scenarioNameEl) {
+      scenarioNameEl.textContent = `👁 ESPECTADOR - ${this.scenarioConfig.name.toUpperCase()}`;
+    }
+
+    this.addEvent("info", `Modo espectador - ${this.scenarioConfig.name}`);
+    this.addEvent("info", "C: trocar câmera | Z: rotação da câmera externa");
+    this.spectator.connect();
+
     this.animate();
   }
 
@@ -2048,28 +2467,95 @@ export class ROVSimulator {
 
     requestAnimationFrame(() => this.animate());
 
-    const dt = Math.min(this.clock.getDelta(), 0.1);
+    const frameDt = Math.min(this.clock.getDelta(), 0.25);
 
-    // Atualizar gamepad (se conectado)
+    // Espectador: o estado vem da telemetria do piloto
+    if (this.spectator) {
+      this.spectator.update(frameDt);
+      this.updateObjectiveMarkers();
+      this.updateHUD();
+      this.updateClock();
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    // Replay: o estado vem da gravação, sem física nem objetivos
+    if (this.recorder.isPlayingBack()) {
+      this.recorder.updatePlayback(frameDt);
+      this.recorder.updateUI();
+      this.updateHUD();
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    // Simulação em passos fixos: o tempo real só decide QUANTOS passos rodar
+    // (nenhum depois do fim da missão)
+    if (!this.missionEnded) this.accumulator += frameDt;
+    let steps = 0;
+    while (
+      this.accumulator >= FIXED_TIMESTEP &&
+      steps < MAX_STEPS_PER_FRAME &&
+      !this.missionEnded
+    ) {
+      this.step(FIXED_TIMESTEP);
+      this.accumulator -= FIXED_TIMESTEP;
+      steps++;
+    }
+    if (steps === MAX_STEPS_PER_FRAME) {
+      this.accumulator = 0;
+    }
+
+    this.syncRenderState(this.accumulator / FIXED_TIMESTEP);
+    this.updateObjectiveMarkers();
+    this.updateHUD();
+    this.updateClock();
+    this.recorder.updateUI();
+
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /**
+   * Um passo determinístico da simulação
+   * @param {number} dt - Sempre FIXED_TIMESTEP
+   */
+  step(dt) {
+    // Atualizar gamepad (se conectado) - pode pausar/retomar
     if (this.gamepadController) {
       this.gamepadController.update();
     }
 
+    this.previousPose.position.copy(this.rov.position);
+    this.previousPose.quaternion.setFromEuler(this.rov.rotation);
+
+    if (this.isPaused) return;
+
     this.updateInput();
+    this.currentField.update(dt);
+    this.ballast.update(dt);
     this.updatePhysics(dt);
+    this.power.update(dt);
+    this.thermal.update(dt);
+    this.faults.update(dt);
     this.checkCollisions();
+    if (this.tether) this.tether.update(dt);
 
     // Verificar colisões no training_arena
     if (this.scenarioId === "training_arena") {
       this.checkTunnelCollision();
       this.checkObstacleCollision();
     }
+    this.grading.update(dt);
 
-    this.updateObjectives(dt);
-    this.updateHUD();
-    this.updateTimer();
+    this.photoTaken = this.photoRequested;
+    this.photoRequested = false;
+    if (this.photoTaken) this.photoCapture.capture();
 
-    this.renderer.render(this.scene, this.camera);
+    this.updateObjectives(dt);
+    this.sessionTime += dt;
+    this.missionRules.update();
+    this.simulationTick++;
+    if (this.recorder) this.recorder.sample();
+    this.checkMissionEnd();
   }
 
   resetCameraSettings() {
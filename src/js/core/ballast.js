@@ -0,0 +1,128 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Lastro Variável - flutuabilidade líquida e trim do veículo
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Não acessa DOM: roda igual no navegador e no modo headless
+//
+// Flutuabilidade líquida = empuxo do casco - peso do veículo - carga - água
+// no tanque de lastro - água de vazamentos (fault-system.js). Com o tanque
+// pela metade o veículo fica levemente positivo (desarmado, sobe devagar).
+// Perto da superfície o casco sai da água e o empuxo cai: o veículo
+// positivo boia.
+//
+// scenarioConfig.ballast (todos os campos opcionais):
+//   fill:    0-1 - nível inicial do tanque (padrão do perfil)
+//   payload: kg  - carga extra (ferramentas, skid), peso na água
+
+export class Ballast {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    this.fill = 0.5;
+    this.payload = 0;
+
+    // Flutuabilidade líquida no último passo (N, + sobe)
+    this.netBuoyancy = 0;
+
+    // Estados que geram eventos (apenas na transição)
+    this.wasFull = false;
+    this.wasEmpty = false;
+  }
+
+  /**
+   * Lê a configuração do cenário (scenarioConfig.ballast)
+   */
+  init() {
+    const config = this.simulator.scenarioConfig.ballast || {};
+    const profile = this.getProfile();
+
+    this.fill = Math.max(0, Math.min(1, config.fill ?? profile.ballast.fill));
+    this.payload = config.payload || 0;
+    this.wasFull = this.fill >= 1;
+    this.wasEmpty = this.fill <= 0;
+    this.netBuoyancy = this.computeNetBuoyancy();
+  }
+
+  getProfile() {
+    return this.simulator.physics.getProfile();
+  }
+
+  /**
+   * Bombas do tanque (um passo): input.ballast +1 esvazia (sobe),
+   * -1 alaga (desce). Funcionam com o ROV desarmado, para conferir o trim.
+   * @param {number} dt
+   */
+  update(dt) {
+    const sim = this.simulator;
+    const { tankVolume, pumpRate } = this.getProfile().ballast;
+    const command = Math.max(-1, Math.min(1, sim.input.ballast || 0));
+
+    if (command !== 0) {
+      this.fill = Math.max(
+        0,
+        Math.min(1, this.fill - (command * pumpRate * dt) / tankVolume),
+      );
+
+      const full = this.fill >= 1;
+      const empty = this.fill <= 0;
+      if (full && !this.wasFull) {
+        sim.addEvent("info", "Tanque de lastro alagado");
+      }
+      if (empty && !this.wasEmpty) {
+        sim.addEvent("info", "Tanque de lastro vazio");
+      }
+      this.wasFull = full;
+      this.wasEmpty = empty;
+    }
+
+    this.netBuoyancy = this.computeNetBuoyancy();
+  }
+
+  /**
+   * Fração do casco abaixo da superfície (y = 0)
+   */
+  getSubmergedFraction() {
+    const sim = this.simulator;
+    const height = sim.getROVHitbox().height;
+    return Math.max(0, Math.min(1, 0.5 - sim.rov.position.y / height));
+  }
+
+  // Flutuabilidade líquida (N, + sobe)
+  computeNetBuoyancy() {
+    const { waterDensity, gravity } = this.simulator.physics;
+    const profile = this.getProfile();
+
+    const buoyancy =
+      waterDensity *
+      gravity *
+      profile.buoyancy.displacedVolume *
+      this.getSubmergedFraction();
+    const tankWater = waterDensity * profile.ballast.tankVolume * this.fill;
+    const faults = this.simulator.faults;
+    const leakWater = faults ? faults.leakWater : 0;
+    return (
+      buoyancy -
+      (profile.mass + this.payload + tankWater + leakWater) * gravity
+    );
+  }
+
+  /**
+   * Flutuabilidade líquida em kg (como o trim é lido no painel)
+   */
+  getNetBuoyancyKg() {
+    return this.netBuoyancy / this.simulator.physics.gravity;
+  }
+
+  /**
+   * Veículo trimado: flutuabilidade líquida dentro da tolerância do perfil
+   */
+  isNeutral() {
+    return (
+      Math.abs(this.getNetBuoyancyKg()) <=
+      this.getProfile().ballast.neutralTolerance
+    );
+  }
+}
+
+export default Ballast;
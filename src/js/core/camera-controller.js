@@ -11,33 +11,58 @@ export class CameraController {
     this.simulator = simulator;
   }
 
-  updateCameras() {
+  /**
+   * Posiciona uma câmera de bordo no suporte (offset no corpo do veículo)
+   * @param {string} name - main | alt | wide
+   * @param {{offset: number[], fov: number}} mount
+   */
+  placeOnboardCamera(name, mount, rovPos, attitude) {
+    const camera = this.simulator.cameras[name];
+    const offset = new THREE.Vector3(...mount.offset).applyQuaternion(attitude);
+    camera.position.copy(rovPos).add(offset);
+
+    // Troca de veículo pode mudar o campo de visão
+    if (camera.fov !== mount.fov) {
+      camera.fov = mount.fov;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * @param {{position, rotation}} [pose] - Pose interpolada para renderização
+   */
+  updateCameras(pose) {
     // Verificar se ROV existe
     if (!this.simulator.rov) {
       return;
     }
     
-    const rovPos = this.simulator.rov.position;
-    const rovRot = this.simulator.rov.rotation;
+    const rovPos = (pose || this.simulator.rov).position;
+    const rovRot = (pose || this.simulator.rov).rotation;
     const pitch = this.simulator.cameraPitch || 0;
 
-    // Câmera principal segue o ROV
-    const forward = new THREE.Vector3(
-      Math.cos(rovRot.y),
-      0,
-      -Math.sin(rovRot.y),
+    // Câmeras de bordo acompanham a atitude do veículo (pitch/roll)
+    const attitude = new THREE.Quaternion().setFromEuler(rovRot);
+    const heading = new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 1, 0),
+      rovRot.y,
     );
-    const cameraOffset = forward.clone().multiplyScalar(0.0999); // Câmera 1.5m ATRÁS do ROV
+    const tilt = attitude.clone().multiply(heading.invert());
+
+    // Câmeras de bordo nas posições do perfil do veículo
+    const mounts = this.simulator.getVehicleProfile().cameras;
+    this.placeOnboardCamera("main", mounts.main, rovPos, attitude);
+    this.placeOnboardCamera("alt", mounts.alt, rovPos, attitude);
+    this.placeOnboardCamera("wide", mounts.wide, rovPos, attitude);
 
-    this.simulator.cameras.main.position.copy(rovPos).add(cameraOffset);
     this.simulator.cameras.main.rotation.set(pitch, rovRot.y - Math.PI / 2, 0);
+    this.simulator.cameras.main.quaternion.premultiply(tilt);
 
-    this.simulator.cameras.alt.position.copy(rovPos).add(cameraOffset);
-    this.simulator.cameras.alt.position.y += 0.2;
     this.simulator.cameras.alt.rotation.set(0, rovRot.y - Math.PI / 2, -(pitch + 0.2));
+    this.simulator.cameras.alt.quaternion.premultiply(tilt);
 
-    this.simulator.cameras.wide.position.copy(rovPos).add(cameraOffset);
     this.simulator.cameras.wide.rotation.set(0, rovRot.y - Math.PI / 2, -pitch);
+    this.simulator.cameras.wide.quaternion.premultiply(tilt);
 
     // ═══════════════════════════════════════════════════════════════
     // CÂMERA EXTERNA - CONTROLE ORBITAL
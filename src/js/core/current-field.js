@@ -0,0 +1,295 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Campo de Correntes - corrente marítima por profundidade, tempo e posição
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Não acessa DOM: roda igual no navegador e no modo headless
+//
+// Velocidade da água no mundo (m/s). Componentes horizontais: x e z
+// (currentX e currentY legados do cenário são x e z).
+//
+// scenarioConfig.currentField (todos os campos opcionais):
+//   layers:     [{ depth, x, z }] - perfil por profundidade (interpolado)
+//   tide:       { amplitude, period, phase } - maré (amplitude > 1 inverte)
+//   gusts:      { interval, duration, strength, spread } - rajadas
+//   turbulence: { intensity, scale } - ruído espacial arrastado pela corrente
+//   wakes:      { enabled, length, shelter, turbulence } - esteira nos pilares
+//
+// Sem currentField o campo é uniforme com currentX/currentY do cenário.
+
+const DEFAULT_WAKES = {
+  enabled: true,
+  length: 8, // Comprimento da esteira (× raio do pilar)
+  shelter: 0.8, // Redução da corrente logo atrás do pilar (0-1)
+  turbulence: 0.4, // Turbulência na esteira (fração da corrente média)
+};
+
+// Ruído de valor 3D determinístico (a mesma semente gera o mesmo campo)
+function hash3(x, y, z, seed) {
+  let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1);
+  h = (h ^ Math.imul(z, 0x9e3779b1) ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (((h ^ (h >>> 16)) >>> 0) / 4294967295) * 2 - 1;
+}
+
+function valueNoise(x, y, z, seed) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const iz = Math.floor(z);
+  const smooth = (t) => t * t * (3 - 2 * t);
+  const fx = smooth(x - ix);
+  const fy = smooth(y - iy);
+  const fz = smooth(z - iz);
+  const lerp = (a, b, t) => a + (b - a) * t;
+
+  const corner = (dx, dy, dz) => hash3(ix + dx, iy + dy, iz + dz, seed);
+  return lerp(
+    lerp(
+      lerp(corner(0, 0, 0), corner(1, 0, 0), fx),
+      lerp(corner(0, 1, 0), corner(1, 1, 0), fx),
+      fy,
+    ),
+    lerp(
+      lerp(corner(0, 0, 1), corner(1, 0, 1), fx),
+      lerp(corner(0, 1, 1), corner(1, 1, 1), fx),
+      fy,
+    ),
+    fz,
+  );
+}
+
+export class CurrentField {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    // Sem init(): água parada
+    this.layers = [];
+    this.tide = null;
+    this.gusts = null;
+    this.turbulence = null;
+    this.wakes = [];
+
+    this.time = 0;
+    this.gust = null;
+    this.nextGustAt = Infinity;
+
+    // Corrente no ROV (atualizada a cada passo, lida pela física e pelo HUD)
+    this.atROV = new THREE.Vector3();
+  }
+
+  /**
+   * Lê scenarioConfig.currentField; chamado depois das estruturas, que
+   * definem as esteiras
+   */
+  init() {
+    const sim = this.simulator;
+    const config = sim.scenarioConfig.currentField || {};
+    const env = sim.environment;
+
+    this.layers = (
+      config.layers || [{ depth: 0, x: env.currentX, z: env.currentY }]
+    )
+      .map((layer) => ({
+        depth: layer.depth || 0,
+        x: layer.x || 0,
+        z: layer.z || 0,
+      }))
+      .sort((a, b) => a.depth - b.depth);
+
+    this.tide = config.tide
+      ? { amplitude: 0, period: 600, phase: 0, ...config.tide }
+      : null;
+    this.turbulence = config.turbulence
+      ? { intensity: 0.05, scale: 10, ...config.turbulence }
+      : null;
+
+    // Rajadas sorteadas em um fluxo próprio (não altera mundo nem eventos)
+    this.random = sim.rng.currents;
+    this.gusts = config.gusts
+      ? {
+          interval: 60, // Intervalo médio entre rajadas (s)
+          duration: 8, // s
+          strength: 0.5, // Fração da corrente média somada no pico
+          spread: 0.5, // Desvio máximo da direção (rad)
+          ...config.gusts,
+        }
+      : null;
+    this.nextGustAt = this.gusts ? this.rollGustDelay() : Infinity;
+
+    // Esteiras: uma por pilar (desligadas com wakes.enabled: false)
+    const wakeConfig = { ...DEFAULT_WAKES, ...config.wakes };
+    this.wakes = wakeConfig.enabled
+      ? sim.obstacles
+          .filter((obstacle) => obstacle.type === "cylinder")
+          .map((obstacle) => ({
+            position: obstacle.position,
+            radius: obstacle.radius,
+            height: obstacle.height,
+            length: obstacle.radius * wakeConfig.length,
+            shelter: wakeConfig.shelter,
+            turbulence: wakeConfig.turbulence,
+          }))
+      : [];
+
+    // Semente do ruído de turbulência
+    this.noiseSeed = sim.seed | 0;
+
+    this.time = 0;
+    this.gust = null;
+    this.atROV.copy(this.getCurrent(sim.rov.position));
+  }
+
+  /**
+   * Substitui o perfil por uma corrente uniforme (instrutor); maré, rajadas,
+   * turbulência e esteiras continuam valendo
+   * @param {number} x - m/s
+   * @param {number} z - m/s
+   */
+  setUniformCurrent(x, z) {
+    const sim = this.simulator;
+    this.layers = [{ depth: 0, x, z }];
+    sim.environment.currentX = x;
+    sim.environment.currentY = z;
+    this.getCurrent(sim.rov.position, this.atROV);
+  }
+
+  rollGustDelay() {
+    return this.time + this.gusts.interval * this.random.range(0.5, 1.5);
+  }
+
+  /**
+   * Avança maré e rajadas (uma vez por passo, antes da física)
+   * @param {number} dt
+   */
+  update(dt) {
+    this.time += dt;
+
+    if (this.gust && this.time >= this.gust.start + this.gust.duration) {
+      this.gust = null;
+      this.nextGustAt = this.rollGustDelay();
+    }
+    if (!this.gust && this.time >= this.nextGustAt) {
+      const { duration, strength, spread } = this.gusts;
+      this.gust = {
+        start: this.time,
+        duration,
+        strength: strength * this.random.range(0.5, 1.5),
+        angle: this.random.range(-spread, spread),
+      };
+      this.simulator.addEvent("warning", "🌊 Rajada de corrente");
+    }
+
+    this.getCurrent(this.simulator.rov.position, this.atROV);
+  }
+
+  /**
+   * Corrente média (perfil por profundidade × maré + rajada)
+   * @param {number} depth - Profundidade positiva (m)
+   * @param {THREE.Vector3} [target]
+   */
+  getMeanCurrent(depth, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+    const layers = this.layers;
+    if (layers.length === 0) return target;
+
+    // Perfil: interpola entre as camadas vizinhas (constante fora delas)
+    let upper = layers[0];
+    let lower = layers[layers.length - 1];
+    for (let i = 0; i < layers.length - 1; i++) {
+      if (depth >= layers[i].depth && depth <= layers[i + 1].depth) {
+        upper = layers[i];
+        lower = layers[i + 1];
+        break;
+      }
+    }
+    const span = lower.depth - upper.depth;
+    const t =
+      span > 0 ? Math.max(0, Math.min(1, (depth - upper.depth) / span)) : 0;
+    target.set(
+      upper.x + (lower.x - upper.x) * t,
+      0,
+      upper.z + (lower.z - upper.z) * t,
+    );
+
+    if (this.tide) {
+      const { amplitude, period, phase } = this.tide;
+      target.multiplyScalar(
+        1 + amplitude * Math.sin((2 * Math.PI * this.time) / period + phase),
+      );
+    }
+
+    if (this.gust) {
+      const { start, duration, strength, angle } = this.gust;
+      const envelope =
+        Math.sin((Math.PI * (this.time - start)) / duration) ** 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const factor = strength * envelope;
+      target.set(
+        target.x + (target.x * cos - target.z * sin) * factor,
+        0,
+        target.z + (target.x * sin + target.z * cos) * factor,
+      );
+    }
+
+    return target;
+  }
+
+  /**
+   * Velocidade da água em um ponto (m/s, referencial do mundo)
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} [target] - Vetor reaproveitado
+   */
+  getCurrent(position, target = new THREE.Vector3()) {
+    this.getMeanCurrent(-position.y, target);
+    const meanX = target.x;
+    const meanZ = target.z;
+    const speed = Math.hypot(meanX, meanZ);
+
+    let turbulence = this.turbulence ? this.turbulence.intensity : 0;
+
+    // Esteira: abrigo atrás do pilar (no sentido da corrente) e mais turbulência
+    if (speed > 0) {
+      const flowX = meanX / speed;
+      const flowZ = meanZ / speed;
+      let shelter = 0;
+
+      for (const wake of this.wakes) {
+        const base = wake.position;
+        if (position.y < base.y || position.y > base.y + wake.height) continue;
+
+        const dx = position.x - base.x;
+        const dz = position.z - base.z;
+        const along = dx * flowX + dz * flowZ;
+        if (along <= 0 || along >= wake.length) continue;
+
+        // A esteira abre cerca de 14° para cada lado
+        const across = Math.abs(dx * flowZ - dz * flowX);
+        const width = wake.radius + along / 4;
+        if (across >= width) continue;
+
+        const strength = (1 - along / wake.length) * (1 - across / width);
+        shelter = Math.max(shelter, wake.shelter * strength);
+        turbulence += wake.turbulence * speed * strength;
+      }
+
+      target.multiplyScalar(1 - shelter);
+    }
+
+    // Turbulência congelada arrastada pela corrente média
+    if (turbulence > 0) {
+      const scale = this.turbulence ? this.turbulence.scale : 5;
+      const x = (position.x - meanX * this.time) / scale;
+      const y = position.y / scale;
+      const z = (position.z - meanZ * this.time) / scale;
+      target.x += valueNoise(x, y, z, this.noiseSeed) * turbulence;
+      target.y += valueNoise(x, y, z, this.noiseSeed + 1) * turbulence * 0.5;
+      target.z += valueNoise(x, y, z, this.noiseSeed + 2) * turbulence;
+    }
+
+    return target;
+  }
+}
+
+export default CurrentField;
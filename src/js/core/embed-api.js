@@ -0,0 +1,358 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// API de Incorporação - protocolo postMessage para a página hospedeira
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { SCENARIO_CONFIGS } from "../scenarios/index.js";
+import { VEHICLE_PROFILES } from "../vehicles/vehicle-profiles.js";
+import { TelemetryStream } from "./telemetry.js";
+
+// Apenas navegador, com simulator.html?embedded=true dentro de um iframe.
+// Portais (LMS) e scripts de teste pilotam e observam o simulador sem
+// acessar o DOM dele.
+//
+// Nada sai para "*": com ?host=<origem> só essa origem conversa com o
+// simulador e recebe "ready" ao carregar. Sem host, a origem da primeira
+// mensagem da janela pai fica sendo a hospedeira (aperto de mão) e até lá
+// nada é enviado; "ready" segue logo depois da resposta.
+//
+// Toda mensagem, nos dois sentidos, leva o envelope
+//   { protocol: "alpha-subsea-rov", version: 1, type, ... }
+//
+// Hospedeira → simulador (id opcional, devolvido na resposta):
+//   { type: "getInfo", id }
+//   { type: "loadScenario", id, scenarioId, seed?, rovModel? } - recarrega
+//   { type: "reset", id }                  - recarrega o cenário atual
+//   { type: "setInput", id, input: { surge, sway, heave, yaw, pitch, roll } }
+//   { type: "getTelemetry", id }           - quadro de src/js/core/telemetry.js
+//   { type: "getObjectives", id }
+//   { type: "pause", id, paused }
+//   { type: "subscribe", id, topics, rate? } - topics: EMBED_TOPICS
+//   { type: "unsubscribe", id, topics }
+//
+// Simulador → hospedeira:
+//   { type: "ready", ...info }             - cena carregada e hospedeira conhecida
+//   { type: "response", id, ok, result | error }
+//   { type: "event", event: { t, type, message } }          - tópico "events"
+//   { type: "telemetry", telemetry }                        - tópico "telemetry"
+//   { type: "objective", objective, score }                 - tópico "objectives"
+//   { type: "missionEnd", outcome, score, grade, failureReason } - sempre enviado
+
+export const EMBED_PROTOCOL = "alpha-subsea-rov";
+export const EMBED_VERSION = 1;
+
+export const EMBED_TOPICS = ["events", "telemetry", "objectives"];
+
+// Eixos aceitos em setInput (-1 a 1, mesmos de sim.input)
+const INPUT_AXES = ["surge", "sway", "heave", "yaw", "pitch", "roll"];
+
+// Frequência da telemetria assinada (Hz)
+const DEFAULT_TELEMETRY_RATE = 10;
+const MAX_TELEMETRY_RATE = 60;
+
+/**
+ * Origem (esquema://host:porta) de um endereço, ou null se inválido
+ */
+function parseOrigin(value) {
+  if (!value) return null;
+  try {
+    const { origin } = new URL(value);
+    return origin && origin !== "null" ? origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export class EmbedAPI {
+  /**
+   * @param {ROVSimulator} simulator
+   * @param {string|null} [hostOrigin] - Origem permitida (?host=); sem ela
+   *   vale a da primeira mensagem da janela pai
+   */
+  constructor(simulator, hostOrigin = null) {
+    this.simulator = simulator;
+
+    // Origem da hospedeira: fixa pela URL ou definida no aperto de mão
+    this.hostOrigin = parseOrigin(hostOrigin);
+    this.readySent = false;
+
+    this.topics = new Set();
+    this.telemetry = new TelemetryStream(simulator);
+    this.telemetryTimer = null;
+  }
+
+  /**
+   * Escuta a hospedeira e avisa que o simulador está pronto
+   * @returns {boolean} false fora de um iframe
+   */
+  connect() {
+    if (window.parent === window) return false;
+
+    window.addEventListener("message", (e) => this.onMessage(e));
+    if (this.hostOrigin) this.postReady();
+    return true;
+  }
+
+  onMessage(event) {
+    const message = event.data;
+    if (event.source !== window.parent) return;
+    if (!message || message.protocol !== EMBED_PROTOCOL) return;
+
+    // Origem opaca ("null") não pode ser destino de postMessage
+    const origin = parseOrigin(event.origin);
+    if (!origin) return;
+    if (!this.hostOrigin) this.hostOrigin = origin; // Aperto de mão
+    if (origin !== this.hostOrigin) return;
+
+    const { id } = message;
+    try {
+      if (message.version !== EMBED_VERSION) {
+        throw new Error(
+          `Versão ${message.version} não suportada (atual: ${EMBED_VERSION})`,
+        );
+      }
+      const result = this.handleRequest(message);
+      this.post({ type: "response", id, ok: true, result });
+    } catch (error) {
+      this.post({ type: "response", id, ok: false, error: error.message });
+    }
+
+    if (!this.readySent) this.postReady();
+  }
+
+  postReady() {
+    this.readySent = true;
+    this.post({ type: "ready", ...this.getInfo() });
+  }
+
+  handleRequest(message) {
+    switch (message.type) {
+      case "getInfo":
+        return this.getInfo();
+      case "loadScenario":
+        return this.loadScenario(message);
+      case "reset":
+        return this.loadScenario({
+          scenarioId: this.simulator.scenarioId,
+          seed: this.simulator.seed,
+          rovModel: this.simulator.currentROVModel,
+        });
+      case "setInput":
+        return this.setInput(message.input);
+      case "getTelemetry":
+        return this.telemetry.snapshot();
+      case "getObjectives":
+        return this.getObjectives();
+      case "pause":
+        return this.setPaused(message.paused);
+      case "subscribe":
+        return this.subscribe(message.topics, message.rate);
+      case "unsubscribe":
+        return this.unsubscribe(message.topics);
+      default:
+        throw new Error(`Mensagem desconhecida: ${message.type}`);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // PEDIDOS
+  // ═══════════════════════════════════════════════════════════════
+
+  getInfo() {
+    const sim = this.simulator;
+    return {
+      version: EMBED_VERSION,
+      scenarioId: sim.scenarioId,
+      scenarioName: sim.scenarioConfig.name,
+      seed: sim.seed,
+      rovModel: sim.currentROVModel,
+      scenarios: Object.keys(SCENARIO_CONFIGS),
+      rovModels: Object.keys(VEHICLE_PROFILES),
+    };
+  }
+
+  /**
+   * Troca de cenário recarrega o simulador (como o seletor de cenários);
+   * a hospedeira recebe "ready" quando a nova cena estiver pronta
+   */
+  loadScenario({ scenarioId, seed, rovModel }) {
+    if (!SCENARIO_CONFIGS[scenarioId]) {
+      throw new Error(`Cenário desconhecido: ${scenarioId}`);
+    }
+    if (rovModel !== undefined && !VEHICLE_PROFILES[rovModel]) {
+      throw new Error(`ROV desconhecido: ${rovModel}`);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    params.set("scenario", scenarioId);
+    params.set("embedded", "true");
+    // A página recarregada já conhece a hospedeira e avisa "ready"
+    params.set("host", this.hostOrigin);
+    if (seed !== undefined && seed !== null) params.set("seed", seed);
+    else params.delete("seed");
+    if (rovModel !== undefined) params.set("rov", rovModel);
+
+    // Depois da resposta
+    setTimeout(() => {
+      window.location.search = params.toString();
+    }, 0);
+    return { reloading: true };
+  }
+
+  /**
+   * Comandos do piloto automático. Entram no mesmo canal do gamepad: o
+   * teclado ainda vence quando tiver valor maior, e o ROV precisa estar
+   * armado. Os valores ficam até o próximo setInput.
+   */
+  setInput(input) {
+    if (!input || typeof input !== "object") {
+      throw new Error("input: deve ser um objeto");
+    }
+
+    const sim = this.simulator;
+    if (sim.missionEnded) throw new Error("Sessão encerrada");
+    if (sim.recorder && sim.recorder.isPlayingBack()) {
+      throw new Error("Simulador em replay");
+    }
+
+    const applied = {};
+    for (const axis of Object.keys(input)) {
+      if (!INPUT_AXES.includes(axis)) {
+        throw new Error(`input.${axis}: eixo desconhecido`);
+      }
+      const value = input[axis];
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(`input.${axis}: deve ser um número`);
+      }
+      applied[axis] = Math.max(-1, Math.min(1, value));
+    }
+
+    Object.assign(sim.gamepadInput, applied);
+    return { input: applied, armed: sim.isArmed };
+  }
+
+  getObjectives() {
+    const sim = this.simulator;
+    return {
+      score: sim.score,
+      maxScore: sim.totalPossibleScore,
+      objectives: sim.objectives.map((o) => ({
+        id: o.id,
+        name: o.name,
+        desc: o.desc,
+        points: o.points,
+        optional: Boolean(o.optional),
+        completed: o.completed,
+        state: sim.objectiveSystem.getState(o),
+      })),
+    };
+  }
+
+  setPaused(paused) {
+    if (typeof paused !== "boolean") {
+      throw new Error("paused: deve ser verdadeiro ou falso");
+    }
+
+    const sim = this.simulator;
+    if (sim.isPaused !== paused && !sim.togglePause()) {
+      throw new Error("Sessão pausada pelo instrutor");
+    }
+    return { paused: sim.isPaused };
+  }
+
+  subscribe(topics, rate = DEFAULT_TELEMETRY_RATE) {
+    this.validateTopics(topics);
+    if (typeof rate !== "number" || rate <= 0 || rate > MAX_TELEMETRY_RATE) {
+      throw new Error(`rate: entre 0 e ${MAX_TELEMETRY_RATE} Hz`);
+    }
+
+    topics.forEach((topic) => this.topics.add(topic));
+    if (topics.includes("telemetry")) this.startTelemetry(rate);
+    return { topics: [...this.topics] };
+  }
+
+  unsubscribe(topics) {
+    this.validateTopics(topics);
+
+    topics.forEach((topic) => this.topics.delete(topic));
+    if (topics.includes("telemetry")) this.stopTelemetry();
+    return { topics: [...this.topics] };
+  }
+
+  validateTopics(topics) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      throw new Error(`topics: lista com ${EMBED_TOPICS.join(", ")}`);
+    }
+    const unknown = topics.find((topic) => !EMBED_TOPICS.includes(topic));
+    if (unknown !== undefined) throw new Error(`Tópico desconhecido: ${unknown}`);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // NOTIFICAÇÕES
+  // ═══════════════════════════════════════════════════════════════
+
+  startTelemetry(rate) {
+    this.stopTelemetry();
+    this.telemetry.pendingEvents = [];
+    this.telemetryTimer = setInterval(() => {
+      const recorder = this.simulator.recorder;
+      if (recorder && recorder.isPlayingBack()) return;
+      this.post({ type: "telemetry", telemetry: this.telemetry.frame() });
+    }, 1000 / rate);
+  }
+
+  stopTelemetry() {
+    clearInterval(this.telemetryTimer);
+    this.telemetryTimer = null;
+  }
+
+  // Chamado por ROVSimulator.addEvent()
+  onEvent(type, message) {
+    if (this.topics.has("telemetry")) this.telemetry.pushEvent(type, message);
+    if (!this.topics.has("events")) return;
+
+    this.post({
+      type: "event",
+      event: {
+        t: Math.round(this.simulator.sessionTime * 100) / 100,
+        type,
+        message,
+      },
+    });
+  }
+
+  // Chamado por ROVSimulator.completeObjective()
+  onObjectiveCompleted(obj) {
+    if (!this.topics.has("objectives")) return;
+    this.post({
+      type: "objective",
+      objective: { id: obj.id, name: obj.name, points: obj.points },
+      score: this.simulator.score,
+    });
+  }
+
+  // Chamado por ROVSimulator.endSession()
+  onMissionEnd(outcome) {
+    const sim = this.simulator;
+    this.stopTelemetry();
+    this.post({
+      type: "missionEnd",
+      outcome,
+      score: sim.score,
+      maxScore: sim.totalPossibleScore,
+      grade: sim.grading.evaluate(outcome).grade,
+      failureReason: outcome === "failed" ? sim.failureReason : null,
+    });
+  }
+
+  post(message) {
+    // Antes do aperto de mão não há destino conhecido
+    if (!this.hostOrigin) return;
+    window.parent.postMessage(
+      { protocol: EMBED_PROTOCOL, version: EMBED_VERSION, ...message },
+      this.hostOrigin,
+    );
+  }
+}
+
+export default EmbedAPI;
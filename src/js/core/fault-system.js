@@ -0,0 +1,221 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Sistema de Falhas - eventos aleatórios com prazo de manutenção
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Não acessa DOM: roda igual no navegador e no modo headless
+//
+// Agenda as falhas de sim.eventTypes no estado sim.randomEvents (sorteio no
+// fluxo "events" da semente). Cada falha tem efeito real até o ROV chegar à
+// zona de manutenção; se o prazo acabar antes, a missão falha. O prazo é o
+// urgency da falha (s), estendido quando o ROV está longe demais da zona
+// para chegar nesse tempo.
+//
+//   overheat:  bomba de resfriamento parada (a eletrônica troca menos calor)
+//   corrosion: dano progressivo no casco
+//   leak:      água entrando no casco, cada vez mais rápido (ROV fica pesado)
+//   thruster:  um propulsor desligado
+//
+// scenarioConfig.faults (todos os campos opcionais):
+//   enabled:         bool       - true liga o sorteio (desligado por padrão;
+//                                 falhas do instrutor valem sempre)
+//   types:           ["leak"]   - ids de eventTypes sorteados (padrão: todos)
+//   interval:        [min, max] - intervalo entre falhas (s)
+//   maintenanceZone: { x, y, z, radius } - padrão: acima do ponto de lançamento
+
+const DEFAULTS = {
+  enabled: false,
+  interval: [60, 180],
+};
+
+// Velocidade de trânsito até a zona com o ROV avariado (m/s): define o
+// prazo mínimo de cada falha
+const TRANSIT_SPEED = 0.5;
+
+// Intensidade dos efeitos
+const EFFECTS = {
+  overheatCooling: 0.25, // Fração da troca de calor que sobra
+  corrosionRate: 0.4, // % de dano por segundo
+  leakGrowth: 0.02, // kg/s de água a mais a cada segundo de falha
+};
+
+export class FaultSystem {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    this.enabled = false;
+    this.failedThruster = null; // Índice em rov.thrusters
+    this.leakWater = 0; // kg de água no casco
+  }
+
+  /**
+   * Lê scenarioConfig.faults e agenda a primeira falha
+   */
+  init() {
+    const sim = this.simulator;
+    const config = { ...DEFAULTS, ...(sim.scenarioConfig.faults || {}) };
+    const events = sim.randomEvents;
+
+    this.enabled = config.enabled;
+    this.interval = config.interval;
+    this.types = config.types
+      ? sim.eventTypes.filter((type) => config.types.includes(type.id))
+      : sim.eventTypes;
+
+    // Zona de manutenção: navio/TMS acima do ponto de lançamento
+    const start = sim.scenarioConfig;
+    events.maintenanceZone = config.maintenanceZone
+      ? { radius: 10, ...config.maintenanceZone }
+      : { x: start.startX, y: -3, z: start.startZ, radius: 10 };
+
+    events.active = false;
+    events.type = null;
+    events.timer = 0;
+    events.deadline = 0;
+    events.nextEventTime = sim.rng.events.range(...this.interval);
+    this.clearEffects();
+  }
+
+  /**
+   * Falha ativa (entrada de sim.eventTypes) ou null
+   */
+  get active() {
+    const events = this.simulator.randomEvents;
+    return events.active ? events.type : null;
+  }
+
+  /**
+   * Segundos até o prazo da falha ativa
+   */
+  getRemainingTime() {
+    const events = this.simulator.randomEvents;
+    return events.active ? Math.max(0, events.deadline - events.timer) : 0;
+  }
+
+  /**
+   * Agenda, agrava e resolve as falhas (um passo)
+   * @param {number} dt
+   */
+  update(dt) {
+    const sim = this.simulator;
+    const events = sim.randomEvents;
+
+    // Falhas injetadas pelo instrutor correm mesmo com o sorteio desligado
+    if (!events.active) {
+      if (
+        this.enabled &&
+        this.types.length > 0 &&
+        sim.sessionTime >= events.nextEventTime
+      ) {
+        this.trigger();
+      }
+      return;
+    }
+
+    events.timer += dt;
+    this.applyEffects(dt);
+
+    if (this.isInMaintenanceZone()) {
+      this.resolve();
+    } else if (events.timer >= events.deadline) {
+      sim.failMission(`${events.type.name} - prazo de manutenção esgotado`);
+    }
+  }
+
+  /**
+   * Ativa uma falha
+   * @param {object} [type] - Entrada de sim.eventTypes (padrão: sorteada)
+   */
+  trigger(type = this.simulator.rng.events.pick(this.types)) {
+    const sim = this.simulator;
+    const events = sim.randomEvents;
+
+    events.active = true;
+    events.type = type;
+    events.timer = 0;
+    const zone = events.maintenanceZone;
+    const transit = this.distanceToMaintenanceZone() - zone.radius;
+    events.deadline = Math.max(
+      type.urgency,
+      Math.ceil(transit / TRANSIT_SPEED),
+    );
+
+    if (type.id === "thruster") {
+      this.failedThruster = sim.rng.events.int(0, sim.rov.thrusters.length);
+    }
+    if (type.id === "overheat") {
+      sim.thermal.coolingFactor = EFFECTS.overheatCooling;
+    }
+
+    const message = `${type.name}: ${type.desc} (${events.deadline}s)`;
+    sim.addEvent("danger", message);
+    if (sim.recorder) sim.recorder.markEvent("warning", type.name);
+  }
+
+  // Efeitos que pioram com o tempo
+  applyEffects(dt) {
+    const sim = this.simulator;
+    const events = sim.randomEvents;
+
+    switch (events.type.id) {
+      case "corrosion":
+        sim.damage = Math.min(
+          sim.maxDamage,
+          sim.damage + EFFECTS.corrosionRate * dt,
+        );
+        if (sim.damage >= sim.maxDamage) sim.failMission("ROV Destruído");
+        break;
+
+      case "leak":
+        this.leakWater += EFFECTS.leakGrowth * events.timer * dt;
+        break;
+    }
+  }
+
+  // Distância até o centro da zona de manutenção
+  distanceToMaintenanceZone() {
+    const zone = this.simulator.randomEvents.maintenanceZone;
+    const position = this.simulator.rov.position;
+    return Math.hypot(
+      position.x - zone.x,
+      position.y - zone.y,
+      position.z - zone.z,
+    );
+  }
+
+  isInMaintenanceZone() {
+    const zone = this.simulator.randomEvents.maintenanceZone;
+    return this.distanceToMaintenanceZone() < zone.radius;
+  }
+
+  // Manutenção: desfaz os efeitos e agenda a próxima falha
+  resolve() {
+    const sim = this.simulator;
+    const events = sim.randomEvents;
+
+    sim.addEvent("success", `🔧 Manutenção concluída: ${events.type.name}`);
+    events.active = false;
+    events.type = null;
+    events.timer = 0;
+    events.deadline = 0;
+    events.nextEventTime =
+      sim.sessionTime + sim.rng.events.range(...this.interval);
+    this.clearEffects();
+  }
+
+  clearEffects() {
+    this.failedThruster = null;
+    this.leakWater = 0;
+    this.simulator.thermal.coolingFactor = 1;
+  }
+
+  /**
+   * Propulsor desligado pela falha "thruster"
+   * @param {number} index - Posição em rov.thrusters
+   */
+  isThrusterFailed(index) {
+    return this.failedThruster === index;
+  }
+}
+
+export default FaultSystem;
@@ -0,0 +1,306 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Sistema de Avaliação - nota final com bônus de tempo e penalidades
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { calculateGrade } from "./hud.js";
+
+// A nota parte dos pontos dos objetivos. Bônus e penalidades são
+// porcentagens da pontuação máxima do cenário, para que o mesmo peso valha
+// em um cenário de 150 ou de 2750 pontos. Cada cenário pode trocar qualquer
+// peso em `grading` (0 desliga o critério):
+//
+//   parTime            - s: bônus de tempo integral até aqui, cai a zero
+//                        no dobro (sem parTime não há bônus)
+//   timeBonus          - % do máximo
+//   collision          - % por colisão (contato contínuo conta uma vez)
+//   damage             - % por ponto de dano
+//   speedLimit         - m/s perto de estruturas
+//   speedDistance      - m: pilares e obstáculos (não os alvos)
+//   overspeed          - % por segundo acima do limite
+//   surfacing          - % por vez que o ROV rompe a superfície
+//   seabed             - % por batida no fundo
+//   seabedImpactSpeed  - m/s: pousar mais devagar que isso não conta
+export const DEFAULT_GRADING = {
+  parTime: null,
+  timeBonus: 10,
+  collision: 2,
+  damage: 0.25,
+  speedLimit: 1.0,
+  speedDistance: 5,
+  overspeed: 1,
+  surfacing: 5,
+  seabed: 2,
+  seabedImpactSpeed: 0.5,
+};
+
+// Colisões a menos de 1s da anterior são o mesmo contato
+const COLLISION_GROUP = 1; // s
+
+// Profundidade do topo do casco para a subida seguinte contar de novo
+const SURFACE_REARM = 1; // m
+
+// Altura sobre o fundo para a batida seguinte contar de novo
+const SEABED_REARM = 0.5; // m
+
+const OVERSPEED_WARNING_INTERVAL = 5; // s
+
+// Itens do detalhamento que somam acima da pontuação máxima
+const BONUS_ITEMS = ["time", "optional"];
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export class GradingSystem {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    this.collisions = 0;
+    this.lastCollision = -Infinity;
+    this.overspeedTime = 0;
+    this.isOverspeed = false;
+    this.lastOverspeedWarning = -Infinity;
+    this.surfacings = 0;
+    this.atSurface = false;
+    this.seabedHits = 0;
+    this.onSeabed = false;
+    this.lastVerticalSpeed = 0;
+  }
+
+  // Pesos do cenário sobre os padrões (lidos a cada uso: o cenário pode ser
+  // recarregado depois do construtor)
+  get config() {
+    const scenario = this.simulator.scenarioConfig || {};
+    return { ...DEFAULT_GRADING, ...scenario.grading };
+  }
+
+  /**
+   * Superfície, fundo e velocidade perto de estruturas (chamado a cada
+   * passo fixo, depois da física e das colisões)
+   * @param {number} dt
+   */
+  update(dt) {
+    const sim = this.simulator;
+    const config = this.config;
+    const { position, velocity } = sim.rov;
+    const halfHeight = sim.getROVHitbox().height / 2;
+
+    // Topo do casco na superfície
+    const top = position.y + halfHeight;
+    if (!this.atSurface && top >= sim.physics.surfaceLimit) {
+      this.atSurface = true;
+      if (config.surfacing > 0) {
+        this.surfacings++;
+        sim.addEvent("warning", "⚠️ ROV rompeu a superfície - penalidade");
+        this.onPenalty();
+      }
+    } else if (top < sim.physics.surfaceLimit - SURFACE_REARM) {
+      this.atSurface = false;
+    }
+
+    // Fundo: a física zera a velocidade no contato, então o impacto é a
+    // velocidade vertical do passo anterior
+    const altitude = position.y - halfHeight + sim.environment.seabedDepth;
+    if (!this.onSeabed && altitude <= 0.01) {
+      this.onSeabed = true;
+      const impactSpeed = -this.lastVerticalSpeed;
+      if (config.seabed > 0 && impactSpeed > config.seabedImpactSpeed) {
+        this.seabedHits++;
+        sim.addEvent(
+          "warning",
+          `⚠️ Batida no fundo a ${impactSpeed.toFixed(1)} m/s - penalidade`,
+        );
+        this.onPenalty();
+      }
+    } else if (altitude > SEABED_REARM) {
+      this.onSeabed = false;
+    }
+    this.lastVerticalSpeed = velocity.y;
+
+    const overspeed =
+      config.overspeed > 0 &&
+      velocity.length() > config.speedLimit &&
+      this.distanceToStructures() < config.speedDistance;
+    if (overspeed) {
+      this.overspeedTime += dt;
+      if (
+        !this.isOverspeed &&
+        sim.sessionTime - this.lastOverspeedWarning >=
+          OVERSPEED_WARNING_INTERVAL
+      ) {
+        this.lastOverspeedWarning = sim.sessionTime;
+        sim.addEvent(
+          "warning",
+          `⚠️ Acima de ${config.speedLimit} m/s perto de estrutura`,
+        );
+      }
+    }
+    if (overspeed !== this.isOverspeed) {
+      this.isOverspeed = overspeed;
+      this.onPenalty();
+    }
+  }
+
+  /**
+   * Conta uma colisão (chamado por ROVSimulator.markCollision())
+   */
+  recordCollision() {
+    const now = this.simulator.sessionTime;
+    const isNewContact = now - this.lastCollision >= COLLISION_GROUP;
+    this.lastCollision = now;
+    if (!isNewContact) return;
+
+    this.collisions++;
+    this.onPenalty();
+  }
+
+  // Nota ao vivo no HUD
+  onPenalty() {
+    if (this.simulator.hud) this.simulator.hud.updateScore();
+  }
+
+  /**
+   * Distância até a estrutura mais próxima: pilares (eixo do cilindro) e
+   * obstáculos do túnel. Alvos dos objetivos são marcadores, não estruturas:
+   * passar rápido por um waypoint não é penalidade
+   */
+  distanceToStructures() {
+    const sim = this.simulator;
+    const position = sim.rov.position;
+    let closest = Infinity;
+
+    for (const obstacle of sim.obstacles) {
+      const center = obstacle.position.clone();
+      if (obstacle.type === "cylinder") {
+        center.y = Math.max(
+          obstacle.position.y,
+          Math.min(obstacle.position.y + obstacle.height, position.y),
+        );
+      }
+      const distance = position.distanceTo(center) - (obstacle.radius || 1);
+      closest = Math.min(closest, distance);
+    }
+
+    for (const obstacle of sim.tunnelObstacles || []) {
+      const radius = obstacle.userData.collisionRadius || 2;
+      const distance = position.distanceTo(obstacle.position) - radius;
+      closest = Math.min(closest, distance);
+    }
+
+    return Math.max(0, closest);
+  }
+
+  /**
+   * Nota com o detalhamento por critério
+   * @param {"completed"|"failed"|"incomplete"|null} outcome - O bônus de
+   *   tempo só vale para missão concluída
+   * @returns {{score: number, maxScore: number, grade: string,
+   *   breakdown: Array<{id: string, label: string, detail: string,
+   *   points: number}>}}
+   */
+  evaluate(outcome = null) {
+    const sim = this.simulator;
+    const config = this.config;
+    const maxScore = sim.totalPossibleScore;
+    const percent = (value) => Math.round((value / 100) * maxScore);
+
+    const completed = sim.objectives.filter((o) => o.completed).length;
+    const total = sim.objectives.filter((o) => !o.skipped).length;
+    const optional = sim.objectives.filter((o) => o.optional && o.completed);
+    const optionalPoints = optional.reduce((acc, o) => acc + o.points, 0);
+    const breakdown = [
+      {
+        id: "objectives",
+        label: "Objetivos",
+        detail: `${completed}/${total}`,
+        points: sim.score - optionalPoints,
+      },
+    ];
+    if (optional.length > 0) {
+      breakdown.push({
+        id: "optional",
+        label: "Objetivos opcionais",
+        detail: `${optional.length}×`,
+        points: optionalPoints,
+      });
+    }
+
+    if (config.parTime > 0 && config.timeBonus > 0) {
+      const t = sim.sessionTime;
+      const fraction = Math.max(
+        0,
+        Math.min(1, (2 * config.parTime - t) / config.parTime),
+      );
+      breakdown.push({
+        id: "time",
+        label: "Bônus de tempo",
+        detail: `${Math.round(t)}s (meta ${config.parTime}s)`,
+        points:
+          outcome === "completed" ? percent(config.timeBonus * fraction) : 0,
+      });
+    }
+
+    const penalties = [
+      {
+        id: "collisions",
+        label: "Colisões",
+        weight: config.collision,
+        amount: this.collisions,
+        detail: `${this.collisions}×`,
+      },
+      {
+        id: "damage",
+        label: "Dano",
+        weight: config.damage,
+        amount: sim.damage,
+        detail: `${Math.round(sim.damage)}%`,
+      },
+      {
+        id: "speed",
+        label: "Velocidade perto de estruturas",
+        weight: config.overspeed,
+        amount: this.overspeedTime,
+        detail: `${round(this.overspeedTime)}s acima de ${config.speedLimit} m/s`,
+      },
+      {
+        id: "surfacing",
+        label: "Subidas à superfície",
+        weight: config.surfacing,
+        amount: this.surfacings,
+        detail: `${this.surfacings}×`,
+      },
+      {
+        id: "seabed",
+        label: "Batidas no fundo",
+        weight: config.seabed,
+        amount: this.seabedHits,
+        detail: `${this.seabedHits}×`,
+      },
+    ];
+    penalties
+      .filter((penalty) => penalty.weight > 0)
+      .forEach(({ id, label, weight, amount, detail }) => {
+        const points = -percent(weight * amount);
+        breakdown.push({ id, label, detail, points });
+      });
+
+    // Objetivos e penalidades ficam entre 0 e o máximo; os bônus (tempo e
+    // objetivos opcionais) somam por cima e desempatam quem fez tudo
+    const sumOf = (items) => items.reduce((acc, item) => acc + item.points, 0);
+    const isBonus = (item) => BONUS_ITEMS.includes(item.id);
+    const base = sumOf(breakdown.filter((item) => !isBonus(item)));
+    const bonus = sumOf(breakdown.filter(isBonus));
+    const score = Math.max(0, Math.min(maxScore, base)) + bonus;
+
+    return {
+      score,
+      maxScore,
+      grade: calculateGrade(score, maxScore),
+      breakdown,
+    };
+  }
+}
+
+export default GradingSystem;
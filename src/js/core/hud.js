@@ -3,13 +3,37 @@
 // Sistema de HUD (Heads-Up Display)
 // ═══════════════════════════════════════════════════════════════════════════
 
+import { THRUSTER_IDS } from "./thruster-allocation.js";
+
+/**
+ * Nota da missão a partir da porcentagem de pontos obtidos
+ * @returns {string} S, A, B, C, D ou F
+ */
+export function calculateGrade(score, totalPossibleScore) {
+  const percentage =
+    totalPossibleScore > 0 ? (score / totalPossibleScore) * 100 : 0;
+  return percentage >= 90
+    ? "S"
+    : percentage >= 80
+    ? "A"
+    : percentage >= 70
+    ? "B"
+    : percentage >= 60
+    ? "C"
+    : percentage >= 50
+    ? "D"
+    : "F";
+}
+
 export class HUD {
   constructor(simulator) {
     this.simulator = simulator;
+    this.endModal = null; // Modal de fim de missão (escondido no replay)
   }
 
   init() {
     this.initObjectivesUI();
+    this.initRulesUI();
     this.initTelemetryUI();
   }
 
@@ -19,10 +43,18 @@ export class HUD {
     if (!list) return;
 
     list.innerHTML = "";
-    sim.objectives.forEach((obj, index) => {
+    sim.objectives.forEach((obj) => {
       const item = document.createElement("div");
-      item.className = "objective-item" + (index === 0 ? " active" : "");
+      item.className = "objective-item";
       item.id = `objective-${obj.id}`;
+
+      // Pré-requisitos (visível enquanto bloqueado)
+      const requires = (obj.requires || [])
+        .map((id) => sim.objectives.find((o) => o.id === id))
+        .filter(Boolean)
+        .map((o) => o.name);
+      const points = `${obj.optional ? "bônus " : ""}+${obj.points}`;
+
       item.innerHTML = `
         <div class="objective-checkbox">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
@@ -30,13 +62,45 @@ export class HUD {
           </svg>
         </div>
         <div class="objective-content">
-          <div class="objective-name">${obj.name}</div>
-          <div class="objective-desc">${obj.desc}</div>
+          <div class="objective-name"></div>
+          <div class="objective-desc"></div>
         </div>
-        <div class="objective-points">+${obj.points}</div>
+        <div class="objective-points">${points}</div>
       `;
+
+      // Nomes e descrições de cenários personalizados: texto, nunca HTML
+      const content = item.querySelector(".objective-content");
+      content.querySelector(".objective-name").textContent = obj.name;
+      content.querySelector(".objective-desc").textContent = obj.desc;
+      if (requires.length) {
+        const lock = document.createElement("div");
+        lock.className = "objective-lock";
+        lock.textContent = `🔒 Após: ${requires.join(", ")}`;
+        content.appendChild(lock);
+      }
       list.appendChild(item);
     });
+
+    this.updateObjectives();
+  }
+
+  // Regras do cenário (a seção fica escondida quando não há nenhuma)
+  initRulesUI() {
+    const list = document.getElementById("rules-list");
+    if (!list) return;
+
+    const rules = this.simulator.missionRules.describe();
+    list.innerHTML = "";
+    rules.forEach((rule) => {
+      const item = document.createElement("div");
+      item.className = "rule-item";
+      item.id = `rule-${rule.id}`;
+      item.textContent = rule.text;
+      list.appendChild(item);
+    });
+
+    const section = document.getElementById("rules-section");
+    if (section) section.style.display = rules.length > 0 ? "" : "none";
   }
 
   initTelemetryUI() {
@@ -53,6 +117,7 @@ export class HUD {
     this.updateTelemetry();
     this.updateThrusters();
     this.updateDamage();
+    this.updateTimeLimit();
   }
 
   updateCompass() {
@@ -127,15 +192,15 @@ export class HUD {
   }
 
   updateHorizon() {
-    const sim = this.simulator;
-    const pitch = ((sim.cameraPitch || 0) * 180) / Math.PI;
-    const roll = (sim.rov.rotation.z * 180) / Math.PI;
+    const attitude = this.simulator.physics.getAttitude();
+    const pitch = (attitude.pitch * 180) / Math.PI;
+    const roll = (attitude.roll * 180) / Math.PI;
 
     const horizonSky = document.getElementById("horizon-sky");
     if (horizonSky) {
       horizonSky.style.transform = `translateY(${
         pitch * 2
-      }px) rotate(${roll}deg)`;
+      }px) rotate(${-roll}deg)`;
     }
 
     const pitchIndicator = document.getElementById("pitch-indicator");
@@ -152,8 +217,8 @@ export class HUD {
   updateTelemetry() {
     const sim = this.simulator;
 
-    // Temperatura (simulada)
-    const temp = 18 + Math.random() * 2;
+    // Temperatura da eletrônica (modelo térmico + ruído do sensor)
+    const temp = sim.thermal.temperature + sim.rng.sensors.range(-0.2, 0.2);
     const tempEl = document.getElementById("telem-temp");
     if (tempEl) tempEl.textContent = temp.toFixed(1);
 
@@ -162,8 +227,8 @@ export class HUD {
     const pressEl = document.getElementById("telem-pressure");
     if (pressEl) pressEl.textContent = pressure.toFixed(1);
 
-    // Bateria (simulada, diminui lentamente)
-    const battery = Math.max(0, 100 - sim.sessionTime / 60);
+    // Bateria (modelo de energia: src/js/core/power-system.js)
+    const battery = sim.power.getPercent();
     const battEl = document.getElementById("telem-battery");
     if (battEl) {
       battEl.textContent = battery.toFixed(0);
@@ -177,28 +242,14 @@ export class HUD {
   }
 
   updateThrusters() {
-    const sim = this.simulator;
-    const input = sim.input;
-
-    // Calcular thrust de cada propulsor baseado nos inputs
-    const thrusts = [
-      Math.abs(input.surge + input.yaw) * 50, // Front Left
-      Math.abs(input.surge - input.yaw) * 50, // Front Right
-      Math.abs(-input.surge + input.yaw) * 50, // Back Left
-      Math.abs(-input.surge - input.yaw) * 50, // Back Right
-      Math.abs(input.heave + input.sway) * 50, // Vertical FL
-      Math.abs(input.heave - input.sway) * 50, // Vertical FR
-      Math.abs(input.heave - input.sway) * 50, // Vertical BL
-      Math.abs(input.heave + input.sway) * 50, // Vertical BR
-    ];
-
-    thrusts.forEach((thrust, i) => {
-      const el = document.getElementById(`thruster-${i}`);
+    // Comandos calculados pela alocação de empuxo (-1..1, negativo = reverso)
+    this.simulator.rov.thrusters.forEach((thrust, i) => {
+      const el = document.getElementById(`thr-${THRUSTER_IDS[i]}`);
       if (el) {
-        el.style.setProperty("--thrust", `${Math.min(100, thrust)}%`);
-        el.querySelector(".thruster-value").textContent = `${Math.round(
-          thrust
-        )}%`;
+        const percent = Math.round(Math.abs(thrust) * 100);
+        el.style.setProperty("--thrust", `${percent}%`);
+        el.classList.toggle("reverse", thrust < 0);
+        el.querySelector(".thruster-value").textContent = `${percent}%`;
       }
     });
   }
@@ -226,22 +277,30 @@ export class HUD {
     }
   }
 
-  updateObjective(objective, completed) {
-    const el = document.getElementById(`objective-${objective.id}`);
-    if (!el) return;
+  // Contagem regressiva na regra de tempo limite
+  updateTimeLimit() {
+    const remaining = this.simulator.missionRules.getTimeRemaining();
+    const el = document.getElementById("rule-timeLimit");
+    if (!el || remaining === null) return;
 
-    if (completed) {
-      el.classList.remove("active");
-      el.classList.add("completed");
-    }
+    el.textContent = `⏱ Tempo restante: ${this.formatTime(remaining)}`;
+    el.classList.toggle("warning", remaining <= 60);
+  }
 
-    // Ativar próximo objetivo
+  // Estado de cada item: bloqueado, ativo, concluído ou descartado
+  updateObjectives() {
     const sim = this.simulator;
-    const nextObj = sim.objectives.find((o) => !o.completed);
-    if (nextObj) {
-      const nextEl = document.getElementById(`objective-${nextObj.id}`);
-      if (nextEl) nextEl.classList.add("active");
-    }
+    const states = ["locked", "active", "completed", "skipped"];
+
+    sim.objectives.forEach((obj) => {
+      const el = document.getElementById(`objective-${obj.id}`);
+      if (!el) return;
+
+      const state = sim.objectiveSystem.getState(obj);
+      states.forEach((s) => el.classList.toggle(s, s === state));
+      el.classList.toggle("optional", Boolean(obj.optional));
+      el.classList.toggle("forbidden", obj.type === "avoid");
+    });
   }
 
   updateScore() {
@@ -252,27 +311,78 @@ export class HUD {
       scoreEl.textContent = sim.score;
     }
 
-    // Calcular grade
-    const percentage = (sim.score / sim.totalPossibleScore) * 100;
-    const grade =
-      percentage >= 90
-        ? "S"
-        : percentage >= 80
-        ? "A"
-        : percentage >= 70
-        ? "B"
-        : percentage >= 60
-        ? "C"
-        : percentage >= 50
-        ? "D"
-        : "F";
-
-    const gradeEl = document.getElementById("score-grade");
+    // Nota com penalidades (bônus de tempo só com a missão concluída)
+    const gradeEl = document.getElementById("grade-value");
     if (gradeEl) {
-      gradeEl.textContent = `Grade: ${grade}`;
+      const completed = sim.missionCompleted && !sim.missionFailed;
+      gradeEl.textContent = sim.grading.evaluate(
+        completed ? "completed" : null,
+      ).grade;
     }
   }
 
+  /**
+   * Miniatura na galeria da sessão (mais recente primeiro)
+   * @param {object} photo - Registro de PhotoCapture.capture()
+   */
+  addPhoto(photo) {
+    const gallery = document.getElementById("photo-gallery");
+    if (!gallery) return;
+
+    const empty = gallery.querySelector(".photo-empty");
+    if (empty) empty.remove();
+
+    const item = document.createElement("div");
+    item.className = `photo-item ${photo.valid ? "valid" : "invalid"}`;
+    item.title = this.describePhoto(photo);
+    item.innerHTML = `
+      ${photo.image ? `<img src="${photo.image}" alt="Foto ${photo.id}">` : ""}
+      <span class="photo-label">#${photo.id} ${photo.valid ? "✓" : "✗"}</span>
+    `;
+    item.addEventListener("click", () => this.showPhoto(photo));
+    gallery.prepend(item);
+
+    // Mesmo limite da galeria em PhotoCapture
+    const items = gallery.querySelectorAll(".photo-item");
+    if (items.length > this.simulator.photoCapture.photos.length) {
+      items[items.length - 1].remove();
+    }
+  }
+
+  describePhoto(photo) {
+    const time = this.formatTime(photo.t);
+    const lines = [`Foto ${photo.id} - ${time} - ${photo.camera.toUpperCase()}`];
+    if (photo.objectiveName) {
+      lines.push(
+        `${photo.objectiveName} (${photo.distance}m): ${
+          photo.valid ? "válida" : photo.issues.join(", ")
+        }`,
+      );
+    }
+    return lines.join("\n");
+  }
+
+  // Foto ampliada com a pose e o resultado da avaliação
+  showPhoto(photo) {
+    const { position, heading, pitch, roll } = photo.pose;
+    const overlay = document.createElement("div");
+    overlay.className = "photo-viewer";
+    overlay.innerHTML = `
+      <div class="photo-viewer-content">
+        ${photo.image ? `<img src="${photo.image}" alt="Foto ${photo.id}">` : ""}
+        <pre class="photo-viewer-info"></pre>
+        <div class="photo-viewer-pose">
+          X ${position.x} Y ${position.y} Z ${position.z} m -
+          HDG ${heading}° P ${pitch}° R ${roll}°
+        </div>
+      </div>
+    `;
+    overlay.querySelector(".photo-viewer-info").textContent =
+      this.describePhoto(photo);
+    overlay.addEventListener("click", () => overlay.remove());
+    document.body.appendChild(overlay);
+  }
+
   showWarning(message) {
     const panel = document.getElementById("warning-panel");
     if (!panel) return;
@@ -285,8 +395,39 @@ export class HUD {
     setTimeout(() => warning.remove(), 5000);
   }
 
+  /**
+   * Nota e tabela de critérios dos modais de fim de missão
+   * @param {object} grading - GradingSystem.evaluate()
+   */
+  renderGrading(grading) {
+    const rows = grading.breakdown
+      .map((item) => {
+        const bonus = item.points > 0 && item.id !== "objectives";
+        const color = item.points < 0 ? "#ff8888" : "#00ff88";
+        return `
+          <tr>
+            <td style="padding: 4px 8px; text-align: left;">${item.label}</td>
+            <td style="padding: 4px 8px; color: #888;">${item.detail}</td>
+            <td style="padding: 4px 8px; text-align: right; color: ${color};">${
+              bonus ? "+" : ""
+            }${item.points}</td>
+          </tr>`;
+      })
+      .join("");
+
+    return `
+      <p style="color: #00d4ff; font-size: 28px; margin: 10px 0;">Nota ${
+        grading.grade
+      } - ${grading.score}/${grading.maxScore} pts</p>
+      <table style="width: 100%; color: #ccc; font-size: 14px; border-collapse: collapse; margin: 10px 0;">
+        ${rows}
+      </table>
+    `;
+  }
+
   showMissionComplete() {
     const sim = this.simulator;
+    const grading = sim.grading.evaluate("completed");
 
     const modal = document.createElement("div");
     modal.id = "mission-complete-modal";
@@ -300,18 +441,22 @@ export class HUD {
           <p style="color: #888; font-size: 16px; margin: 20px 0;">Tempo: ${this.formatTime(
             sim.sessionTime
           )}</p>
+          ${this.renderGrading(grading)}
+          <p id="session-save-status" style="color: #888; font-size: 14px; margin: 10px 0;">Salvando resultado...</p>
           <div style="display: flex; gap: 15px; justify-content: center; margin-top: 20px;">
             <button onclick="location.reload()" style="background: #00ff88; color: #000; border: none; padding: 15px 30px; font-size: 16px; border-radius: 10px; cursor: pointer;">JOGAR NOVAMENTE</button>
+            <button class="mission-replay" style="background: #00d4ff; color: #000; border: none; padding: 15px 30px; font-size: 16px; border-radius: 10px; cursor: pointer;">▶ REPLAY</button>
             <button onclick="history.back()" style="background: #666; color: white; border: none; padding: 15px 30px; font-size: 16px; border-radius: 10px; cursor: pointer;">VOLTAR</button>
           </div>
         </div>
       </div>
     `;
-    document.body.appendChild(modal);
+    this.addEndModal(modal);
   }
 
-  showMissionFailed() {
+  showMissionFailed(reason = "ROV Destruído") {
     const sim = this.simulator;
+    const grading = sim.grading.evaluate("failed");
 
     const modal = document.createElement("div");
     modal.id = "mission-failed-modal";
@@ -319,18 +464,59 @@ export class HUD {
       <div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.9); display: flex; align-items: center; justify-content: center; z-index: 10000;">
         <div style="background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%); border: 2px solid #ff4444; border-radius: 20px; padding: 40px; text-align: center; max-width: 500px;">
           <h1 style="color: #ff4444; font-size: 48px; margin: 0 0 20px 0;">MISSÃO FALHOU</h1>
-          <p style="color: #ff8888; font-size: 24px; margin: 0 0 10px 0;">ROV Destruído - Dano: 100%</p>
+          <p style="color: #ff8888; font-size: 24px; margin: 0 0 10px 0;"><span class="failure-reason"></span> - Dano: ${Math.round(
+            sim.damage
+          )}%</p>
           <p style="color: #00ff88; font-size: 32px; margin: 20px 0;">Score: ${sim.score} pts</p>
+          ${this.renderGrading(grading)}
+          <p id="session-save-status" style="color: #888; font-size: 14px; margin: 10px 0;">Salvando resultado...</p>
           <div style="display: flex; gap: 15px; justify-content: center; margin-top: 20px;">
             <button onclick="location.reload()" style="background: #ff4444; color: white; border: none; padding: 15px 30px; font-size: 16px; border-radius: 10px; cursor: pointer;">TENTAR NOVAMENTE</button>
+            <button class="mission-replay" style="background: #00d4ff; color: #000; border: none; padding: 15px 30px; font-size: 16px; border-radius: 10px; cursor: pointer;">▶ REPLAY</button>
             <button onclick="history.back()" style="background: #666; color: white; border: none; padding: 15px 30px; font-size: 16px; border-radius: 10px; cursor: pointer;">VOLTAR</button>
           </div>
         </div>
       </div>
     `;
+    // O motivo pode vir do cenário (failureReason, rules.forbiddenZones)
+    modal.querySelector(".failure-reason").textContent = reason;
+    this.addEndModal(modal);
+  }
+
+  /**
+   * Modal de fim de missão: REPLAY o esconde e abre a gravação na linha do
+   * tempo; sair do replay o mostra de novo (showEndModal)
+   */
+  addEndModal(modal) {
+    const recorder = this.simulator.recorder;
+    const replay = modal.querySelector(".mission-replay");
+    if (recorder.frames.length < 2) {
+      replay.remove();
+    } else {
+      replay.addEventListener("click", () => {
+        modal.style.display = "none";
+        recorder.enterPlayback();
+      });
+    }
+
+    this.endModal = modal;
     document.body.appendChild(modal);
   }
 
+  showEndModal() {
+    if (this.endModal) this.endModal.style.display = "";
+  }
+
+  /**
+   * Atualiza a linha de status do salvamento da sessão no modal final
+   */
+  setSessionSaveStatus(message, ok) {
+    const statusEl = document.getElementById("session-save-status");
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.style.color = ok ? "#00ff88" : "#ffaa00";
+  }
+
   formatTime(seconds) {
     const h = Math.floor(seconds / 3600);
     const m = Math.floor((seconds % 3600) / 60);
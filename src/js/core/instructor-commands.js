@@ -0,0 +1,174 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Comandos do Instrutor - intervenções ao vivo na sessão do aluno
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Não acessa DOM: roda igual no navegador e no modo headless (o replay de
+// uma gravação reaplica as intervenções no mesmo passo)
+//
+// Comandos recebidos pelo console do instrutor (instructor.html):
+//   { action: "fault", fault: "leak" }                - id de sim.eventTypes
+//   { action: "current", speed, direction }           - m/s e rumo (°) para
+//                                                       onde a água corre
+//   { action: "visibility", visibility }              - m
+//   { action: "teleport", position: { x, y, z }, heading } - heading em graus
+//   { action: "reset" }                               - volta ao lançamento
+//   { action: "pause", paused }                       - congela a sessão
+
+export const INSTRUCTOR_ACTIONS = [
+  "fault",
+  "current",
+  "visibility",
+  "teleport",
+  "reset",
+  "pause",
+];
+
+const MIN_VISIBILITY = 0.5;
+
+function requireNumber(value, field) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`${field}: deve ser um número`);
+  }
+  return value;
+}
+
+export class InstructorCommands {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    // Intervenções da sessão (enviadas com o resultado)
+    this.log = [];
+  }
+
+  /**
+   * Aplica um comando e registra a intervenção no log da sessão
+   * @param {object} command - { action, ... }
+   * @returns {string} Descrição da intervenção
+   * @throws {Error} Comando inválido ou impossível no momento
+   */
+  apply(command) {
+    const sim = this.simulator;
+    const action = command && command.action;
+    let message;
+
+    switch (action) {
+      case "fault":
+        message = this.injectFault(command);
+        break;
+      case "current":
+        message = this.setCurrent(command);
+        break;
+      case "visibility":
+        message = this.setVisibility(command);
+        break;
+      case "teleport":
+        message = this.teleport(command);
+        break;
+      case "reset":
+        message = this.reset();
+        break;
+      case "pause":
+        message = this.setPaused(command);
+        break;
+      default:
+        throw new Error(`Comando desconhecido: ${action}`);
+    }
+
+    this.log.push({
+      t: Math.round(sim.sessionTime * 100) / 100,
+      action,
+      message,
+    });
+    sim.addEvent("warning", `👨‍🏫 Instrutor: ${message}`);
+    if (sim.recorder) sim.recorder.recordIntervention(command, message);
+    return message;
+  }
+
+  injectFault({ fault }) {
+    const sim = this.simulator;
+    const type = sim.eventTypes.find((t) => t.id === fault);
+    if (!type) throw new Error(`Falha desconhecida: ${fault}`);
+    if (sim.faults.active) {
+      throw new Error(`Já existe uma falha ativa: ${sim.faults.active.name}`);
+    }
+
+    sim.faults.trigger(type);
+    return `falha injetada - ${type.name}`;
+  }
+
+  setCurrent({ speed, direction }) {
+    requireNumber(speed, "speed");
+    requireNumber(direction, "direction");
+    if (speed < 0) throw new Error("speed: deve ser >= 0");
+
+    // Mesmo rumo do painel (Current Dir): 0° = +x, 90° = -z
+    const angle = (direction * Math.PI) / 180;
+    this.simulator.currentField.setUniformCurrent(
+      speed * Math.cos(angle),
+      -speed * Math.sin(angle),
+    );
+    return `corrente ${speed.toFixed(2)} m/s para ${Math.round(direction)}°`;
+  }
+
+  setVisibility({ visibility }) {
+    requireNumber(visibility, "visibility");
+    if (visibility < MIN_VISIBILITY) {
+      throw new Error(`visibility: deve ser >= ${MIN_VISIBILITY}`);
+    }
+
+    this.simulator.setVisibility(visibility);
+    return `visibilidade ${visibility}m`;
+  }
+
+  teleport({ position, heading }) {
+    const sim = this.simulator;
+    if (!position) throw new Error("position: obrigatório");
+    const x = requireNumber(position.x, "position.x");
+    const z = requireNumber(position.z, "position.z");
+
+    // Dentro da água: entre a superfície e o fundo
+    const floor =
+      -sim.environment.seabedDepth + sim.getROVHitbox().height / 2;
+    const y = Math.max(
+      floor,
+      Math.min(0, requireNumber(position.y, "position.y")),
+    );
+
+    const yaw =
+      heading === undefined || heading === null
+        ? sim.rov.rotation.y
+        : (requireNumber(heading, "heading") * Math.PI) / 180;
+
+    sim.placeROV(new THREE.Vector3(x, y, z), yaw);
+    return `ROV reposicionado em (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`;
+  }
+
+  reset() {
+    const sim = this.simulator;
+    const config = sim.scenarioConfig;
+
+    // Mesma posição inicial de applyScenarioConfig()
+    sim.placeROV(
+      new THREE.Vector3(
+        config.startX || 0,
+        config.startY || -30,
+        config.startZ || 0,
+      ),
+      0,
+    );
+    return "ROV de volta ao ponto de lançamento";
+  }
+
+  setPaused({ paused }) {
+    if (typeof paused !== "boolean") {
+      throw new Error("paused: deve ser verdadeiro ou falso");
+    }
+
+    this.simulator.isPaused = paused;
+    this.simulator.pausedByInstructor = paused;
+    return paused ? "sessão pausada" : "sessão retomada";
+  }
+}
+
+export default InstructorCommands;
@@ -0,0 +1,193 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Link Ao Vivo - conexão do simulador com o servidor (/ws/live)
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { TelemetryStream } from "./telemetry.js";
+
+// Apenas navegador. Registra a sessão no servidor para o console do
+// instrutor (instructor.html), aplica os comandos recebidos
+// (src/js/core/instructor-commands.js), envia um resumo do estado a cada
+// segundo e publica a telemetria (src/js/core/telemetry.js) para os
+// assinantes de /ws/live?role=telemetry. Sem o servidor Node.js (ex.:
+// python -m http.server) a conexão falha e o simulador segue normalmente.
+
+const LIVE_PATH = "/ws/live";
+
+// Resumo do estado para a lista de sessões do instrutor
+const STATUS_INTERVAL = 1000; // ms
+
+// Quadros de telemetria (10 Hz)
+const TELEMETRY_INTERVAL = 100; // ms
+
+// Espera entre tentativas de reconexão (a última se repete)
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000]; // ms
+
+export class LiveLink {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    this.socket = null;
+    this.id = null; // ID da sessão no servidor (mantido ao reconectar)
+    this.connected = false;
+    this.everConnected = false;
+    this.attempt = 0;
+    this.statusTimer = null;
+    this.telemetryTimer = null;
+
+    // Eventos do log acumulados até o próximo quadro
+    this.telemetry = new TelemetryStream(simulator);
+  }
+
+  connect() {
+    if (typeof WebSocket === "undefined") return;
+    if (!window.location.protocol.startsWith("http")) return;
+
+    const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    const socket = new WebSocket(
+      `${protocol}//${window.location.host}${LIVE_PATH}?role=simulator`,
+    );
+    socket.addEventListener("open", () => this.onOpen());
+    socket.addEventListener("message", (e) => this.onMessage(e.data));
+    socket.addEventListener("close", () => this.onClose());
+    this.socket = socket;
+  }
+
+  onOpen() {
+    const sim = this.simulator;
+    this.connected = true;
+    this.everConnected = true;
+    this.attempt = 0;
+
+    this.send({
+      type: "hello",
+      id: this.id,
+      session: {
+        scenarioId: sim.scenarioId,
+        scenarioName: sim.scenarioConfig.name,
+        traineeId: sim.traineeId,
+        seed: sim.seed,
+        rovModel: sim.currentROVModel,
+      },
+    });
+
+    this.sendStatus();
+    this.statusTimer = setInterval(() => this.sendStatus(), STATUS_INTERVAL);
+    this.telemetryTimer = setInterval(
+      () => this.sendTelemetry(),
+      TELEMETRY_INTERVAL,
+    );
+  }
+
+  onClose() {
+    this.connected = false;
+    this.socket = null;
+    clearInterval(this.statusTimer);
+    clearInterval(this.telemetryTimer);
+    this.statusTimer = null;
+    this.telemetryTimer = null;
+
+    // Servidor sem sessões ao vivo: não insiste
+    if (!this.everConnected) return;
+
+    const delay =
+      RECONNECT_DELAYS[Math.min(this.attempt, RECONNECT_DELAYS.length - 1)];
+    this.attempt++;
+    setTimeout(() => this.connect(), delay);
+  }
+
+  onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    switch (message.type) {
+      case "welcome":
+        if (message.id !== this.id) {
+          this.simulator.addEvent("info", `📡 Sessão ao vivo: ${message.id}`);
+        }
+        this.id = message.id;
+        break;
+
+      case "command":
+        this.handleCommand(message);
+        break;
+    }
+  }
+
+  handleCommand({ commandId, command }) {
+    const sim = this.simulator;
+
+    try {
+      if (sim.missionEnded) throw new Error("Sessão encerrada");
+      if (sim.recorder && sim.recorder.isPlayingBack()) {
+        throw new Error("Aluno está revendo a gravação");
+      }
+
+      const message = sim.instructor.apply(command);
+      this.send({ type: "result", commandId, ok: true, message });
+    } catch (error) {
+      this.send({ type: "result", commandId, ok: false, error: error.message });
+    }
+  }
+
+  /**
+   * Resumo do estado exibido no console do instrutor
+   */
+  getStatus() {
+    const sim = this.simulator;
+    const { position, rotation } = sim.rov;
+    const fault = sim.faults.active;
+    const round = (value) => Math.round(value * 10) / 10;
+
+    return {
+      sessionTime: round(sim.sessionTime),
+      position: [round(position.x), round(position.y), round(position.z)],
+      depth: round(-position.y),
+      heading: Math.round(
+        ((((rotation.y * 180) / Math.PI) % 360) + 360) % 360,
+      ),
+      damage: round(sim.damage),
+      score: sim.score,
+      objectivesCompleted: sim.objectives.filter((o) => o.completed).length,
+      objectivesTotal: sim.objectives.filter((o) => !o.skipped).length,
+      visibility: sim.environment.visibility,
+      paused: sim.isPaused,
+      pausedByInstructor: sim.pausedByInstructor,
+      fault: fault
+        ? {
+            id: fault.id,
+            name: fault.name,
+            remaining: Math.ceil(sim.faults.getRemainingTime()),
+          }
+        : null,
+      outcome: sim.missionEnded
+        ? sim.missionFailed
+          ? "failed"
+          : "completed"
+        : null,
+    };
+  }
+
+  sendStatus() {
+    this.send({ type: "status", status: this.getStatus() });
+  }
+
+  sendTelemetry() {
+    // Durante o replay o ROV mostra a gravação, não a sessão ao vivo
+    const recorder = this.simulator.recorder;
+    if (recorder && recorder.isPlayingBack()) return;
+
+    this.send({ type: "telemetry", telemetry: this.telemetry.frame() });
+  }
+
+  send(message) {
+    if (!this.connected) return;
+    this.socket.send(JSON.stringify(message));
+  }
+}
+
+export default LiveLink;
@@ -0,0 +1,154 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Regras da Missão - condições de falha declaradas pelo cenário
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Além do ROV destruído, o cenário pode falhar a missão com `rules`:
+//   timeLimit: s            - tempo esgotado antes de concluir
+//   maxDamage: %            - dano acima do limite (antes de destruir o ROV)
+//   minAltitude: m          - centro do ROV abaixo desta altura sobre o fundo
+//   noSurfacing: true       - topo do casco na superfície
+//   forbiddenZones: [{ name, position: { x, y, z }, radius, reason? }]
+//                           - entrar na esfera (sempre proibida; para zonas
+//                             que liberam com o progresso, objetivo "avoid")
+//
+// Checado a cada passo fixo depois dos objetivos: a missão concluída no
+// mesmo passo não falha. O motivo vai para failMission() e dali para o
+// modal de falha, o log e o registro da sessão.
+
+// Avisos de tempo restante (s)
+const TIME_WARNINGS = [60, 30, 10];
+
+function formatDuration(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m.toString().padStart(2, "0")}:${s.toString().padStart(2, "0")}`;
+}
+
+export class MissionRules {
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.timeWarnings = [...TIME_WARNINGS];
+  }
+
+  // Lidas a cada uso: o cenário pode ser recarregado depois do construtor
+  get rules() {
+    const scenario = this.simulator.scenarioConfig || {};
+    return scenario.rules || {};
+  }
+
+  /**
+   * Segundos até o tempo limite (null sem limite)
+   */
+  getTimeRemaining() {
+    const { timeLimit } = this.rules;
+    if (!timeLimit) return null;
+    return Math.max(0, timeLimit - this.simulator.sessionTime);
+  }
+
+  /**
+   * Checa as regras e falha a missão na primeira quebrada
+   */
+  update() {
+    const sim = this.simulator;
+    if (sim.missionCompleted || sim.missionFailed) return;
+
+    const breach = this.findBreach();
+    if (breach) {
+      sim.failMission(breach);
+      return;
+    }
+
+    // Limites mais curtos que o aviso não o anunciam
+    const remaining = this.getTimeRemaining();
+    while (remaining !== null && remaining <= this.timeWarnings[0]) {
+      const warning = this.timeWarnings.shift();
+      if (this.rules.timeLimit > warning) {
+        sim.addEvent("warning", `⏱ ${warning}s restantes`);
+      }
+    }
+  }
+
+  /**
+   * @returns {string|null} Motivo da falha
+   */
+  findBreach() {
+    const sim = this.simulator;
+    const rules = this.rules;
+    const position = sim.rov.position;
+
+    if (rules.timeLimit && sim.sessionTime >= rules.timeLimit) {
+      return `Tempo esgotado (${formatDuration(rules.timeLimit)})`;
+    }
+
+    if (rules.maxDamage !== undefined && sim.damage >= rules.maxDamage) {
+      return `Dano acima do limite (${rules.maxDamage}%)`;
+    }
+
+    // Mesma altitude do HUD (centro do ROV)
+    const altitude = sim.environment.seabedDepth + position.y;
+    if (rules.minAltitude !== undefined && altitude < rules.minAltitude) {
+      return `Abaixo da altitude mínima (${rules.minAltitude}m)`;
+    }
+
+    const top = position.y + sim.getROVHitbox().height / 2;
+    if (rules.noSurfacing && top >= sim.physics.surfaceLimit) {
+      return "ROV rompeu a superfície";
+    }
+
+    for (const zone of rules.forbiddenZones || []) {
+      const { x, y, z } = zone.position;
+      const distance = Math.hypot(
+        position.x - x,
+        position.y - y,
+        position.z - z,
+      );
+      if (distance < zone.radius) {
+        return zone.reason || `Zona proibida - ${zone.name}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Regras em texto para o briefing e o painel
+   * @returns {Array<{id: string, text: string}>}
+   */
+  describe() {
+    const rules = this.rules;
+    const list = [];
+
+    if (rules.timeLimit) {
+      list.push({
+        id: "timeLimit",
+        text: `⏱ Tempo limite: ${formatDuration(rules.timeLimit)}`,
+      });
+    }
+    if (rules.maxDamage !== undefined) {
+      list.push({
+        id: "maxDamage",
+        text: `💥 Dano máximo: ${rules.maxDamage}%`,
+      });
+    }
+    if (rules.minAltitude !== undefined) {
+      list.push({
+        id: "minAltitude",
+        text: `⬇️ Altitude mínima: ${rules.minAltitude}m do fundo`,
+      });
+    }
+    if (rules.noSurfacing) {
+      list.push({ id: "noSurfacing", text: "🌊 Proibido subir à superfície" });
+    }
+    (rules.forbiddenZones || []).forEach((zone, index) => {
+      list.push({
+        id: `zone-${index}`,
+        text: `⛔ Zona proibida: ${zone.name} (raio ${zone.radius}m)`,
+      });
+    });
+
+    return list;
+  }
+}
+
+export default MissionRules;
@@ -0,0 +1,258 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Sistema de Objetivos - avaliação dos objetivos do cenário
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Padrões do objetivo "hold" (manter posição)
+const HOLD_DURATION = 10; // s
+const HOLD_MAX_SPEED = 0.5; // m/s
+const HOLD_HEADING_TOLERANCE = 15; // graus
+
+// Perder a posição depois disso avisa o piloto que a contagem recomeçou
+const HOLD_LOST_WARNING = 1; // s
+
+// Grafo de objetivos (todos os campos são opcionais):
+//   requires: [ids]  - só é avaliado depois que os pré-requisitos forem
+//                      concluídos (ou descartados por outro caminho)
+//   optional: true   - bônus: não conta no máximo nem impede a conclusão
+//   exclusive: "g"   - caminhos alternativos: concluir um objetivo do grupo
+//                      descarta os demais (e o que depende só deles)
+// Objetivos "avoid" são zonas proibidas: entrar no raio enquanto ativo falha
+// a missão; concluem (sem risco) quando os objetivos de `until` terminarem.
+//
+// Estados: "locked" (aguardando requires), "active", "completed", "skipped"
+
+export class ObjectiveSystem {
+  constructor(simulator) {
+    this.simulator = simulator;
+  }
+
+  /**
+   * Avalia os objetivos pendentes (chamado a cada passo fixo)
+   * @param {number} dt
+   */
+  update(dt) {
+    const sim = this.simulator;
+    if (!sim.objectives) return;
+
+    sim.objectives.forEach((obj, index) => {
+      if (this.getState(obj) !== "active") return;
+
+      if (obj.type === "avoid") {
+        this.checkForbiddenZone(obj, index);
+        return;
+      }
+
+      if (this.isSatisfied(obj, dt)) {
+        sim.completeObjective(obj, index);
+        this.closeBranches(obj);
+      }
+    });
+
+    // Verificar se todos os objetivos foram completados
+    if (this.allCompleted() && !sim.missionCompleted) {
+      sim.missionCompleted = true;
+      sim.addEvent("success", "MISSÃO COMPLETA!");
+    }
+  }
+
+  /**
+   * @returns {"locked"|"active"|"completed"|"skipped"}
+   */
+  getState(obj) {
+    if (obj.completed) return "completed";
+    if (obj.skipped) return "skipped";
+    return this.isResolved(obj.requires) ? "active" : "locked";
+  }
+
+  /**
+   * Objetivos listados concluídos ou descartados (IDs desconhecidos não
+   * bloqueiam)
+   * @param {string[]} [ids]
+   */
+  isResolved(ids = []) {
+    return ids.every((id) => {
+      const obj = this.find(id);
+      return !obj || obj.completed || obj.skipped;
+    });
+  }
+
+  find(id) {
+    return this.simulator.objectives.find((o) => o.id === id);
+  }
+
+  /**
+   * Descarta os outros caminhos do grupo exclusivo e, em cascata, os
+   * objetivos que só eram alcançáveis por eles
+   * @param {object} chosen - Objetivo recém-concluído
+   */
+  closeBranches(chosen) {
+    if (!chosen.exclusive) return;
+    const sim = this.simulator;
+
+    const skip = (obj) => sim.skipObjective(obj, sim.objectives.indexOf(obj));
+
+    sim.objectives
+      .filter(
+        (o) =>
+          o.exclusive === chosen.exclusive && o !== chosen && !o.completed,
+      )
+      .forEach(skip);
+
+    // Pendente com todos os pré-requisitos descartados: caminho fechado
+    let changed = true;
+    while (changed) {
+      changed = false;
+      sim.objectives.forEach((obj) => {
+        if (obj.completed || obj.skipped || !obj.requires) return;
+        if (obj.requires.every((id) => (this.find(id) || {}).skipped)) {
+          skip(obj);
+          changed = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * Zona proibida: falha ao entrar; conclui quando `until` for resolvido
+   */
+  checkForbiddenZone(obj, index) {
+    const sim = this.simulator;
+
+    if (obj.until && this.isResolved(obj.until)) {
+      sim.completeObjective(obj, index);
+      return;
+    }
+    if (obj.target && this.distanceTo(obj.target) < (obj.radius || 5)) {
+      sim.failMission(obj.failureReason || `Zona proibida - ${obj.name}`);
+    }
+  }
+
+  /**
+   * Verifica se a condição do objetivo foi atingida neste passo
+   * @param {object} obj - Objetivo do cenário
+   */
+  isSatisfied(obj, dt) {
+    // Trabalho fino: só conta com o veículo trimado
+    if (obj.requireNeutral && !this.simulator.ballast.isNeutral()) {
+      return false;
+    }
+
+    switch (obj.type) {
+      // Chegar a um ponto
+      case "distance":
+        return (
+          Boolean(obj.target) && this.distanceTo(obj.target) < (obj.radius || 5)
+        );
+
+      // Completam automaticamente
+      case "auto":
+        return true;
+
+      // Flutuabilidade neutra mantida por alguns segundos
+      case "trim":
+        return this.isTrimmed(obj, dt);
+
+      // Manter posição sobre o alvo (raio, rumo e velocidade)
+      case "hold":
+        return this.isHolding(obj, dt);
+
+      // Foto válida do alvo (src/js/core/photo-capture.js)
+      case "photo":
+        return Boolean(obj.photoTaken);
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Conta o tempo neutro (no alvo, se houver); sair da faixa zera a contagem
+   */
+  isTrimmed(obj, dt) {
+    const inside =
+      !obj.target || this.distanceTo(obj.target) < (obj.radius || 5);
+
+    if (!inside || !this.simulator.ballast.isNeutral()) {
+      obj.trimTime = 0;
+      return false;
+    }
+    obj.trimTime = (obj.trimTime || 0) + dt;
+    return obj.trimTime >= (obj.duration ?? 3);
+  }
+
+  /**
+   * Conta o tempo parado sobre o alvo: dentro do raio, abaixo da velocidade
+   * máxima e no rumo pedido (se houver). Sair da faixa zera a contagem.
+   */
+  isHolding(obj, dt) {
+    const sim = this.simulator;
+    const holding =
+      Boolean(obj.target) &&
+      this.distanceTo(obj.target) < (obj.radius || 5) &&
+      sim.rov.velocity.length() <= (obj.maxSpeed ?? HOLD_MAX_SPEED) &&
+      this.headingError(obj) <=
+        (obj.headingTolerance ?? HOLD_HEADING_TOLERANCE);
+
+    if (!holding) {
+      if (obj.holdTime >= HOLD_LOST_WARNING) {
+        sim.addEvent(
+          "warning",
+          `${obj.name} - posição perdida, recomeçando`,
+        );
+      }
+      obj.holdTime = 0;
+      return false;
+    }
+    obj.holdTime = (obj.holdTime || 0) + dt;
+    return obj.holdTime >= (obj.duration ?? HOLD_DURATION);
+  }
+
+  /**
+   * Diferença (graus, 0-180) entre o rumo do ROV e o pedido pelo objetivo
+   */
+  headingError(obj) {
+    if (obj.heading === undefined) return 0;
+    const heading = (this.simulator.rov.rotation.y * 180) / Math.PI;
+    const diff = (((heading - obj.heading) % 360) + 360) % 360;
+    return Math.min(diff, 360 - diff);
+  }
+
+  /**
+   * Fração do tempo exigido já cumprida (objetivos "hold" e "trim")
+   * @returns {number} 0-1
+   */
+  getProgress(obj) {
+    if (obj.completed) return 1;
+    switch (obj.type) {
+      case "hold":
+        return Math.min(
+          1,
+          (obj.holdTime || 0) / (obj.duration ?? HOLD_DURATION),
+        );
+      case "trim":
+        return Math.min(1, (obj.trimTime || 0) / (obj.duration ?? 3));
+      default:
+        return 0;
+    }
+  }
+
+  distanceTo(target) {
+    const targetPos = new THREE.Vector3(target.x, target.y, target.z);
+    return this.simulator.rov.position.distanceTo(targetPos);
+  }
+
+  // Cenário sem objetivos nunca é concluído automaticamente. Opcionais,
+  // descartados e zonas proibidas não seguram a conclusão.
+  allCompleted() {
+    const objectives = this.simulator.objectives;
+    return (
+      objectives.some((o) => o.completed) &&
+      objectives.every(
+        (o) => o.completed || o.skipped || o.optional || o.type === "avoid",
+      )
+    );
+  }
+}
+
+export default ObjectiveSystem;
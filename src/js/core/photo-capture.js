@@ -0,0 +1,230 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Documentação Fotográfica - captura da câmera ativa e checagem de qualidade
+// ═══════════════════════════════════════════════════════════════════════════
+
+// A foto (P / R3) é tirada no passo fixo, com a pose da física: a avaliação
+// é a mesma no navegador, no headless e no replay da gravação. A imagem só
+// existe no navegador (quadro renderizado pela câmera ativa).
+//
+// Para cada objetivo "photo" ativo, a foto é válida quando:
+//   - a câmera ativa é de bordo (main, alt ou wide; a externa não documenta)
+//   - o alvo está perto do centro da imagem (FRAME_MARGIN do campo de visão)
+//   - a distância da câmera ao alvo está entre PHOTO_MIN_RANGE e o raio
+//   - as luzes estão ligadas e o alvo está no facho dos holofotes
+//   - a face documentada (`normal`, se houver) está voltada para a câmera
+
+const PHOTO_RANGE = 5; // m - raio padrão do objetivo
+const PHOTO_MIN_RANGE = 0.5; // m - mais perto que isso o alvo não cabe
+const FRAME_MARGIN = 0.8; // Fração do meio campo de visão vertical
+const LIGHT_CONE = 60; // graus - mesmo ângulo dos holofotes do modelo
+const LIGHT_RANGE = 15; // m, com intensidade 100%
+const FACING_TOLERANCE = 45; // graus
+
+// Galeria da sessão (as mais antigas saem primeiro)
+const MAX_PHOTOS = 50;
+const IMAGE_WIDTH = 640; // px
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export class PhotoCapture {
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.photos = [];
+    this.count = 0;
+  }
+
+  /**
+   * Tira a foto com a pose atual e avalia os objetivos "photo" ativos
+   * (chamado por ROVSimulator.step() quando o piloto pede uma foto)
+   * @returns {object} Registro da foto na galeria
+   */
+  capture() {
+    const sim = this.simulator;
+    const camera = this.getCameraPose();
+
+    const checks = sim.objectives
+      .filter(
+        (o) =>
+          o.type === "photo" && sim.objectiveSystem.getState(o) === "active",
+      )
+      .map((obj) => this.evaluate(obj, camera));
+
+    // Válida: o objetivo conclui neste passo (ObjectiveSystem)
+    const valid = checks.filter((check) => check.valid);
+    valid.forEach((check) => {
+      check.objective.photoTaken = true;
+    });
+
+    // Inválida: o que faltou no alvo mais próximo
+    const closest = checks.reduce(
+      (best, check) => (!best || check.distance < best.distance ? check : best),
+      null,
+    );
+    const subject = valid[0] || closest;
+
+    const { position, rotation } = sim.rov;
+    const photo = {
+      id: ++this.count,
+      t: round(sim.sessionTime),
+      camera: camera.name,
+      pose: {
+        position: {
+          x: round(position.x),
+          y: round(position.y),
+          z: round(position.z),
+        },
+        heading: round(((toDegrees(rotation.y) % 360) + 360) % 360, 1),
+        pitch: round(toDegrees(rotation.z), 1),
+        roll: round(toDegrees(rotation.x), 1),
+        cameraPitch: round(toDegrees(sim.cameraPitch || 0), 1),
+      },
+      objectiveId: subject ? subject.objective.id : null,
+      objectiveName: subject ? subject.objective.name : null,
+      distance: subject ? round(subject.distance, 1) : null,
+      valid: valid.length > 0,
+      issues: valid.length > 0 || !subject ? [] : subject.issues,
+      image: this.grabImage(),
+    };
+
+    this.photos.push(photo);
+    if (this.photos.length > MAX_PHOTOS) this.photos.shift();
+
+    if (!subject) {
+      sim.addEvent("info", `📸 Foto ${photo.id} registrada`);
+    } else if (!photo.valid) {
+      const issues = photo.issues.join(", ");
+      sim.addEvent(
+        "warning",
+        `📸 Foto ${photo.id} - ${subject.objective.name}: ${issues}`,
+      );
+    }
+    if (sim.recorder) sim.recorder.markEvent("info", `Foto ${photo.id}`);
+    if (sim.hud) sim.hud.addPhoto(photo);
+
+    return photo;
+  }
+
+  /**
+   * Posição e direção de visada da câmera ativa (pose da física)
+   */
+  getCameraPose() {
+    const sim = this.simulator;
+    const name = sim.activeCamera;
+    const mount = sim.getVehicleProfile().cameras[name];
+    const attitude = new THREE.Quaternion().setFromEuler(sim.rov.rotation);
+    const forward = new THREE.Vector3(1, 0, 0).applyQuaternion(attitude);
+
+    if (!mount) return { name, onboard: false, forward };
+
+    const position = new THREE.Vector3(...mount.offset)
+      .applyQuaternion(attitude)
+      .add(sim.rov.position);
+
+    // Só a câmera principal inclina (setas); alt e wide olham para a frente
+    const tilt = name === "main" ? sim.cameraPitch || 0 : 0;
+    const direction = new THREE.Vector3(
+      Math.cos(tilt),
+      Math.sin(tilt),
+      0,
+    ).applyQuaternion(attitude);
+
+    return {
+      name,
+      onboard: true,
+      position,
+      direction,
+      forward,
+      fov: mount.fov,
+    };
+  }
+
+  /**
+   * Checagens de qualidade de uma foto para um objetivo
+   * @returns {{objective, distance: number, issues: string[], valid: boolean}}
+   */
+  evaluate(obj, camera) {
+    const sim = this.simulator;
+    const target = new THREE.Vector3(obj.target.x, obj.target.y, obj.target.z);
+    const origin = camera.onboard ? camera.position : sim.rov.position;
+    const toTarget = target.clone().sub(origin);
+    const distance = toTarget.length();
+    const issues = [];
+
+    if (!camera.onboard) {
+      issues.push("câmera externa não documenta");
+      return { objective: obj, distance, issues, valid: false };
+    }
+
+    // Enquadramento: ângulo entre a visada e o alvo
+    const offAxis = toDegrees(camera.direction.angleTo(toTarget));
+    if (offAxis > (camera.fov / 2) * FRAME_MARGIN) {
+      issues.push("alvo fora do enquadramento");
+    }
+
+    const range = obj.radius || PHOTO_RANGE;
+    if (distance > range) {
+      issues.push(`longe demais (${distance.toFixed(1)}m, máx. ${range}m)`);
+    } else if (distance < PHOTO_MIN_RANGE) {
+      issues.push("perto demais");
+    }
+
+    // Iluminação: holofotes apontam para a frente do veículo
+    if (!sim.lightsOn) {
+      issues.push("luzes desligadas");
+    } else if (
+      toDegrees(camera.forward.angleTo(toTarget)) > LIGHT_CONE ||
+      distance > LIGHT_RANGE * (sim.lightPower || 1)
+    ) {
+      issues.push("alvo fora do facho das luzes");
+    }
+
+    // Face documentada voltada para a câmera
+    if (obj.normal) {
+      const { x, y, z } = obj.normal;
+      const normal = new THREE.Vector3(x, y, z);
+      const angle = toDegrees(normal.angleTo(toTarget.clone().negate()));
+      if (angle > (obj.facingTolerance ?? FACING_TOLERANCE)) {
+        issues.push(`ângulo ruim (${Math.round(angle)}°)`);
+      }
+    }
+
+    return { objective: obj, distance, issues, valid: issues.length === 0 };
+  }
+
+  // Quadro da câmera ativa, reduzido para a galeria (só no navegador)
+  grabImage() {
+    const sim = this.simulator;
+    if (!sim.renderer || !sim.camera) return null;
+
+    try {
+      // Sem preserveDrawingBuffer: renderiza e copia no mesmo quadro
+      sim.renderer.render(sim.scene, sim.camera);
+      const source = sim.renderer.domElement;
+      const canvas = document.createElement("canvas");
+      canvas.width = IMAGE_WIDTH;
+      canvas.height = Math.round((IMAGE_WIDTH * source.height) / source.width);
+      canvas
+        .getContext("2d")
+        .drawImage(source, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL("image/jpeg", 0.8);
+    } catch (error) {
+      console.warn("Could not capture photo:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resumo da galeria sem as imagens (resultado headless, registro)
+   */
+  summary() {
+    return this.photos.map(({ image, ...photo }) => photo);
+  }
+}
+
+export default PhotoCapture;
@@ -3,240 +3,390 @@
 // Sistema de Física do ROV
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Não acessa DOM nem renderização: roda igual no navegador e no modo headless
+//
+// Corpo rígido com 6 graus de liberdade. Eixos do corpo: frente +X, cima +Y,
+// direita +Z. A atitude fica em rov.rotation (Euler "YZX": rumo, pitch, roll)
+// e rov.angularVelocity está no referencial do corpo (x = roll, y = yaw, z = pitch).
+
+import { ThrusterAllocation } from "./thruster-allocation.js";
+import { getVehicleProfile } from "../vehicles/vehicle-profiles.js";
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Eixos do corpo → nomes usados no perfil do veículo
+const LINEAR_AXES = { x: "surge", y: "heave", z: "sway" };
+const ANGULAR_AXES = { x: "roll", y: "yaw", z: "pitch" };
+
 export class Physics {
   constructor(simulator) {
     this.simulator = simulator;
 
-    // Constantes físicas - Simulação realista subaquática
+    // Comandos do piloto → propulsores → esforços no corpo
+    this.thrusterAllocation = new ThrusterAllocation(simulator);
+
+    // Massa, arrasto, empuxo e flutuabilidade vêm do perfil do veículo
+    // (src/js/vehicles/vehicle-profiles.js), consultado a cada passo; a
+    // flutuabilidade líquida vem do lastro (src/js/core/ballast.js)
+    this.gravity = 9.81;
+    this.waterDensity = 1025; // kg/m³ (água do mar)
+
+    // Limites de segurança (multiplicados pelo speedMultiplier)
     this.maxSpeed = 25; // m/s base
     this.maxAngularSpeed = 10.0; // rad/s
-    this.acceleration = 15.0; // Aceleração mais suave
-    this.angularAcceleration = 8.0; // Rotação mais suave
 
-    // Inércia subaquática - valores mais próximos de 1.0 = mais inércia
-    // ROV real leva 2-4 segundos para parar completamente
-    this.linearDrag = 0.985; // Arrasto linear (desacelera ~1.5% por frame)
-    this.angularDrag = 0.975; // Arrasto angular (rotação para mais rápido)
+    // Fração do impulso de uma colisão que vira rotação
+    this.impactTorqueFactor = 0.05;
+
+    // Limites verticais: na superfície metade do casco fica fora d'água
+    // (o empuxo cai e o veículo positivo boia); no fundo o casco apoia
+    this.surfaceLimit = 0;
+  }
+
+  // Perfil do veículo atual (troca de ROV muda a dinâmica imediatamente)
+  getProfile() {
+    return getVehicleProfile(this.simulator.currentROVModel);
+  }
+
+  // Massa média com massa adicionada (impactos e correntes)
+  getEffectiveMass(profile = this.getProfile()) {
+    const { surge, sway, heave } = profile.addedMass;
+    return profile.mass + (surge + sway + heave) / 3;
+  }
 
-    // Massa virtual do ROV (afeta quanto tempo leva para acelerar/desacelerar)
-    this.mass = 150; // kg (ROV típico de trabalho)
-    this.addedMass = 50; // kg (massa adicionada pela água)
-    this.effectiveMass = this.mass + this.addedMass;
+  getInertia(profile = this.getProfile()) {
+    const { roll, yaw, pitch } = profile.inertia;
+    return new THREE.Vector3(roll, yaw, pitch);
   }
 
+  /**
+   * Um passo de física (chamado a cada passo fixo da simulação)
+   * @param {number} dt
+   */
   update(dt) {
-    if (this.simulator.isPaused) return;
+    const sim = this.simulator;
+    if (sim.isPaused) return;
 
-    const speedMult = this.simulator.speedMultiplier || 1.0;
-    const maxSpeed = this.maxSpeed * speedMult;
-    const acceleration = this.acceleration * speedMult;
+    const rov = sim.rov;
+    const profile = this.getProfile();
 
-    const rov = this.simulator.rov;
-    const input = this.simulator.input;
-    const yaw = rov.rotation.y;
-    const pitch = this.simulator.cameraPitch || 0;
-
-    // Vetores de direção baseados na rotação do ROV
-    const forwardHorizontal = new THREE.Vector3(
-      Math.cos(yaw),
-      0,
-      -Math.sin(yaw)
-    );
-    const right = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
-    const up = new THREE.Vector3(0, 1, 0);
-
-    // Calcular direção de movimento
-    const moveDir = new THREE.Vector3();
-
-    // Surge (frente/trás) - considera pitch da câmera
-    if (input.surge !== 0) {
-      const forwardWithPitch = forwardHorizontal.clone();
-      forwardWithPitch.y = -Math.sin(pitch) * Math.abs(input.surge);
-      forwardWithPitch.normalize();
-      moveDir.addScaledVector(forwardWithPitch, input.surge);
-    }
+    // O speedMultiplier funciona como ganho do piloto sobre os propulsores
+    // (pitch e roll não escalam)
+    const speedMult = sim.speedMultiplier || 1.0;
 
-    // Sway (esquerda/direita)
-    moveDir.addScaledVector(right, input.sway);
+    // Propulsores são fixos no corpo: o empuxo acompanha a atitude
+    const orientation = this.getOrientation();
+    const wrench = this.thrusterAllocation.update();
 
-    // Heave (subir/descer)
-    moveDir.addScaledVector(up, input.heave);
+    // Velocidade da água no ROV: o arrasto atua sobre a velocidade relativa
+    const current = sim.currentField.atROV;
+
+    this.applyCurrentMoment(dt, orientation, current, profile);
+    this.applyTetherForce(dt, profile);
 
     // ═══════════════════════════════════════════════════════════════
-    // SISTEMA DE INÉRCIA REALISTA
+    // APLICAR FORÇA DOS PROPULSORES, FLUTUABILIDADE E ARRASTO
     // ═══════════════════════════════════════════════════════════════
+    const force = new THREE.Vector3(wrench.surge, wrench.heave, wrench.sway)
+      .multiplyScalar(speedMult)
+      .add(this.getBuoyancyForce(orientation));
+    this.applyLinearDynamics(dt, orientation, force, current, profile);
+    this.applyMoments(dt, orientation, wrench, speedMult, profile);
+    this.limitSpeeds(speedMult);
 
-    // Calcular força dos propulsores (F = m * a)
-    const thrusterForce = acceleration * this.effectiveMass;
-
-    // Aplicar força na direção do movimento
-    if (moveDir.length() > 0) {
-      moveDir.normalize();
-      // F = m * a, então a = F / m
-      const accel = thrusterForce / this.effectiveMass;
-      rov.velocity.addScaledVector(moveDir, accel * dt);
-    }
+    // Atualizar posição
+    rov.position.addScaledVector(rov.velocity, dt);
 
-    // Aplicar arrasto hidrodinâmico (resistência da água)
-    // Arrasto quadrático: mais rápido = mais resistência
-    const speed = rov.velocity.length();
-    if (speed > 0.001) {
-      // Coeficiente de arrasto baseado na velocidade
-      const dragCoeff = 1 - Math.pow(this.linearDrag, dt * 60);
+    this.applyCollisionCorrection();
+    this.integrateOrientation(dt, orientation);
+    this.applyBoundaries();
+    this.trackDistance();
+  }
 
-      // Aplicar arrasto proporcional à velocidade
-      rov.velocity.multiplyScalar(1 - dragCoeff);
+  /**
+   * Velocidade de um eixo com força constante e arrasto linear + quadrático
+   * (arrasto implícito: estável e nunca inverte o sentido do movimento)
+   */
+  integrateAxis(velocity, force, mass, linear, quadratic, dt) {
+    const damping = ((linear + quadratic * Math.abs(velocity)) * dt) / mass;
+    return (velocity + (force / mass) * dt) / (1 + damping);
+  }
 
-      // Parar completamente se velocidade muito baixa
-      if (rov.velocity.length() < 0.01) {
-        rov.velocity.set(0, 0, 0);
-      }
+  /**
+   * Forças e arrasto hidrodinâmico no referencial do corpo
+   *
+   * O arrasto atua sobre a velocidade em relação à água: solto, o ROV
+   * acelera até derivar junto com a corrente.
+   * @param {THREE.Vector3} force - Propulsores + flutuabilidade no corpo (N)
+   * @param {THREE.Vector3} current - Velocidade da água no mundo (m/s)
+   */
+  applyLinearDynamics(dt, orientation, force, current, profile) {
+    const rov = this.simulator.rov;
+    const { linear, quadratic } = profile.drag;
+
+    const velocity = rov.velocity
+      .clone()
+      .sub(current)
+      .applyQuaternion(orientation.clone().invert());
+
+    for (const [axis, name] of Object.entries(LINEAR_AXES)) {
+      velocity[axis] = this.integrateAxis(
+        velocity[axis],
+        force[axis],
+        profile.mass + profile.addedMass[name],
+        linear[name],
+        quadratic[name],
+        dt,
+      );
     }
 
-    // Limitar velocidade máxima
-    if (rov.velocity.length() > maxSpeed) {
-      rov.velocity.normalize().multiplyScalar(maxSpeed);
+    // Sem força nenhuma (veículo neutro e parado) o resíduo é zerado
+    if (force.lengthSq() === 0 && velocity.length() < 0.01) {
+      velocity.set(0, 0, 0);
     }
+    rov.velocity.copy(velocity.applyQuaternion(orientation)).add(current);
+  }
 
-    // Atualizar posição
-    rov.position.addScaledVector(rov.velocity, dt);
+  /**
+   * Flutuabilidade líquida (vertical no mundo) no referencial do corpo
+   */
+  getBuoyancyForce(orientation) {
+    const ballast = this.simulator.ballast;
+    const net = ballast ? ballast.netBuoyancy : 0;
+    return WORLD_UP.clone()
+      .applyQuaternion(orientation.clone().invert())
+      .multiplyScalar(net);
+  }
 
-    // ═══════════════════════════════════════════════════════════════
-    // ROTAÇÃO COM INÉRCIA
-    // ═══════════════════════════════════════════════════════════════
+  // Atitude atual como quaternion
+  getOrientation() {
+    return new THREE.Quaternion().setFromEuler(this.simulator.rov.rotation);
+  }
 
-    const angularAccel = this.angularAcceleration * speedMult;
+  /**
+   * Pitch (nariz para cima +) e roll (boreste para baixo +) em radianos
+   */
+  getAttitude() {
+    const rotation = this.simulator.rov.rotation;
+    return { pitch: rotation.z, roll: rotation.x };
+  }
 
-    // Aplicar torque dos propulsores
-    if (input.yaw !== 0) {
-      rov.angularVelocity.y += input.yaw * angularAccel * dt;
-    }
+  /**
+   * Momentos no referencial do corpo: propulsores, momento restaurador
+   * (CB acima do CG), acoplamento giroscópico (equações de Euler) e arrasto
+   * @param {object} wrench - Esforço dos propulsores (N·m em roll/yaw/pitch)
+   */
+  applyMoments(dt, orientation, wrench, speedMult, profile) {
+    const w = this.simulator.rov.angularVelocity;
+    const inertia = this.getInertia(profile);
+    const { linear, quadratic } = profile.drag;
+
+    const torque = new THREE.Vector3(
+      wrench.roll,
+      wrench.yaw * speedMult,
+      wrench.pitch,
+    );
 
-    // Aplicar arrasto angular
-    const angularDragCoeff = 1 - Math.pow(this.angularDrag, dt * 60);
-    rov.angularVelocity.y *= 1 - angularDragCoeff;
+    // Empuxo aplicado no CB: τ = r_CB × F_B
+    const buoyancy =
+      this.waterDensity * this.gravity * profile.buoyancy.displacedVolume;
+    const upBody = WORLD_UP.clone().applyQuaternion(
+      orientation.clone().invert(),
+    );
+    torque.add(
+      new THREE.Vector3(0, profile.buoyancy.metacentricHeight, 0)
+        .cross(upBody)
+        .multiplyScalar(buoyancy),
+    );
 
-    // Parar rotação se muito lenta
-    if (Math.abs(rov.angularVelocity.y) < 0.001) {
-      rov.angularVelocity.y = 0;
+    // Acoplamento giroscópico: -ω × (Iω)
+    const angularMomentum = w.clone().multiply(inertia);
+    torque.sub(w.clone().cross(angularMomentum));
+
+    for (const [axis, name] of Object.entries(ANGULAR_AXES)) {
+      w[axis] = this.integrateAxis(
+        w[axis],
+        torque[axis],
+        inertia[axis],
+        linear[name],
+        quadratic[name],
+        dt,
+      );
+      if (Math.abs(w[axis]) < 0.0001) w[axis] = 0;
     }
+  }
 
-    // Limitar velocidade angular
-    const maxAngular = this.maxAngularSpeed * speedMult;
-    rov.angularVelocity.y = Math.max(
-      -maxAngular,
-      Math.min(maxAngular, rov.angularVelocity.y)
-    );
+  /**
+   * Impulso angular de uma força aplicada fora do CG
+   * @param {THREE.Vector3} impulse - Impulso no referencial do mundo (N·s)
+   * @param {THREE.Vector3} offset - Ponto de aplicação relativo ao CG (mundo)
+   */
+  applyAngularImpulse(impulse, offset) {
+    const w = this.simulator.rov.angularVelocity;
+    const inverse = this.getOrientation().invert();
+    const angular = offset
+      .clone()
+      .cross(impulse)
+      .applyQuaternion(inverse)
+      .divide(this.getInertia());
+    w.add(angular);
+  }
+
+  /**
+   * Colisão: o impulso no ponto de contato inclina o veículo
+   * @param {THREE.Vector3} normal - Direção que afasta o ROV do obstáculo
+   * @param {number} impactSpeed - Velocidade de impacto (m/s)
+   */
+  applyImpact(normal, impactSpeed) {
+    if (impactSpeed <= 0) return;
+
+    const sim = this.simulator;
+    const orientation = this.getOrientation();
+    const hitbox = sim.getROVHitbox();
+
+    // Ponto do casco voltado para o obstáculo (hitbox: depth = comprimento)
+    const normalBody = normal
+      .clone()
+      .applyQuaternion(orientation.clone().invert());
+    const soft = (value) => Math.max(-1, Math.min(1, value * 2));
+    const contact = new THREE.Vector3(
+      (-soft(normalBody.x) * hitbox.depth) / 2,
+      (-soft(normalBody.y) * hitbox.height) / 2,
+      (-soft(normalBody.z) * hitbox.width) / 2,
+    ).applyQuaternion(orientation);
+
+    const impulse = normal
+      .clone()
+      .multiplyScalar(
+        this.getEffectiveMass() * impactSpeed * this.impactTorqueFactor,
+      );
+    this.applyAngularImpulse(impulse, contact);
+  }
 
-    // Aplicar rotação
-    rov.rotation.y += rov.angularVelocity.y * dt;
+  /**
+   * A corrente atua no centro de pressão, acima do CG: além de arrastar o
+   * ROV (applyLinearDynamics), ela o inclina
+   */
+  applyCurrentMoment(dt, orientation, current, profile) {
+    if (current.lengthSq() === 0) return;
+
+    const { surge, sway } = profile.drag.linear;
+    const force = current.clone().multiplyScalar(((surge + sway) / 2) * dt);
+    const offset = WORLD_UP.clone()
+      .applyQuaternion(orientation)
+      .multiplyScalar(profile.buoyancy.centerOfPressureHeight);
+    this.applyAngularImpulse(force, offset);
+  }
 
-    // Aplicar corrente marinha
-    this.applyCurrents(dt);
+  // Umbilical puxa o engate (força calculada no passo anterior do cabo)
+  applyTetherForce(dt, profile) {
+    const tether = this.simulator.tether;
+    if (!tether || tether.force.lengthSq() === 0) return;
 
-    // Limites do ambiente
-    this.applyBoundaries();
+    const impulse = tether.force.clone().multiplyScalar(dt);
+    this.simulator.rov.velocity.addScaledVector(
+      impulse,
+      1 / this.getEffectiveMass(profile),
+    );
+    this.applyAngularImpulse(impulse, tether.getAttachOffset());
   }
 
-  applyCurrents(dt) {
-    const env = this.simulator.environment;
+  limitSpeeds(speedMult) {
     const rov = this.simulator.rov;
+    const maxSpeed = this.maxSpeed * speedMult;
+    const maxAngularSpeed = this.maxAngularSpeed * speedMult;
 
-    if (env.currentX || env.currentY) {
-      rov.position.x += (env.currentX || 0) * dt;
-      rov.position.z += (env.currentY || 0) * dt;
+    if (rov.velocity.length() > maxSpeed) {
+      rov.velocity.normalize().multiplyScalar(maxSpeed);
+    }
+    rov.angularVelocity.y = Math.max(
+      -maxAngularSpeed,
+      Math.min(maxAngularSpeed, rov.angularVelocity.y),
+    );
+    for (const axis of ["x", "z"]) {
+      rov.angularVelocity[axis] = Math.max(
+        -this.maxAngularSpeed,
+        Math.min(this.maxAngularSpeed, rov.angularVelocity[axis]),
+      );
     }
   }
 
-  applyBoundaries() {
+  // Integra a velocidade angular (corpo) na atitude
+  integrateOrientation(dt, orientation) {
     const rov = this.simulator.rov;
-    const seabedDepth = this.simulator.environment.seabedDepth;
+    const w = rov.angularVelocity;
+    const speed = w.length();
+    if (speed === 0) return;
 
-    // Limite superior (superfície)
-    if (rov.position.y > -1) {
-      rov.position.y = -1;
-      rov.velocity.y = Math.min(0, rov.velocity.y);
+    const delta = new THREE.Quaternion().setFromAxisAngle(
+      w.clone().divideScalar(speed),
+      speed * dt,
+    );
+    orientation.multiply(delta).normalize();
+    rov.rotation.setFromQuaternion(orientation);
+  }
+
+  // Colisão com o modelo do cenário (CollisionSystem, se carregado)
+  applyCollisionCorrection() {
+    const sim = this.simulator;
+    if (!sim.collisionSystem) return;
+
+    const rov = sim.rov;
+    const correction = sim.collisionSystem.checkCollisions(
+      rov.position,
+      rov.rotation,
+    );
+    if (correction.length() === 0) return;
+
+    rov.position.add(correction);
+
+    // Reduzir velocidade na direção da colisão
+    const correctionNorm = correction.clone().normalize();
+    const velocityInCollisionDir = rov.velocity.dot(correctionNorm);
+    if (velocityInCollisionDir < 0) {
+      rov.velocity.addScaledVector(
+        correctionNorm,
+        -velocityInCollisionDir * 0.8,
+      );
+      this.applyImpact(correctionNorm, -velocityInCollisionDir);
     }
 
-    // Limite inferior (fundo do mar)
-    if (rov.position.y < -seabedDepth + 1) {
-      rov.position.y = -seabedDepth + 1;
-      rov.velocity.y = Math.max(0, rov.velocity.y);
+    if (correction.length() > 0.01) {
+      sim.addEvent("warning", "⚠️ Colisão detectada!");
+      sim.markCollision("Colisão com estrutura");
     }
   }
 
-  checkCollision(position, obstacles) {
-    const rovRadius = 0.5; // Raio aproximado do ROV
-
-    for (const obstacle of obstacles) {
-      let collision = false;
-      let normal = new THREE.Vector3();
-
-      if (obstacle.type === "sphere") {
-        const dist = position.distanceTo(obstacle.position);
-        if (dist < rovRadius + obstacle.radius) {
-          collision = true;
-          normal.subVectors(position, obstacle.position).normalize();
-        }
-      } else if (obstacle.type === "box") {
-        const box = new THREE.Box3().setFromCenterAndSize(
-          obstacle.position,
-          obstacle.size
-        );
-        const closestPoint = box.clampPoint(position, new THREE.Vector3());
-        const dist = position.distanceTo(closestPoint);
-        if (dist < rovRadius) {
-          collision = true;
-          normal.subVectors(position, closestPoint).normalize();
-        }
-      } else if (obstacle.type === "cylinder") {
-        // Simplificação: tratar como esfera
-        const dist2D = Math.sqrt(
-          Math.pow(position.x - obstacle.position.x, 2) +
-            Math.pow(position.z - obstacle.position.z, 2)
-        );
-        if (dist2D < rovRadius + obstacle.radius) {
-          const yDist = Math.abs(position.y - obstacle.position.y);
-          if (yDist < obstacle.height / 2) {
-            collision = true;
-            normal
-              .set(
-                position.x - obstacle.position.x,
-                0,
-                position.z - obstacle.position.z
-              )
-              .normalize();
-          }
-        }
-      }
-
-      if (collision) {
-        return { collision: true, normal, obstacle };
-      }
+  // Limites do ambiente (superfície e fundo do mar)
+  applyBoundaries() {
+    const sim = this.simulator;
+    const rov = sim.rov;
+    const seabedDepth = sim.environment.seabedDepth;
+
+    if (rov.position.y > this.surfaceLimit) {
+      rov.position.y = this.surfaceLimit;
+      rov.velocity.y = Math.min(0, rov.velocity.y);
     }
 
-    return { collision: false };
+    // Contato com o fundo: o casco apoia (veículo negativo fica assentado)
+    const minAlt = -seabedDepth + sim.getROVHitbox().height / 2;
+    if (rov.position.y < minAlt) {
+      rov.position.y = minAlt;
+      rov.velocity.y = Math.max(0, rov.velocity.y);
+    }
   }
 
-  resolveCollision(rov, collisionResult) {
-    if (!collisionResult.collision) return;
-
-    const { normal, obstacle } = collisionResult;
-    const rovRadius = 0.5;
+  // Distância percorrida (registrada no resultado da sessão)
+  trackDistance() {
+    const sim = this.simulator;
+    const position = sim.rov.position;
 
-    // Afastar o ROV do obstáculo
-    const pushDistance = 0.1;
-    rov.position.addScaledVector(normal, pushDistance);
-
-    // Refletir velocidade
-    const dot = rov.velocity.dot(normal);
-    if (dot < 0) {
-      rov.velocity.addScaledVector(normal, -2 * dot * 0.5); // 0.5 = elasticidade
+    if (sim.lastPosition) {
+      sim.distanceTraveled += position.distanceTo(sim.lastPosition);
+      sim.lastPosition.copy(position);
+    } else {
+      sim.lastPosition = position.clone();
     }
-
-    // Aplicar dano
-    const impactSpeed = Math.abs(dot);
-    return impactSpeed;
   }
 }
 
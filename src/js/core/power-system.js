@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Sistema de Energia - bateria, consumo dos propulsores e modo de emergência
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Não acessa DOM: roda igual no navegador e no modo headless
+//
+// Consumo a cada passo: eletrônica e sensores (fixo), luzes (lightPower) e
+// propulsores (potência ∝ |comando|^1.5, escalada pelo speedMultiplier).
+// A tensão da bateria cai com a carga (tensão em aberto - corrente × R
+// interna). Abaixo de limpThreshold o veículo entra em modo de emergência
+// (empuxo limitado); sem carga os propulsores param.
+//
+// scenarioConfig.power (todos os campos opcionais):
+//   charge:         0-1  - carga inicial (padrão 1)
+//   failOnDepleted: bool - bateria esgotada falha a missão (padrão true)
+
+const DEFAULTS = {
+  charge: 1,
+  failOnDepleted: true,
+};
+
+export class PowerSystem {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    this.charge = 1; // Estado de carga (0-1)
+    this.voltage = 0; // Tensão sob carga (V)
+    this.current = 0; // A
+    this.load = 0; // Potência consumida no último passo (W)
+    this.thrusterLoad = 0; // Parte do consumo que foi para os propulsores (W)
+    this.energyUsed = 0; // Wh desde o início da sessão
+
+    // Limite aplicado aos propulsores no próximo passo (0-1)
+    this.thrustLimit = 1;
+
+    this.limpMode = false;
+    this.depleted = false;
+  }
+
+  /**
+   * Lê a configuração do cenário (scenarioConfig.power)
+   */
+  init() {
+    const config = {
+      ...DEFAULTS,
+      ...(this.simulator.scenarioConfig.power || {}),
+    };
+
+    this.charge = Math.max(0, Math.min(1, config.charge));
+    this.failOnDepleted = config.failOnDepleted;
+    this.limpMode = false;
+    this.depleted = false;
+    this.thrustLimit = 1;
+    this.load = 0;
+    this.thrusterLoad = 0;
+    this.energyUsed = 0;
+    this.current = 0;
+    this.voltage = this.getOpenCircuitVoltage();
+  }
+
+  getProfile() {
+    return this.simulator.physics.getProfile().power;
+  }
+
+  // Tensão em aberto: linear entre vazia e cheia
+  getOpenCircuitVoltage(profile = this.getProfile()) {
+    const { emptyVoltage, fullVoltage } = profile;
+    return emptyVoltage + (fullVoltage - emptyVoltage) * this.charge;
+  }
+
+  /**
+   * Potência pedida pelos consumidores neste passo (W)
+   */
+  getDemand(profile = this.getProfile()) {
+    const sim = this.simulator;
+    const speedMult = sim.speedMultiplier || 1;
+
+    const thrusters = sim.rov.thrusters.reduce(
+      (sum, command) => sum + Math.abs(command) ** 1.5,
+      0,
+    );
+    const lights = sim.lightsOn ? profile.lightsPower * sim.lightPower : 0;
+
+    return {
+      thrusters: thrusters * profile.thrusterPower * speedMult,
+      hotel: profile.hotelLoad + lights,
+    };
+  }
+
+  /**
+   * Descarrega a bateria com o consumo do passo (depois da física, que já
+   * gravou os comandos dos propulsores em rov.thrusters)
+   * @param {number} dt
+   */
+  update(dt) {
+    const profile = this.getProfile();
+    const demand = this.getDemand(profile);
+    const openVoltage = this.getOpenCircuitVoltage(profile);
+    const R = profile.internalResistance;
+
+    // Potência máxima sem a tensão cair abaixo do corte
+    const maxPower = this.depleted
+      ? 0
+      : (profile.cutoffVoltage * (openVoltage - profile.cutoffVoltage)) / R;
+
+    // Consumo real: P = V·I com V = Voc - I·R
+    this.load = Math.min(demand.thrusters + demand.hotel, Math.max(0, maxPower));
+    this.thrusterLoad = Math.max(0, this.load - demand.hotel);
+    const discriminant = openVoltage * openVoltage - 4 * R * this.load;
+    this.current =
+      this.load > 0 ? (openVoltage - Math.sqrt(discriminant)) / (2 * R) : 0;
+    this.voltage = openVoltage - this.current * R;
+
+    const energy = (this.load * dt) / 3600;
+    this.energyUsed += energy;
+    this.charge = Math.max(0, this.charge - energy / profile.capacity);
+
+    this.updateThrustLimit(profile, demand, maxPower);
+    this.updateState(profile);
+  }
+
+  /**
+   * Limite dos propulsores: modo de emergência e queda de tensão. O limite
+   * do próximo passo é ajustado para a potência que sobra depois da
+   * eletrônica e das luzes (e volta a subir quando o pedido cai)
+   */
+  updateThrustLimit(profile, demand, maxPower) {
+    let limit = this.limpMode ? profile.limpThrust : 1;
+
+    if (demand.thrusters > 0) {
+      const available = Math.max(0, maxPower - demand.hotel);
+      // Potência ∝ empuxo^1.5
+      const ratio = (available / demand.thrusters) ** (2 / 3);
+      limit = Math.min(limit, this.thrustLimit * ratio);
+    }
+
+    this.thrustLimit = this.depleted ? 0 : limit;
+  }
+
+  // Transições: modo de emergência e bateria esgotada
+  updateState(profile) {
+    const sim = this.simulator;
+
+    if (!this.limpMode && this.charge < profile.limpThreshold) {
+      this.limpMode = true;
+      sim.addEvent(
+        "warning",
+        `🔋 Bateria em ${Math.round(this.charge * 100)}% - modo de emergência (empuxo limitado)`,
+      );
+    }
+
+    if (!this.depleted && this.charge <= 0) {
+      this.depleted = true;
+      this.thrustLimit = 0;
+      sim.addEvent("danger", "🪫 Bateria esgotada - propulsores desligados");
+      if (this.failOnDepleted) sim.failMission("Bateria esgotada");
+    }
+  }
+
+  /**
+   * Carga em porcentagem (painel de telemetria)
+   */
+  getPercent() {
+    return this.charge * 100;
+  }
+}
+
+export default PowerSystem;
@@ -0,0 +1,93 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Gerador Pseudoaleatório com Semente (determinístico)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Hash FNV-1a de 32 bits (converte textos em sementes)
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * PRNG mulberry32: mesma semente = mesma sequência em qualquer navegador
+ * (e no Node.js), ao contrário de Math.random()
+ */
+export class SeededRandom {
+  /**
+   * @param {number|string} seed - Semente (textos são convertidos por hash)
+   */
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Converte número ou texto em uma semente uint32
+   * @returns {number|null} null se o valor for vazio
+   */
+  static normalizeSeed(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const number = Number(value);
+    if (Number.isInteger(number)) return number >>> 0;
+    return hashString(String(value));
+  }
+
+  // Semente nova para sessões sem ?seed= (único uso de aleatoriedade real)
+  static randomSeed() {
+    if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+      return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Próximo número em [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Número em [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Inteiro em [min, max)
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max));
+  }
+
+  pick(array) {
+    return array[this.int(0, array.length)];
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Cria um fluxo independente derivado da mesma semente
+   * Ex: o número de rochas do cenário não altera o horário dos eventos
+   * @param {string} label - Nome do fluxo ("world", "events", ...)
+   */
+  fork(label) {
+    return new SeededRandom(hashString(`${this.seed}:${label}`));
+  }
+}
+
+export default SeededRandom;
@@ -0,0 +1,524 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Gravador de Sessão - gravação, replay e linha do tempo
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Limite de gravação (mesmo valor exibido na linha do tempo)
+const MAX_RECORDING_TIME = 45 * 60;
+
+// Velocidades disponíveis no replay (botão de velocidade)
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const PLAY_ICON = `
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <polygon points="7,4 20,12 7,20" />
+  </svg>`;
+
+const PAUSE_ICON = `
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="6" y="4" width="4" height="16" />
+    <rect x="14" y="4" width="4" height="16" />
+  </svg>`;
+
+export class SessionRecorder {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    this.isRecording = false;
+    this.frames = [];
+    this.events = [];
+    this.interventions = []; // Comandos do instrutor (reaplicados no replay)
+
+    // Replay
+    this.mode = "live"; // "live" | "playback"
+    this.playbackTime = 0;
+    this.playbackSpeed = 1;
+    this.playbackPaused = false;
+    this.liveSnapshot = null;
+    this.isScrubbing = false;
+
+    // Controle de atualização da interface
+    this.lastMarkerRender = -Infinity;
+    this.renderedMarkerCount = 0;
+    this.lastPausedState = false;
+  }
+
+  init() {
+    this.elements = {
+      time: document.getElementById("timeline-time"),
+      progress: document.getElementById("timeline-progress"),
+      markers: document.getElementById("timeline-markers"),
+      track: document.querySelector(".timeline-track"),
+      record: document.getElementById("btn-record"),
+      play: document.getElementById("btn-play"),
+      stop: document.getElementById("btn-stop"),
+      speed: document.getElementById("btn-speed"),
+      exportButton: document.getElementById("btn-export"),
+    };
+
+    const { record, play, stop, speed, exportButton, track } = this.elements;
+    if (record) record.addEventListener("click", () => this.toggleRecording());
+    if (play) play.addEventListener("click", () => this.togglePlay());
+    if (stop) stop.addEventListener("click", () => this.stop());
+    if (speed) speed.addEventListener("click", () => this.cycleSpeed());
+    if (exportButton) {
+      exportButton.addEventListener("click", () => this.download());
+    }
+
+    // Arrastar na trilha = scrubbing (entra no modo replay)
+    if (track) {
+      track.addEventListener("mousedown", (e) => {
+        if (this.frames.length < 2) return;
+        e.preventDefault();
+        this.isScrubbing = true;
+        track.classList.add("scrubbing");
+        this.scrubTo(e.clientX);
+      });
+      window.addEventListener("mousemove", (e) => {
+        if (this.isScrubbing) this.scrubTo(e.clientX);
+      });
+      window.addEventListener("mouseup", () => {
+        if (!this.isScrubbing) return;
+        this.isScrubbing = false;
+        track.classList.remove("scrubbing");
+      });
+    }
+
+    this.updateButtons();
+  }
+
+  get duration() {
+    return this.frames.length > 0
+      ? this.frames[this.frames.length - 1].t - this.frames[0].t
+      : 0;
+  }
+
+  get startTime() {
+    return this.frames.length > 0 ? this.frames[0].t : 0;
+  }
+
+  isPlayingBack() {
+    return this.mode === "playback";
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // GRAVAÇÃO
+  // ═══════════════════════════════════════════════════════════════
+
+  start() {
+    if (this.isRecording) return;
+    this.isRecording = true;
+    this.simulator.addEvent("info", "⏺ Gravação iniciada");
+    this.updateButtons();
+  }
+
+  pause() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+    this.simulator.addEvent("info", "⏸ Gravação pausada");
+    this.updateButtons();
+  }
+
+  toggleRecording() {
+    if (this.isPlayingBack()) return;
+    if (this.isRecording) this.pause();
+    else this.start();
+  }
+
+  /**
+   * Grava o estado atual do simulador (chamado a cada tick)
+   */
+  sample() {
+    const sim = this.simulator;
+    if (!this.isRecording || this.isPlayingBack() || sim.isPaused) return;
+
+    if (this.duration >= MAX_RECORDING_TIME) {
+      this.pause();
+      sim.addEvent("warning", "Limite de gravação atingido (45 min)");
+      return;
+    }
+
+    const { position, rotation, velocity } = sim.rov;
+    const frame = {
+      t: sim.sessionTime,
+      position: [position.x, position.y, position.z],
+      rotation: [rotation.x, rotation.y, rotation.z],
+      velocity: [velocity.x, velocity.y, velocity.z],
+      input: { ...sim.input },
+      armed: sim.isArmed,
+      speedMultiplier: sim.speedMultiplier,
+      damage: sim.damage,
+      score: sim.score,
+      camera: sim.activeCamera,
+      cameraPitch: sim.cameraPitch || 0,
+      // Luzes: validade das fotos e consumo da bateria dependem delas
+      lightsOn: sim.lightsOn,
+      lightPower: sim.lightPower,
+    };
+    // Só nos passos com foto (o replay headless tira a mesma foto)
+    if (sim.photoTaken) frame.photo = true;
+    this.frames.push(frame);
+  }
+
+  /**
+   * Registra um evento na linha do tempo
+   * @param {string} type - "objective" | "warning" (colisões) | "info"
+   * @param {string} label - Texto exibido ao passar o mouse
+   */
+  markEvent(type, label) {
+    if (!this.isRecording || this.isPlayingBack()) return;
+
+    // Contato contínuo gera o mesmo evento a cada tick: agrupar em 1s
+    const t = this.simulator.sessionTime;
+    const last = this.events[this.events.length - 1];
+    if (last && last.type === type && last.label === label && t - last.t < 1) {
+      return;
+    }
+    this.events.push({ t, type, label });
+  }
+
+  /**
+   * Grava um comando do instrutor (src/js/core/instructor-commands.js)
+   * @param {object} command
+   * @param {string} label - Descrição exibida na linha do tempo
+   */
+  recordIntervention(command, label) {
+    if (!this.isRecording || this.isPlayingBack()) return;
+    this.interventions.push({ t: this.simulator.sessionTime, command });
+    this.markEvent("info", `Instrutor: ${label}`);
+  }
+
+  /**
+   * Exporta a gravação (formato usado pelo replay headless)
+   */
+  toJSON() {
+    const sim = this.simulator;
+    return {
+      version: 2, // 2: quadros com lightsOn/lightPower
+      scenarioId: sim.scenarioId,
+      seed: sim.seed,
+      timeStep: sim.fixedTimeStep,
+      rovModel: sim.currentROVModel,
+      duration: this.duration,
+      frames: this.frames,
+      events: this.events,
+      interventions: this.interventions,
+    };
+  }
+
+  /**
+   * Baixa a gravação em JSON (reavaliável com `npm run headless -- --recording`)
+   */
+  download() {
+    if (this.frames.length === 0) return;
+
+    const sim = this.simulator;
+    const blob = new Blob([JSON.stringify(this.toJSON())], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `gravacao-${sim.scenarioId}-${sim.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    sim.addEvent("info", "Gravação exportada");
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // REPLAY
+  // ═══════════════════════════════════════════════════════════════
+
+  enterPlayback() {
+    if (this.isPlayingBack() || this.frames.length < 2) return;
+
+    const sim = this.simulator;
+    this.liveSnapshot = {
+      position: sim.rov.position.clone(),
+      rotation: sim.rov.rotation.clone(),
+      velocity: sim.rov.velocity.clone(),
+      angularVelocity: sim.rov.angularVelocity.clone(),
+      input: { ...sim.input },
+      damage: sim.damage,
+      score: sim.score,
+      camera: sim.activeCamera,
+      cameraPitch: sim.cameraPitch,
+    };
+
+    this.mode = "playback";
+    this.playbackTime = this.startTime;
+    this.playbackPaused = false;
+    sim.addEvent("info", "▶ Replay - simulação pausada");
+    this.updateButtons();
+  }
+
+  // Sai do replay e restaura o estado ao vivo
+  exitPlayback() {
+    if (!this.isPlayingBack()) return;
+
+    const sim = this.simulator;
+    const live = this.liveSnapshot;
+    sim.rov.position.copy(live.position);
+    sim.rov.rotation.copy(live.rotation);
+    sim.rov.velocity.copy(live.velocity);
+    sim.rov.angularVelocity.copy(live.angularVelocity);
+    sim.input = live.input;
+    sim.damage = live.damage;
+    sim.score = live.score;
+    sim.cameraPitch = live.cameraPitch;
+    this.setCamera(live.camera);
+    this.syncModel();
+
+    this.mode = "live";
+    this.liveSnapshot = null;
+
+    // Evita um dt enorme no primeiro tick ao vivo
+    sim.clock.getDelta();
+    sim.accumulator = 0;
+    this.updateButtons();
+
+    // Missão encerrada: volta para o resultado
+    if (sim.missionEnded) {
+      sim.addEvent("info", "⏹ Replay encerrado");
+      sim.hud.showEndModal();
+      return;
+    }
+    sim.addEvent("info", "⏹ Replay encerrado - simulação retomada");
+  }
+
+  togglePlay() {
+    if (this.isPlayingBack()) {
+      // No fim da gravação, play recomeça do início
+      if (this.playbackPaused && this.playbackTime >= this.endTime()) {
+        this.playbackTime = this.startTime;
+      }
+      this.playbackPaused = !this.playbackPaused;
+    } else {
+      const sim = this.simulator;
+      if (sim.togglePause()) {
+        sim.addEvent("info", sim.isPaused ? "Pausado" : "Retomado");
+      }
+    }
+    this.updateButtons();
+  }
+
+  stop() {
+    if (this.isPlayingBack()) {
+      this.exitPlayback();
+    } else {
+      this.pause();
+    }
+  }
+
+  cycleSpeed() {
+    const index = PLAYBACK_SPEEDS.indexOf(this.playbackSpeed);
+    this.playbackSpeed = PLAYBACK_SPEEDS[(index + 1) % PLAYBACK_SPEEDS.length];
+    this.updateButtons();
+  }
+
+  endTime() {
+    return this.startTime + this.duration;
+  }
+
+  scrubTo(clientX) {
+    const rect = this.elements.track.getBoundingClientRect();
+    const fraction = Math.max(
+      0,
+      Math.min(1, (clientX - rect.left) / rect.width),
+    );
+
+    this.enterPlayback();
+    this.playbackPaused = true;
+    this.seek(this.startTime + fraction * this.duration);
+    this.updateButtons();
+  }
+
+  seek(time) {
+    this.playbackTime = Math.max(this.startTime, Math.min(this.endTime(), time));
+    this.applyFrame(this.playbackTime);
+    this.syncModel();
+  }
+
+  /**
+   * Avança o replay (chamado a cada tick no lugar da física)
+   */
+  updatePlayback(dt) {
+    if (!this.playbackPaused) {
+      this.playbackTime += dt * this.playbackSpeed;
+      if (this.playbackTime >= this.endTime()) {
+        this.playbackTime = this.endTime();
+        this.playbackPaused = true;
+        this.updateButtons();
+      }
+    }
+    this.applyFrame(this.playbackTime);
+  }
+
+  /**
+   * Índice do último quadro com t <= time (busca binária)
+   */
+  findFrameIndex(time) {
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.frames[mid].t <= time) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  // Aplica o estado gravado, interpolando entre quadros vizinhos
+  applyFrame(time) {
+    const sim = this.simulator;
+    const index = this.findFrameIndex(time);
+    const a = this.frames[index];
+    const b = this.frames[Math.min(index + 1, this.frames.length - 1)];
+    const span = b.t - a.t;
+    const alpha = span > 0 ? Math.max(0, Math.min(1, (time - a.t) / span)) : 0;
+
+    const lerp = (from, to) => from + (to - from) * alpha;
+    const lerpAngle = (from, to) => {
+      let diff = (to - from) % (Math.PI * 2);
+      if (diff > Math.PI) diff -= Math.PI * 2;
+      if (diff < -Math.PI) diff += Math.PI * 2;
+      return from + diff * alpha;
+    };
+
+    sim.rov.position.set(
+      lerp(a.position[0], b.position[0]),
+      lerp(a.position[1], b.position[1]),
+      lerp(a.position[2], b.position[2]),
+    );
+    sim.rov.rotation.set(
+      lerpAngle(a.rotation[0], b.rotation[0]),
+      lerpAngle(a.rotation[1], b.rotation[1]),
+      lerpAngle(a.rotation[2], b.rotation[2]),
+    );
+    sim.rov.velocity.set(
+      lerp(a.velocity[0], b.velocity[0]),
+      lerp(a.velocity[1], b.velocity[1]),
+      lerp(a.velocity[2], b.velocity[2]),
+    );
+    sim.input = { ...a.input };
+    sim.physics.thrusterAllocation.update(); // Painel dos propulsores
+    sim.damage = a.damage;
+    sim.score = a.score;
+    sim.cameraPitch = lerp(a.cameraPitch, b.cameraPitch);
+    this.setCamera(a.camera);
+
+    this.syncModel();
+  }
+
+  setCamera(name) {
+    const sim = this.simulator;
+    if (!sim.cameras[name] || sim.activeCamera === name) return;
+    sim.activeCamera = name;
+    sim.camera = sim.cameras[name];
+  }
+
+  // Atualiza modelo 3D e câmeras com o estado aplicado
+  syncModel() {
+    const sim = this.simulator;
+    if (sim.rovModel) {
+      sim.rovModel.position.copy(sim.rov.position);
+      sim.rovModel.quaternion.setFromEuler(sim.rov.rotation);
+    }
+    // O estado do cabo não é gravado: só o engate acompanha o ROV
+    if (sim.tether) sim.tether.updateVisual(sim.tether.getAttachPoint());
+    sim.updateCameras();
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // INTERFACE DA LINHA DO TEMPO
+  // ═══════════════════════════════════════════════════════════════
+
+  updateUI() {
+    const { time, progress } = this.elements;
+    const duration = this.duration;
+    const current = this.isPlayingBack()
+      ? this.playbackTime - this.startTime
+      : duration;
+
+    if (time) {
+      time.textContent = `${this.formatTime(current)} / ${this.formatTime(
+        duration,
+      )}`;
+    }
+
+    if (progress) {
+      const percent = duration > 0 ? (current / duration) * 100 : 0;
+      progress.style.width = `${percent}%`;
+    }
+
+    // Pausa pode vir do teclado (Esc) ou do gamepad
+    if (this.simulator.isPaused !== this.lastPausedState) {
+      this.lastPausedState = this.simulator.isPaused;
+      this.updateButtons();
+    }
+
+    // Marcadores: reposicionar quando surgirem novos ou a cada segundo
+    if (
+      this.events.length !== this.renderedMarkerCount ||
+      duration - this.lastMarkerRender >= 1
+    ) {
+      this.renderMarkers();
+    }
+  }
+
+  renderMarkers() {
+    const container = this.elements.markers;
+    if (!container) return;
+
+    const duration = this.duration;
+    this.lastMarkerRender = duration;
+    this.renderedMarkerCount = this.events.length;
+
+    container.innerHTML = "";
+    if (duration <= 0) return;
+
+    for (const event of this.events) {
+      const marker = document.createElement("div");
+      marker.className = `timeline-marker ${event.type}`;
+      marker.style.left = `${((event.t - this.startTime) / duration) * 100}%`;
+      marker.title = `${this.formatTime(event.t - this.startTime)} - ${
+        event.label
+      }`;
+      container.appendChild(marker);
+    }
+  }
+
+  updateButtons() {
+    const { record, play, speed } = this.elements || {};
+    const sim = this.simulator;
+
+    if (record) {
+      record.classList.toggle("recording", this.isRecording);
+      record.disabled = this.isPlayingBack();
+    }
+
+    if (play) {
+      const running = this.isPlayingBack()
+        ? !this.playbackPaused
+        : !sim.isPaused;
+      play.innerHTML = running ? PAUSE_ICON : PLAY_ICON;
+      play.classList.toggle("active", running);
+    }
+
+    if (speed) {
+      speed.textContent = `${this.playbackSpeed}x`;
+    }
+  }
+
+  formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return [h, m, s].map((n) => n.toString().padStart(2, "0")).join(":");
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,131 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Envio do resultado da sessão para o servidor (/api/v1/sessions)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Sessões que não puderam ser enviadas (servidor offline) ficam aqui
+const PENDING_STORAGE_KEY = "rov-simulator:pending-sessions";
+const MAX_PENDING = 20;
+
+export class SessionReporter {
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.endpoint = "/api/v1/sessions";
+
+    // Motivo da última recusa do servidor (4xx), exibido no resultado
+    this.rejection = null;
+  }
+
+  /**
+   * Monta o registro da sessão no formato esperado pela API
+   * @param {"completed"|"failed"} outcome
+   */
+  buildRecord(outcome) {
+    const sim = this.simulator;
+    const grading = sim.grading.evaluate(outcome);
+
+    return {
+      scenarioId: sim.scenarioId,
+      scenarioVersion: sim.scenarioConfig.version || 1,
+      traineeId: sim.traineeId,
+      seed: sim.seed,
+      outcome,
+      failureReason: outcome === "failed" ? sim.failureReason : null,
+      score: sim.score,
+      maxScore: sim.totalPossibleScore,
+      grade: grading.grade,
+      // Pontos com bônus e penalidades (src/js/core/grading.js)
+      gradedScore: grading.score,
+      grading: grading.breakdown,
+      damage: Math.round(sim.damage * 10) / 10,
+      sessionTime: Math.round(sim.sessionTime * 10) / 10,
+      distanceTraveled: Math.round(sim.distanceTraveled * 10) / 10,
+      objectivesCompleted: sim.objectives.filter((o) => o.completed).length,
+      // Caminhos descartados não contam
+      objectivesTotal: sim.objectives.filter((o) => !o.skipped).length,
+      rovModel: sim.currentROVModel,
+      energyUsed: Math.round(sim.power.energyUsed * 10) / 10,
+      interventions: sim.instructor.log,
+    };
+  }
+
+  /**
+   * Envia o resultado da sessão (e reenvia pendentes de sessões anteriores)
+   * @returns {Promise<object|null>} Sessão gravada pelo servidor ou null
+   */
+  async submit(outcome) {
+    const record = this.buildRecord(outcome);
+
+    try {
+      const saved = await this.post(record);
+      await this.flushPending();
+      return saved;
+    } catch (error) {
+      console.warn("Could not save session:", error.message);
+      // Recusado (ex.: cenário bloqueado): reenviar daria o mesmo erro
+      if (error.permanent) this.rejection = error.message;
+      else this.storePending(record);
+      return null;
+    }
+  }
+
+  async post(record) {
+    const response = await fetch(this.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(record),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      const error = new Error(data.error || `HTTP ${response.status}`);
+      // 4xx: registro rejeitado, não adianta tentar novamente
+      error.permanent = response.status >= 400 && response.status < 500;
+      throw error;
+    }
+    return data.data;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // FILA LOCAL DE SESSÕES PENDENTES
+  // ═══════════════════════════════════════════════════════════════
+
+  readPending() {
+    try {
+      return JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  writePending(records) {
+    try {
+      localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(records));
+    } catch (error) {
+      console.warn("Could not store pending sessions:", error.message);
+    }
+  }
+
+  storePending(record) {
+    const pending = this.readPending();
+    pending.push(record);
+    this.writePending(pending.slice(-MAX_PENDING));
+  }
+
+  async flushPending() {
+    const pending = this.readPending();
+    if (pending.length === 0) return;
+
+    const remaining = [];
+    for (const record of pending) {
+      try {
+        await this.post(record);
+      } catch (error) {
+        if (!error.permanent) remaining.push(record);
+      }
+    }
+    this.writePending(remaining);
+  }
+}
+
+export default SessionReporter;
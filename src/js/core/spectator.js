@@ -0,0 +1,262 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Modo Espectador - acompanha a sessão de outro aluno (somente leitura)
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { THRUSTER_IDS } from "./thruster-allocation.js";
+
+// Apenas navegador. simulator.html?spectate=<id> assina a telemetria da
+// sessão no servidor (/ws/live?role=telemetry, ver src/js/core/telemetry.js)
+// e espelha o ROV do piloto: sem física, objetivos nem gravação locais.
+// A câmera (C: principal, alternativa, ampla, externa) é do espectador.
+//
+// Cenário, semente e ROV precisam ser os do piloto para o ambiente ser o
+// mesmo: o link do console do instrutor já os inclui; se faltarem, a página
+// é recarregada com os valores da sessão.
+
+const LIVE_PATH = "/ws/live";
+
+// O ROV é exibido um pouco atrás do último quadro para interpolar entre
+// quadros (telemetria a 10 Hz)
+const PLAYBACK_DELAY = 0.2; // s
+
+// Atraso maior que isso (pausa, reconexão) salta direto para o último quadro
+const MAX_DRIFT = 1; // s
+
+// Quadros guardados para interpolação
+const MAX_FRAMES = 30;
+
+const RECONNECT_DELAY = 2000; // ms
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export class SpectatorLink {
+  /**
+   * @param {ROVSimulator} simulator
+   * @param {string} sessionId - ID da sessão ao vivo (console do instrutor)
+   */
+  constructor(simulator, sessionId) {
+    this.simulator = simulator;
+    this.sessionId = sessionId;
+
+    this.socket = null;
+    this.frames = [];
+    this.playbackTime = null;
+    this.pilotConnected = null; // null até a primeira lista de sessões
+    this.outcome = null;
+  }
+
+  connect() {
+    const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    const session = encodeURIComponent(this.sessionId);
+    const socket = new WebSocket(
+      `${protocol}//${window.location.host}${LIVE_PATH}?role=telemetry&session=${session}`,
+    );
+    socket.addEventListener("message", (e) => this.onMessage(e.data));
+    socket.addEventListener("close", () => {
+      this.socket = null;
+      this.setPilotConnected(false, "📡 Sem conexão com o servidor");
+      setTimeout(() => this.connect(), RECONNECT_DELAY);
+    });
+    this.socket = socket;
+  }
+
+  onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    switch (message.type) {
+      case "sessions":
+        this.onSessions(message.sessions);
+        break;
+
+      case "telemetry":
+        if (message.session === this.sessionId) this.onFrame(message.telemetry);
+        break;
+    }
+  }
+
+  onSessions(sessions) {
+    const session = sessions.find((s) => s.id === this.sessionId);
+    if (!session) {
+      this.setPilotConnected(
+        false,
+        `👁 Sessão ${this.sessionId} não está ao vivo - aguardando o piloto`,
+      );
+      return;
+    }
+
+    // Ambiente diferente do piloto: recarrega com cenário, semente e ROV certos
+    const sim = this.simulator;
+    if (
+      session.scenarioId !== sim.scenarioId ||
+      String(session.seed) !== String(sim.seed) ||
+      (session.rovModel && session.rovModel !== sim.currentROVModel)
+    ) {
+      const params = new URLSearchParams(window.location.search);
+      params.set("scenario", session.scenarioId);
+      params.set("seed", session.seed);
+      if (session.rovModel) params.set("rov", session.rovModel);
+      window.location.search = params.toString();
+      return;
+    }
+
+    const trainee = session.traineeId ? ` (${session.traineeId})` : "";
+    this.setPilotConnected(
+      true,
+      `👁 Assistindo a sessão ${this.sessionId}${trainee}`,
+    );
+  }
+
+  setPilotConnected(connected, message) {
+    if (connected === this.pilotConnected) return;
+    this.pilotConnected = connected;
+    this.simulator.addEvent(connected ? "success" : "warning", message);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ESPELHAMENTO
+  // ═══════════════════════════════════════════════════════════════
+
+  onFrame(frame) {
+    if (!frame || typeof frame.t !== "number") return;
+
+    // Tempo voltou (piloto reiniciou a página): descarta o histórico
+    const last = this.frames[this.frames.length - 1];
+    if (last && frame.t < last.t) this.frames = [];
+
+    this.frames.push(frame);
+    if (this.frames.length > MAX_FRAMES) this.frames.shift();
+
+    this.applyState(frame);
+  }
+
+  // Estado discreto (HUD, objetivos e log): aplicado na chegada do quadro
+  applyState(frame) {
+    const sim = this.simulator;
+
+    (frame.events || []).forEach(({ type, message }) =>
+      sim.addEvent(type, message),
+    );
+
+    THRUSTER_IDS.forEach((id, i) => {
+      sim.rov.thrusters[i] = frame.thrusters[id] || 0;
+    });
+    sim.faults.failedThruster = frame.failedThruster
+      ? THRUSTER_IDS.indexOf(frame.failedThruster)
+      : null;
+
+    sim.damage = frame.damage;
+    sim.isPaused = frame.paused;
+
+    const systems = frame.systems || {};
+    sim.power.charge = systems.battery / 100;
+    sim.power.voltage = systems.voltage;
+    sim.power.load = systems.powerLoad;
+    sim.thermal.temperature = systems.electronicsTemp;
+    sim.thermal.waterTemperature = systems.waterTemp;
+    sim.ballast.fill = systems.ballastFill;
+    if (sim.tether && systems.tetherDeployed !== null) {
+      sim.tether.deployed = systems.tetherDeployed;
+      sim.tether.tension = systems.tetherTension;
+    }
+
+    // Bloqueado/ativo sai dos pré-requisitos; os marcadores seguem o estado
+    let objectivesChanged = false;
+    (frame.objectives || []).forEach(({ id, completed, state }) => {
+      const obj = sim.objectives.find((o) => o.id === id);
+      const skipped = state === "skipped";
+      if (!obj || (obj.completed === completed && obj.skipped === skipped)) {
+        return;
+      }
+
+      obj.completed = completed;
+      obj.skipped = skipped;
+      objectivesChanged = true;
+    });
+    if (objectivesChanged && sim.hud) sim.hud.updateObjectives();
+
+    if (sim.score !== frame.score) {
+      sim.score = frame.score;
+      if (sim.hud) sim.hud.updateScore();
+    }
+
+    if (frame.outcome && !this.outcome) {
+      sim.addEvent("info", "👁 Sessão do piloto encerrada");
+    }
+    this.outcome = frame.outcome;
+  }
+
+  /**
+   * Avança a pose espelhada (chamado a cada quadro no lugar da física)
+   * @param {number} dt - Tempo real desde o último quadro (s)
+   */
+  update(dt) {
+    const frames = this.frames;
+    if (frames.length === 0) return;
+
+    const target = frames[frames.length - 1].t - PLAYBACK_DELAY;
+    if (
+      this.playbackTime === null ||
+      Math.abs(target - this.playbackTime) > MAX_DRIFT
+    ) {
+      this.playbackTime = target;
+    } else {
+      this.playbackTime = Math.min(
+        frames[frames.length - 1].t,
+        this.playbackTime + dt,
+      );
+    }
+
+    this.applyPose(this.playbackTime);
+  }
+
+  // Pose interpolada entre os quadros vizinhos (mesma ideia do replay)
+  applyPose(time) {
+    const sim = this.simulator;
+    const frames = this.frames;
+
+    let index = frames.length - 1;
+    while (index > 0 && frames[index].t > time) index--;
+    const a = frames[index];
+    const b = frames[Math.min(index + 1, frames.length - 1)];
+    const span = b.t - a.t;
+    const alpha = span > 0 ? Math.max(0, Math.min(1, (time - a.t) / span)) : 0;
+
+    const lerp = (from, to) => from + (to - from) * alpha;
+    const lerpAngle = (from, to) => {
+      let diff = (to - from) % 360;
+      if (diff > 180) diff -= 360;
+      if (diff < -180) diff += 360;
+      return toRadians(from + diff * alpha);
+    };
+
+    sim.rov.position.set(
+      lerp(a.position.x, b.position.x),
+      lerp(a.position.y, b.position.y),
+      lerp(a.position.z, b.position.z),
+    );
+    sim.rov.rotation.set(
+      lerpAngle(a.roll, b.roll),
+      lerpAngle(a.heading, b.heading),
+      lerpAngle(a.pitch, b.pitch),
+    );
+    sim.rov.velocity.set(
+      lerp(a.velocity.x, b.velocity.x),
+      lerp(a.velocity.y, b.velocity.y),
+      lerp(a.velocity.z, b.velocity.z),
+    );
+    sim.sessionTime = Math.max(0, time);
+
+    // Sem passo anterior: o render usa a pose aplicada
+    sim.previousPose.position.copy(sim.rov.position);
+    sim.previousPose.quaternion.setFromEuler(sim.rov.rotation);
+    sim.syncRenderState(1);
+  }
+}
+
+export default SpectatorLink;
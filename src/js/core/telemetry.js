@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Telemetria - quadros estruturados do estado do ROV para assinantes externos
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { THRUSTER_IDS } from "./thruster-allocation.js";
+
+// Não acessa DOM: o quadro é montado a partir do estado da simulação, o
+// mesmo que o HUD exibe. Enviado pelo link ao vivo (src/js/core/live-link.js)
+// para painéis, gravadores e ferramentas do instrutor.
+//
+// Quadro (unidades SI, ângulos em graus):
+//   t                      - tempo de sessão (s)
+//   position { x, y, z }   - m, mundo (y para cima)
+//   depth, heading, pitch, roll
+//   velocity { x, y, z }   - m/s, mundo
+//   speed                  - m/s
+//   angularVelocity { roll, yaw, pitch } - °/s, referencial do corpo
+//   thrusters { fp, fs, ... } - comando de cada propulsor (-1 a 1)
+//   failedThruster         - id do propulsor desligado por falha (ou null)
+//   damage, score
+//   systems { battery (%), voltage (V), powerLoad (W), electronicsTemp,
+//             waterTemp (°C), ballastFill (0-1), tetherDeployed (m),
+//             tetherTension (N) }
+//   objectives [{ id, name, completed, state }] - state: "locked" | "active" |
+//                          "completed" | "skipped" (src/js/core/objectives.js)
+//   events [{ t, type, message }] - eventos desde o quadro anterior
+//   paused, outcome        - "completed" | "failed" | null
+
+// Eventos acumulados entre dois quadros (o excesso mais antigo é descartado)
+const MAX_PENDING_EVENTS = 100;
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export class TelemetryStream {
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.pendingEvents = [];
+  }
+
+  /**
+   * Guarda um evento do log para o próximo quadro
+   */
+  pushEvent(type, message) {
+    this.pendingEvents.push({
+      t: round(this.simulator.sessionTime),
+      type,
+      message,
+    });
+    if (this.pendingEvents.length > MAX_PENDING_EVENTS) {
+      this.pendingEvents.shift();
+    }
+  }
+
+  /**
+   * Monta o quadro com o estado atual e esvazia a fila de eventos
+   */
+  frame() {
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    return { ...this.snapshot(), events };
+  }
+
+  /**
+   * Estado atual, sem os eventos (não mexe na fila)
+   */
+  snapshot() {
+    const sim = this.simulator;
+    const { position, velocity, rotation, angularVelocity } = sim.rov;
+
+    const thrusters = {};
+    sim.rov.thrusters.forEach((thrust, i) => {
+      thrusters[THRUSTER_IDS[i]] = round(thrust, 3);
+    });
+    const failed = sim.faults.failedThruster;
+
+    return {
+      t: round(sim.sessionTime),
+      position: {
+        x: round(position.x),
+        y: round(position.y),
+        z: round(position.z),
+      },
+      depth: round(-position.y),
+      heading: round(((toDegrees(rotation.y) % 360) + 360) % 360, 1),
+      pitch: round(toDegrees(rotation.z), 1),
+      roll: round(toDegrees(rotation.x), 1),
+      velocity: {
+        x: round(velocity.x, 3),
+        y: round(velocity.y, 3),
+        z: round(velocity.z, 3),
+      },
+      speed: round(velocity.length(), 3),
+      angularVelocity: {
+        roll: round(toDegrees(angularVelocity.x), 1),
+        yaw: round(toDegrees(angularVelocity.y), 1),
+        pitch: round(toDegrees(angularVelocity.z), 1),
+      },
+      thrusters,
+      failedThruster: failed === null ? null : THRUSTER_IDS[failed],
+      damage: round(sim.damage, 1),
+      score: sim.score,
+      systems: {
+        battery: round(sim.power.charge * 100, 1),
+        voltage: round(sim.power.voltage, 1),
+        powerLoad: Math.round(sim.power.load),
+        electronicsTemp: round(sim.thermal.temperature, 1),
+        waterTemp: round(sim.thermal.waterTemperature, 1),
+        ballastFill: round(sim.ballast.fill, 3),
+        tetherDeployed: sim.tether ? round(sim.tether.deployed, 1) : null,
+        tetherTension: sim.tether ? Math.round(sim.tether.tension) : null,
+      },
+      objectives: sim.objectives.map((o) => ({
+        id: o.id,
+        name: o.name,
+        completed: o.completed,
+        state: sim.objectiveSystem.getState(o),
+      })),
+      paused: sim.isPaused,
+      outcome: sim.missionEnded
+        ? sim.missionFailed
+          ? "failed"
+          : "completed"
+        : null,
+    };
+  }
+}
+
+export default TelemetryStream;
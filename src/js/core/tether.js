@@ -0,0 +1,458 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Umbilical (Tether) - cabo segmentado da superfície/TMS até o ROV
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Não acessa DOM: roda igual no navegador e no modo headless
+//
+// Cadeia de nós integrada por Verlet com restrições de corda (só resistem à
+// tração). O primeiro nó fica preso na origem (navio ou TMS) e o último no
+// ponto de engate do ROV. Nós que tocam estruturas registradas no
+// CollisionSystem ficam enroscados até o cabo puxá-los para fora.
+
+const DEFAULTS = {
+  maxLength: 600, // Cabo disponível no guincho (m)
+  initialSlack: 10, // Folga inicial além da distância origem-ROV (m)
+  winch: "auto", // "auto" (TMS controla a folga) | "manual" (piloto)
+};
+
+export class Tether {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    // Discretização
+    this.segmentCount = 30;
+    this.iterations = 15;
+
+    // Cabo levemente mais pesado que a água (m/s² efetivos)
+    this.sinkAcceleration = 0.3;
+
+    // Arrasto da corrente sobre o cabo: aceleração dos nós (1/s) e força
+    // por metro de cabo, metade transmitida ao engate (N/(m/s) por metro)
+    this.currentDrag = 0.8;
+    this.dragCoefficient = 2;
+
+    // Amortecimento do movimento dos nós (por passo)
+    this.damping = 0.98;
+
+    // Rigidez e amortecimento axiais (escala do simulador)
+    this.stiffness = 2000; // N/m
+    this.stiffnessDamping = 400; // N/(m/s)
+
+    // Limites de tração
+    this.warningTension = 4000; // N
+    this.breakingTension = 6000; // N - acima disso o engate sofre dano
+
+    // Guincho
+    this.winchSpeed = 4; // m/s (manual)
+    this.autoWinchSpeed = 20; // m/s - acompanha o ROV em velocidade máxima
+    this.minLength = 5; // m
+    this.autoMinSlack = 3; // TMS solta cabo abaixo desta folga (m)
+    this.autoMaxSlack = 15; // TMS recolhe cabo acima desta folga (m)
+    this.autoPayoutTension = 300; // TMS solta cabo acima desta tração (N)
+
+    // Raio do cabo para contato com estruturas (m)
+    this.cableRadius = 0.1;
+
+    // Cabo solta da estrutura quando a tração aponta para fora da superfície
+    this.releaseThreshold = 0.2;
+
+    this.nodes = [];
+    this.tension = 0;
+    this.stretch = 0;
+    this.lastSnaggedCount = 0;
+    this.force = new THREE.Vector3();
+    this.dragForce = new THREE.Vector3();
+
+    // Estados que geram eventos (apenas na transição)
+    this.wasSnagged = false;
+    this.wasAtMaxLength = false;
+    this.lastTensionWarning = -Infinity;
+
+    this.line = null;
+  }
+
+  /**
+   * Lê a configuração do cenário (scenarioConfig.tether) e estende o cabo
+   * em linha reta da origem até o ROV
+   */
+  init() {
+    const sim = this.simulator;
+    const config = { ...DEFAULTS, ...(sim.scenarioConfig.tether || {}) };
+    const start = sim.rov.position;
+
+    // Padrão: navio de apoio na superfície, acima do ponto de lançamento
+    this.origin = config.origin
+      ? new THREE.Vector3(config.origin.x, config.origin.y, config.origin.z)
+      : new THREE.Vector3(start.x, 0, start.z);
+
+    this.maxLength = config.maxLength;
+    this.winchMode = config.winch;
+    this.deployed = Math.min(
+      this.maxLength,
+      Math.max(
+        this.minLength,
+        config.deployed ?? this.origin.distanceTo(start) + config.initialSlack,
+      ),
+    );
+
+    this.nodes = [];
+    for (let i = 0; i <= this.segmentCount; i++) {
+      const position = this.origin
+        .clone()
+        .lerp(this.getAttachPoint(), i / this.segmentCount);
+      this.nodes.push({
+        position,
+        previous: position.clone(),
+        start: position.clone(),
+        snagNormal: null,
+      });
+    }
+  }
+
+  // Engate na traseira superior do ROV (referencial do mundo)
+  getAttachPoint() {
+    const sim = this.simulator;
+    return this.getAttachOffset().add(sim.rov.position);
+  }
+
+  /**
+   * Engate relativo ao centro do ROV
+   * @param {THREE.Quaternion} [orientation] - Padrão: atitude física atual
+   */
+  getAttachOffset(orientation) {
+    const sim = this.simulator;
+    const hitbox = sim.getROVHitbox();
+    const q =
+      orientation || new THREE.Quaternion().setFromEuler(sim.rov.rotation);
+    return new THREE.Vector3(-hitbox.depth / 2, hitbox.height / 2, 0)
+      .applyQuaternion(q);
+  }
+
+  get segmentLength() {
+    return this.deployed / this.segmentCount;
+  }
+
+  get snaggedCount() {
+    return this.nodes.filter((node) => node.snagNormal).length;
+  }
+
+  // Nós fixos: origem, engate do ROV e nós enroscados
+  isPinned(index) {
+    return (
+      index === 0 ||
+      index === this.segmentCount ||
+      Boolean(this.nodes[index].snagNormal)
+    );
+  }
+
+  /**
+   * Um passo do cabo (depois da física do ROV)
+   * @param {number} dt
+   */
+  update(dt) {
+    if (this.nodes.length === 0) return;
+
+    const last = this.nodes[this.segmentCount];
+    last.position.copy(this.getAttachPoint());
+
+    this.updateWinch(dt);
+    this.releaseSnags();
+    this.integrate(dt);
+    this.solveConstraints();
+    this.resolveContacts();
+    this.updateTension(dt);
+    this.checkLimits(dt);
+
+    this.nodes.forEach((node) => node.start.copy(node.position));
+    this.reportSnags();
+  }
+
+  // Guincho: manual (input.winch) ou automático (TMS mantém folga)
+  updateWinch(dt) {
+    const input = this.simulator.input;
+    let rate = 0;
+
+    if (this.winchMode === "manual") {
+      rate = Math.max(-1, Math.min(1, input.winch || 0)) * this.winchSpeed;
+    } else {
+      const slack = this.deployed - this.getTautLength();
+      if (slack < this.autoMinSlack || this.tension > this.autoPayoutTension) {
+        rate = this.autoWinchSpeed;
+      } else if (slack > this.autoMaxSlack) {
+        rate = -this.winchSpeed;
+      }
+    }
+
+    this.deployed = Math.max(
+      this.minLength,
+      Math.min(this.maxLength, this.deployed + rate * dt),
+    );
+  }
+
+  /**
+   * Comprimento do cabo esticado: origem → nós enroscados → ROV
+   */
+  getTautLength() {
+    let length = 0;
+    let previous = this.nodes[0].position;
+    for (let i = 1; i <= this.segmentCount; i++) {
+      if (!this.isPinned(i)) continue;
+      length += previous.distanceTo(this.nodes[i].position);
+      previous = this.nodes[i].position;
+    }
+    return length;
+  }
+
+  // Verlet: inércia + afundamento + arrasto relativo à corrente local
+  integrate(dt) {
+    const sim = this.simulator;
+    const current = new THREE.Vector3();
+    const seabed = -sim.environment.seabedDepth + this.cableRadius;
+    const dragPerNode = this.dragCoefficient * this.segmentLength;
+    this.dragForce.set(0, 0, 0);
+
+    for (let i = 1; i < this.segmentCount; i++) {
+      const node = this.nodes[i];
+      if (node.snagNormal) continue;
+
+      const velocity = node.position
+        .clone()
+        .sub(node.previous)
+        .multiplyScalar(this.damping / dt);
+      sim.currentField.getCurrent(node.position, current);
+      const relative = current.clone().sub(velocity);
+      this.dragForce.addScaledVector(relative, dragPerNode);
+
+      const acceleration = relative.multiplyScalar(this.currentDrag);
+      acceleration.y -= this.sinkAcceleration;
+
+      node.previous.copy(node.position);
+      node.position
+        .addScaledVector(velocity, dt)
+        .addScaledVector(acceleration, dt * dt);
+
+      // Cabo apoia no fundo
+      if (node.position.y < seabed) {
+        node.position.y = seabed;
+        node.previous.y = seabed;
+      }
+    }
+  }
+
+  // Restrições de corda: segmentos não passam do comprimento de repouso
+  solveConstraints() {
+    const rest = this.segmentLength;
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      for (let i = 0; i < this.segmentCount; i++) {
+        const a = this.nodes[i];
+        const b = this.nodes[i + 1];
+        const delta = b.position.clone().sub(a.position);
+        const distance = delta.length();
+        if (distance <= rest || distance === 0) continue;
+
+        const pinnedA = this.isPinned(i);
+        const pinnedB = this.isPinned(i + 1);
+        if (pinnedA && pinnedB) continue;
+
+        const correction = delta.multiplyScalar((distance - rest) / distance);
+        if (pinnedA) {
+          b.position.sub(correction);
+        } else if (pinnedB) {
+          a.position.add(correction);
+        } else {
+          a.position.addScaledVector(correction, 0.5);
+          b.position.addScaledVector(correction, -0.5);
+        }
+      }
+    }
+  }
+
+  /**
+   * Contato com estruturas do CollisionSystem: o nó que atravessaria a
+   * superfície fica preso no ponto de contato (enroscado)
+   */
+  resolveContacts() {
+    const collisionSystem = this.simulator.collisionSystem;
+    if (!collisionSystem) return;
+
+    for (let i = 1; i < this.segmentCount; i++) {
+      const node = this.nodes[i];
+      if (node.snagNormal) continue;
+
+      // Movimento do próprio nó neste passo
+      let hit = collisionSystem.intersectSegment(node.start, node.position);
+      let target = node;
+
+      // Segmento cortando a estrutura entre dois nós livres
+      if (!hit) {
+        const next = this.nodes[i + 1];
+        hit = collisionSystem.intersectSegment(node.position, next.position);
+        if (hit && !this.isPinned(i + 1)) {
+          const half = node.position.distanceTo(next.position) / 2;
+          if (hit.distance > half) target = next;
+        }
+      }
+      if (!hit) continue;
+
+      target.position
+        .copy(hit.point)
+        .addScaledVector(hit.normal, this.cableRadius);
+      target.previous.copy(target.position);
+      target.snagNormal = hit.normal.clone();
+    }
+  }
+
+  // Nó enroscado é liberado quando os vizinhos o puxam para fora da superfície
+  releaseSnags() {
+    for (let i = 1; i < this.segmentCount; i++) {
+      const node = this.nodes[i];
+      if (!node.snagNormal) continue;
+
+      const pull = this.nodes[i - 1].position
+        .clone()
+        .sub(node.position)
+        .normalize()
+        .add(
+          this.nodes[i + 1].position.clone().sub(node.position).normalize(),
+        );
+
+      if (pull.dot(node.snagNormal) > this.releaseThreshold) {
+        node.snagNormal = null;
+      }
+    }
+  }
+
+  /**
+   * Força no engate: tração (caminho esticado mais longo que o cabo
+   * lançado, na direção do último ponto fixo) mais a parcela do arrasto
+   * do cabo, que puxa o ROV mesmo com o cabo frouxo
+   *
+   * A tração usa o caminho esticado e não o comprimento dos segmentos: o
+   * resíduo das restrições com o ROV em alta velocidade geraria tração
+   * com o cabo ainda frouxo.
+   */
+  updateTension(dt) {
+    const stretch = Math.max(0, this.getTautLength() - this.deployed);
+
+    // Enroscar/soltar muda o caminho esticado de uma vez (sem amortecimento)
+    const snagged = this.snaggedCount;
+    const stretchRate =
+      snagged === this.lastSnaggedCount ? (stretch - this.stretch) / dt : 0;
+    this.stretch = stretch;
+    this.lastSnaggedCount = snagged;
+
+    this.tension =
+      stretch > 0
+        ? Math.max(
+            0,
+            stretch * this.stiffness + stretchRate * this.stiffnessDamping,
+          )
+        : 0;
+
+    const attach = this.nodes[this.segmentCount].position;
+    let anchor = this.segmentCount - 1;
+    while (anchor > 0 && !this.isPinned(anchor)) anchor--;
+
+    this.force
+      .copy(this.nodes[anchor].position)
+      .sub(attach)
+      .normalize()
+      .multiplyScalar(this.tension)
+      .addScaledVector(this.dragForce, 0.5);
+  }
+
+  // Comprimento máximo e tração excessiva
+  checkLimits(dt) {
+    const sim = this.simulator;
+    const atMax = this.deployed >= this.maxLength && this.tension > 0;
+    if (atMax && !this.wasAtMaxLength) {
+      sim.addEvent("warning", "⚠️ Umbilical no comprimento máximo");
+    }
+    this.wasAtMaxLength = atMax;
+
+    if (
+      this.tension > this.warningTension &&
+      sim.sessionTime - this.lastTensionWarning > 3
+    ) {
+      this.lastTensionWarning = sim.sessionTime;
+      sim.addEvent(
+        "warning",
+        `⚠️ Tração alta no umbilical: ${Math.round(this.tension)} N`,
+      );
+      if (sim.recorder) {
+        sim.recorder.markEvent("warning", "Tração alta no umbilical");
+      }
+    }
+
+    // Acima da tração de ruptura o engate sofre dano
+    if (this.tension > this.breakingTension) {
+      const overload = this.tension / this.breakingTension - 1;
+      sim.damage = Math.min(sim.maxDamage, sim.damage + overload * 20 * dt);
+      if (sim.damage >= sim.maxDamage) {
+        sim.failMission("Umbilical rompido");
+      }
+    }
+  }
+
+  reportSnags() {
+    const sim = this.simulator;
+    const snagged = this.snaggedCount > 0;
+    if (snagged === this.wasSnagged) return;
+
+    this.wasSnagged = snagged;
+    if (snagged) {
+      sim.addEvent("warning", "⚠️ Umbilical enroscado em estrutura");
+      if (sim.recorder) {
+        sim.recorder.markEvent("warning", "Umbilical enroscado");
+      }
+    } else {
+      sim.addEvent("success", "✓ Umbilical liberado");
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // VISUAL (apenas navegador)
+  // ═══════════════════════════════════════════════════════════════
+
+  createVisual(scene) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(new Float32Array(this.nodes.length * 3), 3),
+    );
+    const material = new THREE.LineBasicMaterial({ color: 0xffcc00 });
+
+    this.line = new THREE.Line(geometry, material);
+    this.line.frustumCulled = false;
+    scene.add(this.line);
+  }
+
+  /**
+   * Atualiza a linha do cabo (o último ponto segue o modelo interpolado)
+   * @param {THREE.Vector3} [attachPoint] - Engate na pose renderizada
+   */
+  updateVisual(attachPoint) {
+    if (!this.line) return;
+
+    const positions = this.line.geometry.attributes.position;
+    this.nodes.forEach((node, i) => {
+      const point =
+        i === this.segmentCount && attachPoint ? attachPoint : node.position;
+      positions.setXYZ(i, point.x, point.y, point.z);
+    });
+    positions.needsUpdate = true;
+
+    // Enroscado = vermelho, tração alta = laranja
+    const color =
+      this.snaggedCount > 0
+        ? 0xff3344
+        : this.tension > this.warningTension
+        ? 0xffaa00
+        : 0xffcc00;
+    this.line.material.color.setHex(color);
+  }
+}
+
+export default Tether;
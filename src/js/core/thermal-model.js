@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Modelo Térmico - temperatura da eletrônica e da água
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Não acessa DOM: roda igual no navegador e no modo headless
+//
+// A eletrônica (Raspberry Pi e drivers dos propulsores) esquenta com a
+// eletrônica embarcada e com as perdas dos drivers (fração da potência dos
+// propulsores) e troca calor com a água através do casco; a troca melhora
+// com a velocidade do ROV (convecção forçada).
+//
+// Água: camada de mistura na superfície, termoclina até a água fria do fundo
+// e uma camada aquecida junto ao fundo (equipamentos de produção e dutos
+// quentes). Perto dos equipamentos, subir resfria.
+//
+// scenarioConfig.waterTemperature (todos os campos opcionais):
+//   surface:     °C - camada de mistura
+//   deep:        °C - água profunda
+//   mixedLayer:  m  - espessura da camada de mistura
+//   thermocline: m  - escala da queda de temperatura abaixo dela
+//   seabedHeat:  °C - aquecimento junto ao fundo
+//   seabedLayer: m  - altura em que o aquecimento cai para ~37%
+
+const DEFAULT_WATER = {
+  surface: 24,
+  deep: 4,
+  mixedLayer: 30,
+  thermocline: 150,
+  seabedHeat: 20,
+  seabedLayer: 15,
+};
+
+export class ThermalModel {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    this.water = { ...DEFAULT_WATER };
+    this.temperature = 20; // Eletrônica (°C)
+    this.waterTemperature = 20; // Água no ROV (°C)
+
+    // Limite aplicado aos propulsores no próximo passo (0-1)
+    this.thrustLimit = 1;
+
+    // Fração da troca de calor disponível (falha de resfriamento reduz)
+    this.coolingFactor = 1;
+
+    this.overheated = false;
+    this.critical = false;
+  }
+
+  /**
+   * Lê a configuração do cenário e parte do equilíbrio com o ROV parado
+   */
+  init() {
+    const sim = this.simulator;
+    const profile = this.getProfile();
+
+    this.water = {
+      ...DEFAULT_WATER,
+      ...(sim.scenarioConfig.waterTemperature || {}),
+    };
+    this.waterTemperature = this.getWaterTemperature(sim.rov.position.y);
+    this.temperature =
+      this.waterTemperature +
+      sim.physics.getProfile().power.hotelLoad / profile.conductance;
+    this.thrustLimit = 1;
+    this.overheated = false;
+    this.critical = false;
+  }
+
+  getProfile() {
+    return this.simulator.physics.getProfile().thermal;
+  }
+
+  /**
+   * Temperatura da água em uma altura do mundo (y negativo = profundidade)
+   * @param {number} y
+   */
+  getWaterTemperature(y) {
+    const water = this.water;
+    const depth = Math.max(0, -y);
+    const altitude = Math.max(0, this.simulator.environment.seabedDepth + y);
+
+    const belowMixed = Math.max(0, depth - water.mixedLayer);
+    const ambient =
+      water.deep +
+      (water.surface - water.deep) * Math.exp(-belowMixed / water.thermocline);
+
+    return (
+      ambient + water.seabedHeat * Math.exp(-altitude / water.seabedLayer)
+    );
+  }
+
+  /**
+   * Aquece/resfria a eletrônica (depois do sistema de energia, que mede a
+   * potência dos propulsores no passo)
+   * @param {number} dt
+   */
+  update(dt) {
+    const sim = this.simulator;
+    const profile = this.getProfile();
+    const power = sim.physics.getProfile().power;
+
+    this.waterTemperature = this.getWaterTemperature(sim.rov.position.y);
+
+    const heat =
+      power.hotelLoad + sim.power.thrusterLoad * profile.driverLosses;
+
+    // Convecção forçada: a troca cresce com a velocidade em relação à água
+    const flow = sim.rov.velocity.distanceTo(sim.currentField.atROV);
+    const conductance =
+      profile.conductance *
+      (1 + profile.flowCooling * flow) *
+      this.coolingFactor;
+
+    this.temperature +=
+      ((heat - conductance * (this.temperature - this.waterTemperature)) *
+        dt) /
+      profile.heatCapacity;
+
+    this.updateThrustLimit(profile);
+    this.updateState(profile);
+  }
+
+  /**
+   * Acima da temperatura de alerta o empuxo cai linearmente até
+   * minThrottle na temperatura crítica
+   */
+  updateThrustLimit(profile) {
+    const { warningTemp, criticalTemp, minThrottle } = profile;
+    const t = (this.temperature - warningTemp) / (criticalTemp - warningTemp);
+    this.thrustLimit = 1 - (1 - minThrottle) * Math.max(0, Math.min(1, t));
+  }
+
+  // Transições (com histerese para não repetir os alertas)
+  updateState(profile) {
+    const sim = this.simulator;
+    const overheat = sim.eventTypes.find((type) => type.id === "overheat");
+
+    if (!this.overheated && this.temperature > profile.warningTemp) {
+      this.overheated = true;
+      const message = `${overheat.name}: ${overheat.desc}`;
+      sim.addEvent("warning", message);
+      if (sim.hud) sim.hud.showWarning(message);
+    } else if (
+      this.overheated &&
+      this.temperature < profile.warningTemp - profile.hysteresis
+    ) {
+      this.overheated = false;
+      sim.addEvent("success", "✓ Temperatura da eletrônica normalizada");
+    }
+
+    if (!this.critical && this.temperature > profile.criticalTemp) {
+      this.critical = true;
+      sim.addEvent(
+        "danger",
+        `🌡️ Eletrônica a ${Math.round(this.temperature)}°C - empuxo reduzido`,
+      );
+    } else if (
+      this.critical &&
+      this.temperature < profile.criticalTemp - profile.hysteresis
+    ) {
+      this.critical = false;
+    }
+  }
+}
+
+export default ThermalModel;
@@ -0,0 +1,236 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Alocação de Empuxo - comandos do piloto → oito propulsores
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { getVehicleProfile } from "../vehicles/vehicle-profiles.js";
+
+// Não acessa DOM nem renderização: roda igual no navegador e no modo headless
+//
+// Eixos do corpo: frente +X, cima +Y, direita (boreste) +Z. O vetor de
+// esforços generalizados segue a ordem de DOF_AXES.
+
+// Graus de liberdade do vetor de esforços (forças e momentos no corpo)
+export const DOF_AXES = ["surge", "sway", "heave", "roll", "yaw", "pitch"];
+
+// Ordem dos propulsores em rov.thrusters (ids do painel: thr-<id>)
+export const THRUSTER_IDS = [
+  "fp",
+  "fs",
+  "ap",
+  "as",
+  "vfp",
+  "vfs",
+  "vap",
+  "vas",
+];
+
+/**
+ * Arranjo vetorizado: quatro horizontais inclinados (surge, sway, yaw) e
+ * quatro verticais nos cantos (heave, roll, pitch)
+ * @param {object} thrusters - Perfil do veículo (thrusters)
+ * @param {number} thrusters.length - Distância longitudinal até o CG (m)
+ * @param {number} thrusters.width - Distância lateral até o CG (m)
+ * @param {number} thrusters.angle - Ângulo dos horizontais em relação ao eixo X (rad)
+ */
+function vectoredLayout({ length, width, angle }) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const up = [0, 1, 0];
+  const thruster = (id, group, position, direction) => ({
+    id,
+    group,
+    position,
+    direction,
+  });
+
+  return [
+    // Horizontais: empuxo positivo empurra para frente
+    thruster("fp", "horizontal", [length, 0, -width], [c, 0, s]),
+    thruster("fs", "horizontal", [length, 0, width], [c, 0, -s]),
+    thruster("ap", "horizontal", [-length, 0, -width], [c, 0, -s]),
+    thruster("as", "horizontal", [-length, 0, width], [c, 0, s]),
+
+    // Verticais: empuxo positivo empurra para cima
+    thruster("vfp", "vertical", [length, 0, -width], up),
+    thruster("vfs", "vertical", [length, 0, width], up),
+    thruster("vap", "vertical", [-length, 0, -width], up),
+    thruster("vas", "vertical", [-length, 0, width], up),
+  ];
+}
+
+/**
+ * Coluna da matriz de alocação: força e momento (r × d) de um propulsor
+ * a 100% no referencial do corpo, na ordem de DOF_AXES
+ */
+function thrusterColumn({ position: [rx, ry, rz], direction: [dx, dy, dz] }) {
+  return [
+    dx, // surge (x)
+    dz, // sway (z)
+    dy, // heave (y)
+    ry * dz - rz * dy, // roll (x)
+    rz * dx - rx * dz, // yaw (y)
+    rx * dy - ry * dx, // pitch (z)
+  ];
+}
+
+// Inversa de uma matriz quadrada (Gauss-Jordan com pivotamento parcial)
+function invert(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [
+    ...row,
+    ...row.map((_, j) => (i === j ? 1 : 0)),
+  ]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      throw new Error("Matriz de alocação sem posto completo");
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const factor = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= factor;
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const k = a[row][col];
+      if (k === 0) continue;
+      for (let j = 0; j < 2 * n; j++) a[row][j] -= k * a[col][j];
+    }
+  }
+
+  return a.map((row) => row.slice(n));
+}
+
+/**
+ * Matriz de alocação B (6 × N), pseudoinversa B⁺ = Bᵀ(BBᵀ)⁻¹ e o esforço
+ * máximo de cada eixo (todos os propulsores somando no mesmo sentido)
+ * @param {object} thrusters - Perfil do veículo (thrusters)
+ */
+function buildAllocation(thrusters) {
+  const layout = vectoredLayout(thrusters);
+  if (layout.length !== thrusters.count) {
+    throw new Error(
+      `Arranjo vetorizado tem ${layout.length} propulsores (perfil: ${thrusters.count})`,
+    );
+  }
+
+  const columns = layout.map(thrusterColumn);
+  const rows = DOF_AXES.length;
+  const B = DOF_AXES.map((_, k) => columns.map((column) => column[k]));
+
+  const BBt = B.map((rowA) =>
+    B.map((rowB) => rowA.reduce((sum, value, i) => sum + value * rowB[i], 0)),
+  );
+  const inverse = invert(BBt);
+
+  // B⁺[i][k] = Σ_j B[j][i] · inv[j][k]
+  const pseudoInverse = layout.map((_, i) =>
+    DOF_AXES.map((__, k) => {
+      let sum = 0;
+      for (let j = 0; j < rows; j++) sum += B[j][i] * inverse[j][k];
+      return sum;
+    }),
+  );
+
+  const maxWrench = B.map((row) =>
+    row.reduce((sum, value) => sum + Math.abs(value), 0),
+  );
+
+  const groups = {};
+  layout.forEach((thruster, i) => {
+    (groups[thruster.group] = groups[thruster.group] || []).push(i);
+  });
+
+  return {
+    layout,
+    B,
+    pseudoInverse,
+    maxWrench,
+    groups,
+    maxThrust: thrusters.maxThrust,
+  };
+}
+
+export class ThrusterAllocation {
+  constructor(simulator) {
+    this.simulator = simulator;
+
+    // Alocações já calculadas por modelo de ROV
+    this.cache = {};
+  }
+
+  // Alocação do modelo atual (o modelo pode mudar durante a sessão)
+  getAllocation() {
+    const model = this.simulator.currentROVModel;
+    if (!this.cache[model]) {
+      this.cache[model] = buildAllocation(getVehicleProfile(model).thrusters);
+    }
+    return this.cache[model];
+  }
+
+  /**
+   * Distribui os comandos do piloto entre os propulsores
+   *
+   * Cada eixo de sim.input (-1..1) pede uma fração do esforço máximo do eixo;
+   * a pseudoinversa dá o comando de menor norma para cada propulsor. Se algum
+   * propulsor passar de 100%, o grupo inteiro é reduzido na mesma proporção,
+   * preservando a direção do esforço pedido (cortar só o propulsor saturado
+   * geraria forças e momentos que o piloto não comandou).
+   *
+   * Escreve os comandos em rov.thrusters (-1..1, negativo = reverso).
+   * @returns {object} Esforço produzido por eixo no corpo (N e N·m)
+   */
+  update() {
+    const sim = this.simulator;
+    const input = sim.input;
+    const { B, pseudoInverse, maxWrench, groups, maxThrust } =
+      this.getAllocation();
+
+    const demand = DOF_AXES.map(
+      (axis, k) => Math.max(-1, Math.min(1, input[axis] || 0)) * maxWrench[k],
+    );
+
+    const commands = pseudoInverse.map((row) =>
+      row.reduce((sum, value, k) => sum + value * demand[k], 0),
+    );
+
+    // Saturação por grupo (horizontais e verticais atuam em eixos distintos)
+    // no limite de empuxo da bateria (modo de emergência e queda de tensão)
+    // e da temperatura da eletrônica
+    const limit = Math.min(
+      sim.power ? sim.power.thrustLimit : 1,
+      sim.thermal ? sim.thermal.thrustLimit : 1,
+    );
+    Object.values(groups).forEach((indices) => {
+      const peak = Math.max(...indices.map((i) => Math.abs(commands[i])));
+      if (peak > limit) {
+        indices.forEach((i) => {
+          commands[i] *= limit / peak;
+        });
+      }
+    });
+
+    // Propulsor em falha não responde (o esforço fica desbalanceado)
+    sim.rov.thrusters = commands.map((value, i) =>
+      Math.abs(value) < 1e-6 || (sim.faults && sim.faults.isThrusterFailed(i))
+        ? 0
+        : value,
+    );
+
+    // Esforço realmente produzido: B · u · empuxo máximo
+    const wrench = {};
+    DOF_AXES.forEach((axis, k) => {
+      wrench[axis] =
+        B[k].reduce((sum, value, i) => sum + value * sim.rov.thrusters[i], 0) *
+        maxThrust;
+    });
+    return wrench;
+  }
+}
+
+export default ThrusterAllocation;
@@ -1,3 +1,5 @@
+import { THRUSTER_IDS } from "./thruster-allocation.js";
+
 export class UpdateHUD {
     constructor(simulator) {
         this.simulator = simulator;
@@ -44,6 +46,60 @@ export class UpdateHUD {
         )}<span class="unit">kn</span>`;
         if (telemSpd) telemSpd.textContent = speedKnots.toFixed(2);
 
+        // Corrente no ROV (velocidade e rumo para onde a água corre)
+        const current = this.simulator.currentField.atROV;
+        const telemCur = document.getElementById("telem-cur");
+        const telemCurDir = document.getElementById("telem-cur-dir");
+        if (telemCur) {
+        telemCur.textContent = (current.length() * 1.94384).toFixed(2);
+        }
+        if (telemCurDir) {
+        const currentDir =
+            (((Math.atan2(-current.z, current.x) * 180) / Math.PI) + 360) % 360;
+        telemCurDir.textContent = (Math.round(currentDir) % 360)
+            .toString()
+            .padStart(3, "0");
+        }
+
+        // Bateria: carga, tensão sob carga e consumo
+        const power = this.simulator.power;
+        const telemBattery = document.getElementById("telem-battery");
+        const telemVoltage = document.getElementById("telem-voltage");
+        const telemPower = document.getElementById("telem-power");
+        if (telemBattery) {
+        const battery = power.getPercent();
+        telemBattery.textContent = battery.toFixed(0);
+        telemBattery.className =
+            power.limpMode || battery < 20
+            ? "telem-value danger"
+            : battery < 50
+            ? "telem-value warning"
+            : "telem-value";
+        }
+        if (telemVoltage) {
+        telemVoltage.textContent = power.voltage.toFixed(1);
+        telemVoltage.className =
+            "telem-value" + (power.thrustLimit < 1 ? " warning" : "");
+        }
+        if (telemPower) telemPower.textContent = Math.round(power.load);
+
+        // Temperatura da eletrônica e da água no ROV
+        const thermal = this.simulator.thermal;
+        const telemTemp = document.getElementById("telem-temp");
+        const telemWaterTemp = document.getElementById("telem-water-temp");
+        if (telemTemp) {
+        telemTemp.textContent = thermal.temperature.toFixed(1);
+        telemTemp.className =
+            thermal.critical
+            ? "telem-value danger"
+            : thermal.overheated
+            ? "telem-value warning"
+            : "telem-value";
+        }
+        if (telemWaterTemp) {
+        telemWaterTemp.textContent = thermal.waterTemperature.toFixed(1);
+        }
+
         // Atualizar posição
         const posX = document.getElementById("pos-x");
         const posY = document.getElementById("pos-y");
@@ -52,23 +108,35 @@ export class UpdateHUD {
         if (posY) posY.textContent = `${this.simulator.rov.position.y.toFixed(2)} m`;
         if (posZ) posZ.textContent = `${this.simulator.rov.position.z.toFixed(2)} m`;
 
-        // Atualizar pitch/roll indicators
+        // Atualizar pitch/roll indicators (atitude real do veículo)
+        const attitude = this.simulator.physics.getAttitude();
+        const pitchDeg = (attitude.pitch * 180) / Math.PI;
+        const rollDeg = (attitude.roll * 180) / Math.PI;
         const pitchEl = document.getElementById("pitch-indicator");
         const rollEl = document.getElementById("roll-indicator");
-        if (pitchEl)
-        pitchEl.textContent = `P: ${(
-            ((this.simulator.cameraPitch || 0) * 180) /
-            Math.PI
-        ).toFixed(1)}°`;
-        if (rollEl) rollEl.textContent = `R: 0.0°`;
-
-        // Atualizar horizon
+        if (pitchEl) pitchEl.textContent = `P: ${pitchDeg.toFixed(1)}°`;
+        if (rollEl) rollEl.textContent = `R: ${rollDeg.toFixed(1)}°`;
+
+        // Atualizar horizon (o horizonte gira ao contrário do roll)
         const horizonSky = document.getElementById("horizon-sky");
         if (horizonSky) {
-        const pitchDeg = ((this.simulator.cameraPitch || 0) * 180) / Math.PI;
-        horizonSky.style.transform = `translateY(${pitchDeg * 2}px)`;
+        horizonSky.style.transform = `translateY(${pitchDeg * 2}px) rotate(${-rollDeg}deg)`;
         }
 
+        // Atualizar propulsores (comando real de cada um, laranja = reverso)
+        this.simulator.rov.thrusters.forEach((thrust, i) => {
+        const el = document.getElementById(`thr-${THRUSTER_IDS[i]}`);
+        if (!el) return;
+        const percent = Math.round(Math.abs(thrust) * 100);
+        el.style.setProperty("--thrust", `${percent}%`);
+        el.classList.toggle("reverse", thrust < 0);
+        el.classList.toggle(
+            "failed",
+            !!this.simulator.faults && this.simulator.faults.isThrusterFailed(i),
+        );
+        el.querySelector(".thruster-value").textContent = `${percent}%`;
+        });
+
         // Atualizar score
         const scoreEl = document.getElementById("score-value");
         if (scoreEl) scoreEl.textContent = this.simulator.score;
@@ -94,5 +162,66 @@ export class UpdateHUD {
         if (speedStatusEl) {
         speedStatusEl.textContent = `${Math.round(this.simulator.speedMultiplier * 100)}%`;
         }
+
+        // Umbilical: comprimento lançado e tração no engate
+        const tether = this.simulator.tether;
+        const tetherEl = document.getElementById("status-tether");
+        const tensionEl = document.getElementById("status-tether-tension");
+        if (tether && tetherEl) {
+        tetherEl.textContent = `${Math.round(tether.deployed)}m`;
+        tetherEl.className =
+            "status-value" + (tether.snaggedCount > 0 ? " danger" : "");
+        }
+        if (tether && tensionEl) {
+        tensionEl.textContent = `${Math.round(tether.tension)}N`;
+        tensionEl.className =
+            "status-value" +
+            (tether.tension > tether.breakingTension
+            ? " danger"
+            : tether.tension > tether.warningTension
+            ? " warning"
+            : "");
+        }
+
+        // Lastro: flutuabilidade líquida (kg, + sobe) e nível do tanque
+        const ballast = this.simulator.ballast;
+        const ballastEl = document.getElementById("status-ballast");
+        if (ballast && ballastEl) {
+        const net = ballast.getNetBuoyancyKg();
+        ballastEl.textContent = `${net >= 0 ? "+" : ""}${net.toFixed(1)}kg`;
+        ballastEl.title = `Tanque: ${Math.round(ballast.fill * 100)}%`;
+        }
+
+        this.updateFaultWarning();
+    }
+
+    // Falha ativa: aviso fixo com a contagem até o prazo de manutenção
+    updateFaultWarning() {
+        const faults = this.simulator.faults;
+        const panel = document.getElementById("warning-panel");
+        if (!faults || !panel) return;
+
+        let warning = document.getElementById("fault-warning");
+        const fault = faults.active;
+        if (!fault) {
+        if (warning) warning.remove();
+        return;
+        }
+
+        if (!warning) {
+        warning = document.createElement("div");
+        warning.id = "fault-warning";
+        warning.className = "warning-item";
+        panel.prepend(warning);
+        }
+        const zone = this.simulator.randomEvents.maintenanceZone;
+        const position = this.simulator.rov.position;
+        const distance = Math.hypot(
+            zone.x - position.x,
+            zone.y - position.y,
+            zone.z - position.z,
+        );
+        const remaining = Math.ceil(faults.getRemainingTime());
+        warning.textContent = `${fault.name} - ${remaining}s - zona de manutenção a ${Math.round(distance)}m`;
     }
 }
\ No newline at end of file
@@ -7,6 +7,9 @@ export class EnvironmentFactory {
   constructor(simulator) {
     this.simulator = simulator;
     this.scene = simulator.scene;
+
+    // Fluxo "world" da semente da sessão (ambiente reproduzível)
+    this.random = simulator.rng.world;
   }
 
   create() {
@@ -74,7 +77,7 @@ export class EnvironmentFactory {
     const positions = seabedGeometry.attributes.position;
     for (let i = 0; i < positions.count; i++) {
       const z = positions.getZ(i);
-      positions.setZ(i, z + Math.random() * 2 - 1);
+      positions.setZ(i, z + this.random.next() * 2 - 1);
     }
     seabedGeometry.computeVertexNormals();
 
@@ -106,14 +109,14 @@ export class EnvironmentFactory {
 
   createRocks(seabedDepth) {
     for (let i = 0; i < 20; i++) {
-      const rockSize = 1 + Math.random() * 2;
+      const rockSize = 1 + this.random.next() * 2;
       let rockX, rockZ;
       let validPosition = false;
       let attempts = 0;
 
       while (!validPosition && attempts < 20) {
-        rockX = Math.random() * 200 - 100;
-        rockZ = Math.random() * 200 - 100;
+        rockX = this.random.next() * 200 - 100;
+        rockZ = this.random.next() * 200 - 100;
         validPosition = this.isPositionSafe(
           rockX,
           -seabedDepth,
@@ -131,8 +134,8 @@ export class EnvironmentFactory {
         roughness: 1,
       });
       const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-      rock.position.set(rockX, -seabedDepth + Math.random() * 2, rockZ);
-      rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+      rock.position.set(rockX, -seabedDepth + this.random.next() * 2, rockZ);
+      rock.rotation.set(this.random.next() * Math.PI, this.random.next() * Math.PI, 0);
       rock.scale.y = 0.5;
       this.scene.add(rock);
 
@@ -181,9 +184,9 @@ export class EnvironmentFactory {
     const seabedDepth = this.simulator.environment.seabedDepth;
 
     for (let i = 0; i < particleCount; i++) {
-      positions[i * 3] = Math.random() * 150 - 75;
-      positions[i * 3 + 1] = -Math.random() * seabedDepth;
-      positions[i * 3 + 2] = Math.random() * 150 - 75;
+      positions[i * 3] = this.random.next() * 150 - 75;
+      positions[i * 3 + 1] = -this.random.next() * seabedDepth;
+      positions[i * 3 + 2] = this.random.next() * 150 - 75;
     }
 
     geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
@@ -208,7 +211,7 @@ export class EnvironmentFactory {
 
     for (let i = 0; i < 30; i++) {
       const geometry = new THREE.SphereGeometry(
-        0.05 + Math.random() * 0.1,
+        0.05 + this.random.next() * 0.1,
         8,
         8
       );
@@ -219,11 +222,11 @@ export class EnvironmentFactory {
       });
       const bubble = new THREE.Mesh(geometry, material);
       bubble.position.set(
-        Math.random() * 100 - 50,
-        -seabedDepth + Math.random() * seabedDepth,
-        Math.random() * 100 - 50
+        this.random.next() * 100 - 50,
+        -seabedDepth + this.random.next() * seabedDepth,
+        this.random.next() * 100 - 50
       );
-      bubble.userData.speed = 0.02 + Math.random() * 0.03;
+      bubble.userData.speed = 0.02 + this.random.next() * 0.03;
       this.scene.add(bubble);
       this.simulator.bubbles.push(bubble);
     }
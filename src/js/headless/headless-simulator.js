@@ -0,0 +1,165 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Simulador Headless - mesma simulação do navegador, sem DOM nem renderização
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { ROVSimulator } from "../core/ROVSimulator.js";
+import { SessionReporter } from "../core/session-reporter.js";
+import { CollisionSystem } from "../core/CollisionSystem.js";
+
+// Tempo máximo de simulação quando não informado (segundos)
+const DEFAULT_MAX_TIME = 600;
+
+/**
+ * Roda a sessão em passos fixos o mais rápido possível (sem requestAnimationFrame)
+ *
+ * Física, colisões com o circuito e objetivos são os mesmos do ROVSimulator;
+ * apenas a entrada vem de um "piloto" (gravação ou roteiro) em vez do teclado.
+ * Modelos 3D do cenário não são carregados fora do navegador; o
+ * CollisionSystem recebe apenas as estruturas geradas (pilares), que
+ * também enroscam o umbilical. Por isso cenários com modelo não têm
+ * veredito (ver assess()).
+ */
+export class HeadlessSimulator extends ROVSimulator {
+  /**
+   * @param {object} options - Mesmas opções do ROVSimulator
+   * @param {object} options.pilot - Objeto com update(sim) e isFinished(sim)
+   */
+  constructor(options) {
+    super(options);
+    this.pilot = options.pilot;
+    this.outcome = null;
+  }
+
+  // Mundo gerado com a mesma semente e na mesma ordem do navegador
+  init() {
+    this.eventLog = [];
+    this.scene = new THREE.Scene();
+    this.collisionSystem = new CollisionSystem(this.scene, null);
+    this.createEnvironment();
+
+    // No navegador o render atualiza as matrizes; aqui os obstáculos são estáticos
+    this.scene.updateMatrixWorld(true);
+  }
+
+  // Marcadores numerados usam canvas 2D (apenas visuais)
+  createCheckpointMarkers() {}
+
+  updateInput() {
+    this.pilot.update(this);
+  }
+
+  addEvent(type, message) {
+    this.eventLog.push({
+      t: Math.round(this.sessionTime * 100) / 100,
+      type,
+      message,
+    });
+  }
+
+  endSession(outcome) {
+    this.missionEnded = true;
+    this.isRunning = false;
+    this.outcome = outcome;
+  }
+
+  /**
+   * Executa a sessão até a missão terminar, o piloto parar ou o tempo acabar
+   * @param {object} [options]
+   * @param {number} [options.maxTime] - Limite de tempo simulado (s)
+   * @returns {object} Resultado (ver getResult)
+   */
+  run({ maxTime = DEFAULT_MAX_TIME } = {}) {
+    this.isRunning = true;
+
+    // O piloto é consultado depois do passo: objetivos "auto" completam no primeiro
+    while (this.isRunning && this.sessionTime < maxTime) {
+      this.step(this.fixedTimeStep);
+      if (this.pilot.isFinished(this)) break;
+    }
+
+    return this.getResult();
+  }
+
+  /**
+   * Problemas do próprio cenário: o resultado não diz nada sobre o piloto
+   * @returns {string[]}
+   */
+  scenarioProblems() {
+    const problems = [];
+    if (this.objectives.length === 0) {
+      problems.push(
+        "cenário sem objetivos (a missão não tem como terminar)",
+      );
+    }
+    return problems;
+  }
+
+  /**
+   * O que a simulação headless não reproduz do navegador
+   * @returns {string[]}
+   */
+  limitations() {
+    const { modelPath } = this.scenarioConfig;
+    const limitations = [];
+    if (modelPath) {
+      limitations.push(
+        `modelo 3D sem colisões fora do navegador (${modelPath})`,
+      );
+    }
+    return limitations;
+  }
+
+  /**
+   * Veredito da sessão: "scenario_error" quando o cenário tem problemas,
+   * "inconclusive" quando o headless não reproduz o cenário (dano e
+   * resultado podem ser outros no navegador) e, fora isso, o veredito do
+   * piloto (pilot.assess)
+   * @returns {{verdict: string, limitations: string[],
+   *   scenarioProblems: string[]}}
+   */
+  assess(outcome) {
+    const scenarioProblems = this.scenarioProblems();
+    const limitations = this.limitations();
+    const check = this.pilot.assess(this, outcome);
+
+    let verdict = check.verdict;
+    if (scenarioProblems.length > 0) verdict = "scenario_error";
+    else if (limitations.length > 0) verdict = "inconclusive";
+    return {
+      verdict,
+      limitations: [...limitations, ...check.limitations],
+      scenarioProblems,
+    };
+  }
+
+  /**
+   * Resultado no mesmo formato enviado para /api/v1/sessions, mais detalhes
+   * dos objetivos e o log de eventos
+   */
+  getResult() {
+    // Sessão interrompida antes de concluir ou falhar
+    const outcome = this.outcome || "incomplete";
+    const record = new SessionReporter(this).buildRecord(outcome);
+
+    return {
+      ...record,
+      ticks: this.simulationTick,
+      objectives: this.objectives.map((obj) => ({
+        id: obj.id,
+        name: obj.name,
+        type: obj.type,
+        points: obj.points,
+        completed: obj.completed,
+        state: this.objectiveSystem.getState(obj),
+      })),
+      finalPosition: this.rov.position.toArray().map(
+        (value) => Math.round(value * 100) / 100,
+      ),
+      photos: this.photoCapture.summary(),
+      events: this.eventLog,
+    };
+  }
+}
+
+export default HeadlessSimulator;
@@ -0,0 +1,458 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Pilotos do modo headless - fonte dos comandos a cada passo da simulação
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NO_INPUT = {
+  surge: 0,
+  sway: 0,
+  heave: 0,
+  yaw: 0,
+  pitch: 0,
+  roll: 0,
+  winch: 0,
+  ballast: 0,
+};
+
+// Divergência aceita entre o replay e o último quadro gravado (m)
+const REPLAY_TOLERANCE = 0.01;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function toVector({ x, y, z }) {
+  return new THREE.Vector3(x, y, z);
+}
+
+/**
+ * Reproduz os comandos de uma gravação (SessionRecorder.toJSON())
+ *
+ * Cada quadro gravado guarda a entrada aplicada no passo que terminou em
+ * frame.t; com a mesma semente, o passo headless recebe exatamente a
+ * mesma entrada que a sessão original.
+ */
+export class RecordingPilot {
+  /**
+   * @param {object} recording - JSON exportado pela linha do tempo
+   */
+  constructor(recording) {
+    this.frames = recording.frames || [];
+    this.index = 0;
+
+    // Intervenções do instrutor; a pausa não muda a simulação (e aqui
+    // travaria o laço)
+    this.interventions = (recording.interventions || []).filter(
+      (intervention) => intervention.command.action !== "pause",
+    );
+    this.interventionIndex = 0;
+
+    // Passos sem quadro gravado (gravação pausada durante a sessão)
+    this.missingFrames = 0;
+  }
+
+  get endTime() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+  }
+
+  update(sim) {
+    const tolerance = sim.fixedTimeStep / 2;
+    const stepEnd = sim.sessionTime + sim.fixedTimeStep;
+
+    // Aplicadas entre passos no navegador: antes do passo que começa em t
+    while (
+      this.interventionIndex < this.interventions.length &&
+      this.interventions[this.interventionIndex].t < sim.sessionTime + tolerance
+    ) {
+      const { command } = this.interventions[this.interventionIndex++];
+      sim.instructor.apply(command);
+    }
+
+    while (
+      this.index < this.frames.length &&
+      this.frames[this.index].t < stepEnd - tolerance
+    ) {
+      this.index++;
+    }
+
+    const frame = this.frames[this.index];
+    if (!frame || Math.abs(frame.t - stepEnd) > tolerance) {
+      this.missingFrames++;
+      sim.input = { ...NO_INPUT };
+      return;
+    }
+
+    sim.input = { ...NO_INPUT, ...frame.input };
+    sim.isArmed = frame.armed;
+    sim.speedMultiplier = frame.speedMultiplier;
+    sim.cameraPitch = frame.cameraPitch || 0;
+    sim.activeCamera = frame.camera || sim.activeCamera;
+    sim.photoRequested = Boolean(frame.photo);
+    // Gravações da versão 1 não têm as luzes: mantém o estado inicial
+    if (typeof frame.lightsOn === "boolean") sim.lightsOn = frame.lightsOn;
+    if (typeof frame.lightPower === "number") {
+      sim.lightPower = frame.lightPower;
+    }
+  }
+
+  isFinished(sim) {
+    return sim.sessionTime >= this.endTime - sim.fixedTimeStep / 2;
+  }
+
+  /**
+   * Compara o estado final com o último quadro gravado
+   * @returns {object} Divergência de posição (m), dano e pontuação
+   */
+  compare(sim) {
+    const last = this.frames[this.frames.length - 1];
+    if (!last) return null;
+
+    const [x, y, z] = last.position;
+    const position = sim.rov.position;
+    const error = Math.hypot(position.x - x, position.y - y, position.z - z);
+    return {
+      frames: this.frames.length,
+      missingFrames: this.missingFrames,
+      positionError: Math.round(error * 1000) / 1000,
+      recordedScore: last.score,
+      recordedDamage: Math.round(last.damage * 10) / 10,
+    };
+  }
+
+  /**
+   * Veredito da reavaliação: "reproduced" (mesmo estado final da gravação)
+   * ou "inconclusive" quando faltam quadros ou o replay divergiu
+   * @returns {{verdict: string, limitations: string[]}}
+   */
+  assess(sim) {
+    const limitations = [];
+    if (this.missingFrames > 0) {
+      limitations.push(
+        `${this.missingFrames} passo(s) sem quadro gravado (gravação pausada)`,
+      );
+    }
+    const comparison = this.compare(sim);
+    if (comparison && comparison.positionError > REPLAY_TOLERANCE) {
+      limitations.push(
+        `posição final a ${comparison.positionError} m da gravada`,
+      );
+    }
+    const verdict = limitations.length > 0 ? "inconclusive" : "reproduced";
+    return { verdict, limitations };
+  }
+}
+
+/**
+ * Piloto automático simples: voa em linha reta até o alvo de cada objetivo
+ * pendente, na ordem do cenário (no circuito, pelo eixo do túnel). Serve
+ * para verificar se um cenário pode ser concluído; não desvia de
+ * obstáculos, e cenários com obstáculos no caminho ficam sem veredito
+ * (ver assess()).
+ */
+export class WaypointPilot {
+  constructor() {
+    // Ganhos do controlador proporcional
+    this.yawGain = 2.0;
+    this.yawDamping = 0.8;
+    this.heaveGain = 0.5;
+    this.ballastGain = 2; // Comando das bombas por kg fora do neutro
+    this.approachDistance = 15; // Começa a reduzir a velocidade (m)
+
+    // Pontos do eixo do túnel à frente do ROV (200 pontos no circuito)
+    this.tunnelLookahead = 3;
+
+    // Propulsor em falha: só avança bem aproado, sway contra a deriva
+    this.degradedAlignment = Math.PI / 12; // rad
+    this.swayGain = 0.2;
+
+    // Manter posição (objetivos "hold"): PD na posição, eixos do corpo
+    this.holdGain = 0.15;
+    this.holdDamping = 0.3;
+
+    // Objetivos "photo": parado e apontado antes de fotografar
+    this.photoAlignment = 0.05; // rad
+    this.photoMaxSpeed = 0.3; // m/s
+    this.photoInterval = 1; // s entre fotos
+    this.lastPhotoTime = -Infinity;
+  }
+
+  // Objetivos pendentes que exigem o veículo trimado
+  needsTrim(sim) {
+    return sim.objectives.some(
+      (o) =>
+        !o.completed && !o.skipped && (o.type === "trim" || o.requireNeutral),
+    );
+  }
+
+  nextTarget(sim) {
+    // Falha ativa: vai para a zona de manutenção antes do prazo
+    if (sim.faults && sim.faults.active) {
+      return sim.randomEvents.maintenanceZone;
+    }
+
+    const objective = this.nextObjective(sim);
+    if (!objective) return null;
+
+    return sim.tunnelPath && sim.tunnelPath.length > 0
+      ? this.followTunnel(sim, objective.target)
+      : objective.target;
+  }
+
+  /**
+   * Circuito em túnel (training_arena): segue o eixo do túnel alguns pontos
+   * à frente, sem passar do ponto mais próximo do alvo
+   */
+  followTunnel(sim, target) {
+    const path = sim.tunnelPath;
+    const closestIndex = (point) => {
+      let best = 0;
+      for (let i = 1; i < path.length; i++) {
+        if (path[i].distanceTo(point) < path[best].distanceTo(point)) best = i;
+      }
+      return best;
+    };
+
+    const current = closestIndex(sim.rov.position);
+    const goal = closestIndex(toVector(target));
+    if (current >= goal) return target;
+    return path[Math.min(current + this.tunnelLookahead, goal)];
+  }
+
+  // Primeiro objetivo liberado com alvo (zonas proibidas não são destino)
+  nextObjective(sim) {
+    return (
+      sim.objectives.find(
+        (o) =>
+          o.target &&
+          o.type !== "avoid" &&
+          sim.objectiveSystem.getState(o) === "active",
+      ) || null
+    );
+  }
+
+  update(sim) {
+    const target = this.nextTarget(sim);
+    sim.cameraPitch = 0;
+
+    if (!target) {
+      sim.input = { ...NO_INPUT };
+      return;
+    }
+
+    const objective = this.nextObjective(sim);
+    if (objective && target === objective.target) {
+      // Chegou a um objetivo "hold": para sobre o alvo no rumo pedido
+      if (
+        objective.type === "hold" &&
+        sim.rov.position.distanceTo(toVector(target)) < (objective.radius || 5)
+      ) {
+        this.holdStation(sim, objective);
+        return;
+      }
+
+      if (objective.type === "photo") {
+        this.photograph(sim, objective);
+        return;
+      }
+    }
+
+    this.flyTo(sim, target);
+  }
+
+  // Linha reta até o alvo: aproa, avança e corrige a profundidade
+  flyTo(sim, target) {
+    const position = sim.rov.position;
+    const dx = target.x - position.x;
+    const dy = target.y - position.y;
+    const dz = target.z - position.z;
+    const horizontal = Math.hypot(dx, dz);
+
+    // Frente do ROV = (cos(yaw), 0, -sin(yaw))
+    const desiredYaw = Math.atan2(-dz, dx);
+    let yawError = desiredYaw - sim.rov.rotation.y;
+    yawError = Math.atan2(Math.sin(yawError), Math.cos(yawError));
+
+    const yaw = clamp(
+      yawError * this.yawGain - sim.rov.angularVelocity.y * this.yawDamping,
+      -1,
+      1,
+    );
+
+    // Só avança quando estiver apontado para o alvo. Com um propulsor
+    // desligado o avanço gira o ROV: aproa mais justo e corrige a deriva
+    // lateral com sway (eixo z do corpo = (sin(yaw), 0, cos(yaw)))
+    const degraded = sim.faults && sim.faults.failedThruster !== null;
+    const maxYawError = degraded ? this.degradedAlignment : Math.PI / 4;
+    const alignment = Math.max(0, Math.cos(yawError));
+    const surge =
+      Math.abs(yawError) < maxYawError
+        ? clamp(horizontal / this.approachDistance, 0.15, 1) * alignment
+        : 0;
+    const heading = sim.rov.rotation.y;
+    const lateral = dx * Math.sin(heading) + dz * Math.cos(heading);
+    const sway = degraded ? clamp(lateral * this.swayGain, -1, 1) : 0;
+
+    const ballast = this.needsTrim(sim)
+      ? clamp(-sim.ballast.getNetBuoyancyKg() * this.ballastGain, -1, 1)
+      : 0;
+
+    sim.input = {
+      ...NO_INPUT,
+      surge,
+      sway,
+      yaw,
+      heave: clamp(dy * this.heaveGain, -1, 1),
+      ballast,
+      winch: this.winchCommand(sim),
+    };
+  }
+
+  /**
+   * Guincho manual: faz o papel do TMS automático (solta cabo com pouca
+   * folga ou tração, recolhe o excesso)
+   */
+  winchCommand(sim) {
+    const tether = sim.tether;
+    if (!tether || tether.winchMode !== "manual") return 0;
+
+    const slack = tether.deployed - tether.getTautLength();
+    if (
+      slack < tether.autoMinSlack ||
+      tether.tension > tether.autoPayoutTension
+    ) {
+      return 1;
+    }
+    return slack > tether.autoMaxSlack ? -1 : 0;
+  }
+
+  /**
+   * Objetivo "photo": vai até um ponto a meio raio do alvo, do lado da face
+   * documentada (ou de onde o ROV vem), para de frente para ele e fotografa
+   */
+  photograph(sim, objective) {
+    const { position, velocity } = sim.rov;
+    const target = toVector(objective.target);
+
+    const side = objective.normal
+      ? toVector(objective.normal)
+      : position.clone().sub(target);
+    side.y = 0;
+    if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+    const viewpoint = target
+      .clone()
+      .add(side.normalize().multiplyScalar((objective.radius || 5) / 2));
+
+    if (position.distanceTo(viewpoint) > 1) {
+      this.flyTo(sim, viewpoint);
+      return;
+    }
+
+    const desiredYaw = Math.atan2(
+      -(target.z - position.z),
+      target.x - position.x,
+    );
+    this.holdStation(sim, {
+      target: viewpoint,
+      heading: ((((desiredYaw * 180) / Math.PI) % 360) + 360) % 360,
+    });
+
+    let yawError = desiredYaw - sim.rov.rotation.y;
+    yawError = Math.atan2(Math.sin(yawError), Math.cos(yawError));
+    if (
+      Math.abs(yawError) < this.photoAlignment &&
+      velocity.length() < this.photoMaxSpeed &&
+      sim.sessionTime - this.lastPhotoTime >= this.photoInterval
+    ) {
+      sim.photoRequested = true;
+      this.lastPhotoTime = sim.sessionTime;
+    }
+  }
+
+  holdStation(sim, objective) {
+    const { position, velocity, rotation } = sim.rov;
+    const target = objective.target;
+    const heading = rotation.y;
+
+    // Eixos do corpo no mundo: frente (cos, 0, -sin), boreste (sin, 0, cos)
+    const forward = new THREE.Vector3(
+      Math.cos(heading),
+      0,
+      -Math.sin(heading),
+    );
+    const starboard = new THREE.Vector3(
+      Math.sin(heading),
+      0,
+      Math.cos(heading),
+    );
+    const error = toVector(target).sub(position);
+
+    const control = (axis) =>
+      clamp(
+        error.dot(axis) * this.holdGain - velocity.dot(axis) * this.holdDamping,
+        -1,
+        1,
+      );
+
+    let yawError =
+      objective.heading === undefined
+        ? 0
+        : (objective.heading * Math.PI) / 180 - heading;
+    yawError = Math.atan2(Math.sin(yawError), Math.cos(yawError));
+
+    sim.input = {
+      ...NO_INPUT,
+      surge: control(forward),
+      sway: control(starboard),
+      yaw: clamp(
+        yawError * this.yawGain - sim.rov.angularVelocity.y * this.yawDamping,
+        -1,
+        1,
+      ),
+      heave: clamp(
+        error.y * this.heaveGain - velocity.y * this.holdDamping,
+        -1,
+        1,
+      ),
+    };
+  }
+
+  // Sem alvos pendentes não há mais o que pilotar
+  isFinished(sim) {
+    return this.nextTarget(sim) === null;
+  }
+
+  /**
+   * Recursos do cenário que o piloto não sabe enfrentar
+   * @returns {string[]}
+   */
+  limitations(sim) {
+    const limitations = [];
+    if (sim.tunnelObstacles && sim.tunnelObstacles.length > 0) {
+      limitations.push("obstáculos no túnel (o piloto não desvia)");
+    }
+
+    // Pendentes sem alvo: não há para onde voar (ex.: "rov_delivery")
+    sim.objectives
+      .filter(
+        (o) => !o.completed && !o.skipped && !o.target && o.type !== "auto",
+      )
+      .forEach((o) =>
+        limitations.push(`objetivo sem alvo: ${o.id} (${o.type})`),
+      );
+    return limitations;
+  }
+
+  /**
+   * Veredito da verificação: "solvable" (concluído), "unsolved" ou
+   * "inconclusive" (não concluído em cenário que o piloto não sabe
+   * enfrentar - a falha não diz nada sobre o cenário)
+   * @returns {{verdict: string, limitations: string[]}}
+   */
+  assess(sim, outcome) {
+    const limitations = this.limitations(sim);
+    let verdict = "unsolved";
+    if (outcome === "completed") verdict = "solvable";
+    else if (limitations.length > 0) verdict = "inconclusive";
+    return { verdict, limitations };
+  }
+}
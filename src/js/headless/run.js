@@ -0,0 +1,146 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Execução headless (linha de comando) - reavaliação de gravações e
+// verificação de cenários
+//
+// Uso:
+//   npm run headless -- --recording gravacao.json
+//   npm run headless -- --scenario training_basic --seed 42
+//   npm run headless -- --scenario-file data/scenarios/meu_cenario.json
+// ═══════════════════════════════════════════════════════════════════════════
+
+import "./three-global.js";
+
+import fs from "fs";
+import path from "path";
+import { SCENARIO_CONFIGS, registerScenarios } from "../scenarios/index.js";
+import { VEHICLE_PROFILES } from "../vehicles/vehicle-profiles.js";
+import { HeadlessSimulator } from "./headless-simulator.js";
+import { RecordingPilot, WaypointPilot } from "./pilots.js";
+
+const USAGE = `Uso: node src/js/headless/run.js [opções]
+
+  --recording <arquivo>      Reproduz os comandos de uma gravação exportada
+  --scenario <id>            Cenário (ignorado com --recording)
+  --scenario-file <arquivo>  Registra um cenário personalizado (JSON da API)
+  --seed <semente>           Semente da sessão (padrão: aleatória)
+  --rov <modelo>             rov_pi | rov_omega
+  --max-time <segundos>      Limite de tempo simulado (padrão: 600)
+  --require-completion       Sai com código 1 se a missão não for concluída
+                             (3 se o resultado não puder ser avaliado, 4 se
+                             o cenário tiver problemas)
+  --help                     Mostra esta ajuda
+
+Sem --recording, o piloto automático voa até o alvo de cada objetivo.
+O resultado é impresso em JSON na saída padrão.`;
+
+const FLAGS = new Set(["require-completion", "help"]);
+
+// Com --require-completion: vereditos que não avaliam o piloto
+const EXIT_CODES = { inconclusive: 3, scenario_error: 4 };
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) throw new Error(`Argumento inválido: ${arg}`);
+
+    const name = arg.slice(2);
+    if (FLAGS.has(name)) {
+      options[name] = true;
+      continue;
+    }
+
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Valor ausente para ${arg}`);
+    options[name] = value;
+  }
+  return options;
+}
+
+function readJSONFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Não foi possível ler ${file}: ${error.message}`);
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.error(USAGE);
+    return 0;
+  }
+
+  // Logs do simulador vão para stderr (stdout contém apenas o JSON)
+  console.log = console.error;
+
+  // Mesmo formato gravado em data/scenarios/<id>.json pela API
+  if (options["scenario-file"]) {
+    const file = options["scenario-file"];
+    const id = path.basename(file, ".json");
+    if (registerScenarios({ [id]: readJSONFile(file) }).length === 0) {
+      throw new Error(`Cenário embutido não pode ser substituído: ${id}`);
+    }
+    options.scenario = options.scenario || id;
+  }
+
+  let pilot;
+  let simOptions;
+
+  if (options.recording) {
+    const recording = readJSONFile(options.recording);
+    pilot = new RecordingPilot(recording);
+    simOptions = {
+      scenarioId: recording.scenarioId,
+      seed: recording.seed,
+      rovModel: recording.rovModel,
+    };
+  } else {
+    pilot = new WaypointPilot();
+    simOptions = {
+      scenarioId: options.scenario,
+      seed: options.seed,
+      rovModel: options.rov,
+    };
+  }
+
+  if (!SCENARIO_CONFIGS[simOptions.scenarioId]) {
+    throw new Error(
+      `Cenário não encontrado: ${simOptions.scenarioId || "(não informado)"}`,
+    );
+  }
+
+  if (simOptions.rovModel && !VEHICLE_PROFILES[simOptions.rovModel]) {
+    throw new Error(`Modelo de ROV desconhecido: ${simOptions.rovModel}`);
+  }
+
+  const maxTime =
+    options["max-time"] !== undefined ? Number(options["max-time"]) : undefined;
+  if (maxTime !== undefined && !(maxTime > 0)) {
+    throw new Error("--max-time deve ser um número positivo");
+  }
+
+  const sim = new HeadlessSimulator({ ...simOptions, pilot });
+  const result = sim.run({ maxTime });
+
+  if (pilot instanceof RecordingPilot) {
+    result.replay = pilot.compare(sim);
+  }
+  result.check = sim.assess(result.outcome);
+
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+
+  if (!options["require-completion"]) return 0;
+  const exitCode = EXIT_CODES[result.check.verdict];
+  if (exitCode !== undefined) return exitCode;
+  return result.outcome === "completed" ? 0 : 1;
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`Erro: ${error.message}`);
+  process.exitCode = 2;
+}
@@ -0,0 +1,9 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Three.js global no Node.js (no navegador vem do CDN como window.THREE)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Importar antes de qualquer módulo do simulador
+import * as THREE from "three";
+
+globalThis.THREE = THREE;
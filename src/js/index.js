@@ -6,9 +6,31 @@
 // Core
 export { ROVSimulator } from "./core/ROVSimulator.js";
 export { Physics } from "./core/physics.js";
+export { ThrusterAllocation } from "./core/thruster-allocation.js";
+export { Tether } from "./core/tether.js";
+export { CurrentField } from "./core/current-field.js";
+export { Ballast } from "./core/ballast.js";
+export { PowerSystem } from "./core/power-system.js";
+export { ThermalModel } from "./core/thermal-model.js";
+export { FaultSystem } from "./core/fault-system.js";
+export { InstructorCommands } from "./core/instructor-commands.js";
+export { LiveLink } from "./core/live-link.js";
+export { TelemetryStream } from "./core/telemetry.js";
+export { SpectatorLink } from "./core/spectator.js";
+export { EmbedAPI, EMBED_PROTOCOL, EMBED_VERSION } from "./core/embed-api.js";
+export { ObjectiveSystem } from "./core/objectives.js";
+export { PhotoCapture } from "./core/photo-capture.js";
+export { GradingSystem, DEFAULT_GRADING } from "./core/grading.js";
+export { MissionRules } from "./core/mission-rules.js";
 export { Controls } from "./core/controls.js";
 export { HUD } from "./core/hud.js";
 
+// Vehicles
+export {
+  VEHICLE_PROFILES,
+  getVehicleProfile,
+} from "./vehicles/vehicle-profiles.js";
+
 // Scenarios
 export {
   SCENARIO_CONFIGS,
@@ -1,111 +1,165 @@
 // ═══════════════════════════════════════════════════════════════════
-// CENÁRIOS DE EMERGÊNCIA - VAZAMENTOS, RESGATES E OPERAÇÕES CRÍTICAS
+// CENÁRIOS DE EMERGÊNCIA - UMBILICAL, RESGATES E OPERAÇÕES CRÍTICAS
 // ═══════════════════════════════════════════════════════════════════
 
 export const EMERGENCY_SCENARIOS = {
-  // CENÁRIO 7: EMERGÊNCIA VAZAMENTO - NÍVEL DIFÍCIL ⭐⭐⭐
+  // CENÁRIO 7: EMERGÊNCIA UMBILICAL - NÍVEL DIFÍCIL ⭐⭐⭐
+  // Versão 2: a 1 era a busca de vazamento em 4 equipamentos. Sessões da
+  // versão 1 ficam no histórico, mas fora dos rankings.
   tether_management: {
-    name: "⭐⭐⭐ Emergência - Vazamento",
+    version: 2,
+    name: "⭐⭐⭐ Emergência - Umbilical Enroscado",
     difficulty: "hard",
     category: "emergency",
-    startX: 0,
-    startY: -15,
+    startX: 3,
+    startY: -25,
     startZ: 0,
-    seabedDepth: 100,
-    visibility: 10,
-    currentX: 0.05,
-    currentY: 0.03,
+    seabedDepth: 60,
+    visibility: 15,
+    currentX: 0.3,
+    currentY: 0.1,
     description:
-      "EMERGÊNCIA: Vazamento de óleo detectado! Localize a fonte entre 4 equipamentos espalhados em 200m², isole e documente.",
-    environmentType: "subsea_equipment",
+      "EMERGÊNCIA: Corrente forte entre as pernas da jaqueta! Controle o guincho do TMS (T solta, Y recolhe), contorne os pilares e desenrosque o umbilical antes de retornar.",
+    environmentType: "jacket",
+
+    // Corrente mais forte no meio da coluna d'água, maré e esteira nos pilares
+    currentField: {
+      layers: [
+        { depth: 0, x: 0.3, z: 0.1 },
+        { depth: 35, x: 0.35, z: 0.1 },
+        { depth: 60, x: 0.1, z: 0 },
+      ],
+      tide: { amplitude: 0.3, period: 240 },
+      turbulence: { intensity: 0.03, scale: 8 },
+    },
+
+    // TMS suspenso acima do ROV, guincho manual e cabo curto
+    tether: {
+      origin: { x: 0, y: -22, z: 0 },
+      maxLength: 120,
+      deployed: 15,
+      winch: "manual",
+    },
+
+    // Pernas da jaqueta (base no fundo)
+    structures: [
+      {
+        type: "pillar",
+        position: { x: 30, y: -60, z: 0 },
+        radius: 2,
+        height: 50,
+      },
+      {
+        type: "pillar",
+        position: { x: 60, y: -60, z: -10 },
+        radius: 2,
+        height: 50,
+      },
+      {
+        type: "pillar",
+        position: { x: 75, y: -60, z: 10 },
+        radius: 2,
+        height: 50,
+      },
+    ],
+
     objectives: [
       {
         id: "launch",
         name: "🚨 ALERTA VERMELHO",
-        desc: "Deploy de emergência iniciado",
+        desc: "ROV liberado do TMS",
         points: 50,
         type: "auto",
       },
       {
-        id: "descend",
-        name: "⬇️ Descida Rápida",
-        desc: "Desça 70m até o leito",
+        id: "leave_tms",
+        name: "⬅️ Sair do TMS",
+        desc: "Solte cabo (T) e afaste-se 10m do TMS",
         points: 100,
         type: "distance",
-        target: { x: 20, y: -85, z: 15 },
-        radius: 6,
+        target: { x: 12, y: -30, z: 0 },
+        radius: 4,
       },
       {
-        id: "equip1",
-        name: "🔍 Verificar ANM-01",
-        desc: "Navegue 60m até primeiro equipamento",
-        points: 150,
+        id: "pillar_a_port",
+        name: "🔄 Pilar A - Bombordo",
+        desc: "Passe pela esquerda do pilar A",
+        points: 100,
         type: "distance",
-        target: { x: 80, y: -95, z: -40 },
-        radius: 5,
+        target: { x: 30, y: -35, z: -10 },
+        radius: 4,
       },
       {
-        id: "equip2",
-        name: "🔍 Verificar MAN-01",
-        desc: "Navegue 100m até segundo equipamento",
-        points: 150,
+        id: "pillar_a_behind",
+        name: "🔄 Pilar A - Contorno",
+        desc: "Contorne por trás do pilar A",
+        points: 100,
         type: "distance",
-        target: { x: -60, y: -92, z: 70 },
-        radius: 5,
+        target: { x: 42, y: -35, z: 0 },
+        radius: 4,
       },
       {
-        id: "equip3",
-        name: "🔍 Verificar PLET-01",
-        desc: "Navegue 80m até terceiro equipamento",
+        id: "pillar_a_starboard",
+        name: "⚠️ Pilar A - Boreste",
+        desc: "Complete a volta: o umbilical vai enroscar",
+        points: 100,
+        type: "distance",
+        target: { x: 30, y: -35, z: 10 },
+        radius: 4,
+      },
+      {
+        id: "untangle_behind",
+        name: "🧶 Desenroscar - Volta",
+        desc: "Desça 10m e refaça o caminho por trás do pilar A",
         points: 150,
         type: "distance",
-        target: { x: 100, y: -88, z: 50 },
-        radius: 5,
+        target: { x: 42, y: -45, z: 0 },
+        radius: 4,
       },
       {
-        id: "leak_found",
-        name: "💨 VAZAMENTO LOCALIZADO!",
-        desc: "Navegue 120m - fonte no jumper J-01",
-        points: 250,
+        id: "untangle_port",
+        name: "🧶 Desenroscar - Liberar",
+        desc: "Volte pela esquerda até o cabo soltar do pilar",
+        points: 150,
         type: "distance",
-        target: { x: -100, y: -96, z: -60 },
+        target: { x: 30, y: -45, z: -10 },
         radius: 4,
       },
       {
-        id: "document",
-        name: "📸 Documentar Vazamento",
-        desc: "Aproxime 5m e fotografe",
+        id: "slalom_b",
+        name: "↪️ Slalom - Pilar B",
+        desc: "Passe à direita do pilar B sem tracionar o cabo",
         points: 150,
         type: "distance",
-        target: { x: -105, y: -97, z: -65 },
-        radius: 3,
+        target: { x: 60, y: -35, z: 5 },
+        radius: 4,
       },
       {
-        id: "valve_close",
-        name: "🔧 Fechar Válvula",
-        desc: "Navegue 30m até válvula de isolamento",
-        points: 300,
+        id: "slalom_c",
+        name: "↩️ Slalom - Pilar C",
+        desc: "Passe à esquerda do pilar C",
+        points: 150,
         type: "distance",
-        target: { x: -130, y: -98, z: -50 },
-        radius: 3,
+        target: { x: 75, y: -35, z: -5 },
+        radius: 4,
       },
       {
-        id: "confirm",
-        name: "✅ Confirmar Isolamento",
-        desc: "Retorne 30m e verifique cessação",
+        id: "max_range",
+        name: "📏 Alcance Máximo",
+        desc: "Chegue ao limite do umbilical sem rompê-lo",
         points: 200,
         type: "distance",
-        target: { x: -100, y: -94, z: -60 },
-        radius: 4,
+        target: { x: 95, y: -35, z: 0 },
+        radius: 5,
       },
       {
-        id: "surface",
-        name: "🏁 Retorno à Superfície",
-        desc: "Suba 90m para recuperação",
+        id: "return",
+        name: "🏁 Retorno ao TMS",
+        desc: "Refaça o slalom recolhendo cabo (Y) e pare atrás do TMS",
         points: 250,
         type: "distance",
-        target: { x: 0, y: -10, z: 0 },
-        radius: 8,
+        target: { x: -10, y: -25, z: 0 },
+        radius: 4,
       },
     ],
   },
@@ -125,6 +179,28 @@ export const EMERGENCY_SCENARIOS = {
     description:
       "EXPERT: Instalação de Árvore de Natal Molhada a 140m. Navegue 200m, guie posicionamento, verifique orientação e confirme lock-down.",
     environmentType: "wellhead",
+
+    // Instalação contra o relógio: bônus maior para quem fechar em 4 min
+    grading: {
+      parTime: 240,
+      timeBonus: 20,
+    },
+
+    // A árvore desce pendurada no guindaste sobre o poço
+    rules: {
+      timeLimit: 480,
+      maxDamage: 50,
+      noSurfacing: true,
+      forbiddenZones: [
+        {
+          name: "Carga suspensa",
+          position: { x: 0, y: -60, z: 0 },
+          radius: 15,
+          reason: "ROV sob a ANM suspensa pelo guindaste",
+        },
+      ],
+    },
+
     objectives: [
       {
         id: "launch",
@@ -239,8 +315,17 @@ export const EMERGENCY_SCENARIOS = {
     currentX: 0.03,
     currentY: 0.02,
     description:
-      "LENDÁRIO: Instalação de jumper rígido a 220m entre manifold e ANM (distância 150m). Guie descida, verifique alinhamento, monitore stab-in.",
+      "LENDÁRIO: Instalação de jumper rígido a 220m entre manifold e ANM (distância 150m). O ROV desce com o tanque de lastro alagado: no manifold, trime até flutuabilidade neutra (B esvazia, N alaga) antes do trabalho fino.",
     environmentType: "subsea_equipment",
+
+    // Tanque alagado para a descida rápida: o veículo começa pesado
+    ballast: { fill: 1 },
+    // Falhas sorteadas, com manutenção no TMS estacionado acima do manifold
+    // (a superfície fica longe demais para os prazos das falhas)
+    faults: {
+      enabled: true,
+      maintenanceZone: { x: -20, y: -190, z: 20, radius: 10 },
+    },
     objectives: [
       {
         id: "launch",
@@ -267,6 +352,16 @@ export const EMERGENCY_SCENARIOS = {
         target: { x: 0, y: -210, z: 0 },
         radius: 5,
       },
+      {
+        id: "trim_neutral",
+        name: "⚖️ Trim Neutro",
+        desc: "No manifold, ajuste o lastro até flutuabilidade neutra (3s)",
+        points: 150,
+        type: "trim",
+        target: { x: 0, y: -210, z: 0 },
+        radius: 8,
+        duration: 3,
+      },
       {
         id: "hub_clean",
         name: "🧹 Verificar Hub",
@@ -275,6 +370,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 20, y: -215, z: 15 },
         radius: 4,
+        requireNeutral: true,
       },
       {
         id: "guide_funnel",
@@ -284,6 +380,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: -15, y: -217, z: -20 },
         radius: 4,
+        requireNeutral: true,
       },
       {
         id: "standby_jumper",
@@ -311,6 +408,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: -10, y: -212, z: -15 },
         radius: 4,
+        requireNeutral: true,
       },
       {
         id: "stab_in",
@@ -320,6 +418,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 5, y: -218, z: 5 },
         radius: 3,
+        requireNeutral: true,
       },
       {
         id: "anm_side",
@@ -338,6 +437,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 120, y: -215, z: -75 },
         radius: 4,
+        requireNeutral: true,
       },
       {
         id: "final_doc",
@@ -473,6 +573,18 @@ export const EMERGENCY_SCENARIOS = {
     description:
       "LENDÁRIO: Vazamento crítico + corrente de 3 nós + visibilidade 5m! Área de 400m x 400m. Localize entre 6 equipamentos, isole e documente.",
     environmentType: "subsea_equipment",
+
+    // 3 nós na superfície, enfraquecendo com a profundidade, com rajadas
+    currentField: {
+      layers: [
+        { depth: 0, x: 1.25, z: 0.8 },
+        { depth: 60, x: 0.6, z: 0.4 },
+        { depth: 130, x: 0.2, z: 0.1 },
+      ],
+      tide: { amplitude: 0.2, period: 300 },
+      gusts: { interval: 45, duration: 8, strength: 0.6 },
+      turbulence: { intensity: 0.15, scale: 12 },
+    },
     objectives: [
       {
         id: "launch",
@@ -489,6 +601,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 40, y: -100, z: 30 },
         radius: 6,
+        requires: ["launch"],
       },
       {
         id: "equip1",
@@ -498,6 +611,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 120, y: -120, z: -60 },
         radius: 5,
+        requires: ["descend"],
       },
       {
         id: "equip2",
@@ -507,6 +621,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: -80, y: -125, z: 100 },
         radius: 5,
+        requires: ["equip1"],
       },
       {
         id: "equip3",
@@ -516,6 +631,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 150, y: -115, z: 70 },
         radius: 5,
+        requires: ["equip2"],
       },
       {
         id: "equip4",
@@ -525,6 +641,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: -120, y: -122, z: -50 },
         radius: 5,
+        requires: ["equip3"],
       },
       {
         id: "equip5",
@@ -534,6 +651,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 80, y: -128, z: -120 },
         radius: 5,
+        requires: ["equip4"],
       },
       {
         id: "leak_found",
@@ -543,15 +661,30 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: -160, y: -126, z: 140 },
         radius: 4,
+        requires: ["equip5"],
       },
       {
         id: "document",
         name: "📸 Documentar",
-        desc: "Aproxime 15m e fotografe",
+        desc: "Fotografe a fonte a menos de 15m, pelo lado oeste",
         points: 200,
-        type: "distance",
-        target: { x: -175, y: -127, z: 135 },
-        radius: 3,
+        type: "photo",
+        target: { x: -160, y: -126, z: 140 },
+        radius: 15,
+        normal: { x: -1, y: 0, z: -0.3 },
+        requires: ["leak_found"],
+      },
+      {
+        id: "plume",
+        name: "☠️ Pluma de Gás",
+        desc: "Não suba pela pluma antes de isolar o vazamento",
+        points: 100,
+        type: "avoid",
+        target: { x: -160, y: -108, z: 140 },
+        radius: 8,
+        requires: ["leak_found"],
+        until: ["confirm"],
+        failureReason: "ROV atravessou a pluma de gás",
       },
       {
         id: "valve_close",
@@ -561,6 +694,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: -150, y: -128, z: 160 },
         radius: 3,
+        requires: ["document"],
       },
       {
         id: "confirm",
@@ -570,6 +704,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: -160, y: -124, z: 140 },
         radius: 4,
+        requires: ["valve_close"],
       },
       {
         id: "surface",
@@ -579,6 +714,7 @@ export const EMERGENCY_SCENARIOS = {
         type: "distance",
         target: { x: 0, y: -10, z: 0 },
         radius: 8,
+        requires: ["confirm"],
       },
     ],
   },
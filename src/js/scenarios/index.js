@@ -25,6 +25,30 @@ export const SCENARIO_CONFIGS = {
   ...EMERGENCY_SCENARIOS,
 };
 
+// IDs dos cenários que acompanham o simulador (protegidos contra sobrescrita)
+const BUILTIN_SCENARIO_IDS = new Set(Object.keys(SCENARIO_CONFIGS));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NÍVEIS NUMÉRICOS DE DIFICULDADE
+// Formato usado pelo seletor de cenários (número de estrelas)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DIFFICULTY_LEVELS = {
+  easy: 1,
+  medium: 2,
+  hard: 3,
+  expert: 4,
+  legendary: 5,
+};
+
+/**
+ * Converte a dificuldade textual de um cenário para o nível numérico (1-5)
+ * @param {string} difficulty - 'easy', 'medium', 'hard', 'expert', 'legendary'
+ */
+export function getDifficultyLevel(difficulty) {
+  return DIFFICULTY_LEVELS[difficulty] || DIFFICULTY_LEVELS.legendary;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // UTILITÁRIOS PARA CENÁRIOS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -44,11 +68,15 @@ export function getScenariosByCategory(category) {
 
 /**
  * Retorna cenários filtrados por dificuldade
- * @param {string} difficulty - 'easy', 'medium', 'hard', 'expert', 'legendary'
+ * @param {string|number} difficulty - 'easy', 'medium', 'hard', 'expert', 'legendary' ou nível 1-5
  */
 export function getScenariosByDifficulty(difficulty) {
   return Object.entries(SCENARIO_CONFIGS)
-    .filter(([_, config]) => config.difficulty === difficulty)
+    .filter(
+      ([_, config]) =>
+        config.difficulty === difficulty ||
+        getDifficultyLevel(config.difficulty) === Number(difficulty),
+    )
     .reduce((acc, [key, config]) => {
       acc[key] = config;
       return acc;
@@ -70,6 +98,22 @@ export function getScenarioIds() {
   return Object.keys(SCENARIO_CONFIGS);
 }
 
+/**
+ * Registra cenários personalizados (criados via API) junto aos embutidos
+ * Cenários embutidos nunca são sobrescritos
+ * @param {object} configs - Mapa { id: config }
+ * @returns {string[]} IDs registrados
+ */
+export function registerScenarios(configs) {
+  const registered = [];
+  for (const [id, config] of Object.entries(configs || {})) {
+    if (BUILTIN_SCENARIO_IDS.has(id)) continue;
+    SCENARIO_CONFIGS[id] = { ...config, custom: true };
+    registered.push(id);
+  }
+  return registered;
+}
+
 /**
  * Retorna metadados resumidos de todos os cenários
  */
@@ -77,9 +121,13 @@ export function getScenarioList() {
   return Object.entries(SCENARIO_CONFIGS).map(([id, config]) => ({
     id,
     name: config.name,
-    difficulty: config.difficulty,
+    difficulty: getDifficultyLevel(config.difficulty),
+    difficultyLabel: config.difficulty,
     category: config.category,
     description: config.description,
+    environmentType: config.environmentType,
+    objectiveCount: (config.objectives || []).length,
+    custom: Boolean(config.custom),
   }));
 }
 
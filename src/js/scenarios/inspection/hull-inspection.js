@@ -395,11 +395,12 @@ export const HULL_INSPECTION_SCENARIOS = {
       {
         id: "document",
         name: "📸 Documentar Dano",
-        desc: "Aproxime 15m e fotografe",
+        desc: "Fotografe a abrasão a menos de 15m, de frente para ela",
         points: 200,
-        type: "distance",
-        target: { x: 145, y: -165, z: -100 },
-        radius: 3,
+        type: "photo",
+        target: { x: 130, y: -160, z: -90 },
+        radius: 15,
+        normal: { x: 1, y: 0, z: -0.7 },
       },
       {
         id: "section3",
@@ -56,11 +56,15 @@ export const PIPELINE_INSPECTION_SCENARIOS = {
       {
         id: "anode1",
         name: "🔋 Anodo Bracelete",
-        desc: "Verifique anodo (40m)",
+        desc: "Mantenha posição sobre o anodo por 10s, aproado a 000° (40m)",
         points: 100,
-        type: "distance",
+        type: "hold",
         target: { x: 0, y: -60, z: 20 },
-        radius: 5,
+        radius: 3,
+        duration: 10,
+        heading: 0,
+        headingTolerance: 20,
+        maxSpeed: 0.5,
       },
       {
         id: "crossing",
@@ -221,8 +225,11 @@ export const PIPELINE_INSPECTION_SCENARIOS = {
     currentX: 0.05,
     currentY: 0.03,
     description:
-      "DESAFIO FINAL: Operação completa de campo a 200m. Navegue 800m total: survey de pipeline, inspeção de manifold, operação de válvulas e documentação.",
+      "DESAFIO FINAL: Operação completa de campo a 200m. Navegue 800m total: survey de pipeline, inspeção de manifold, operação de válvulas e documentação. O ROV sai com apenas 25% de bateria: voe com economia.",
     environmentType: "subsea_equipment",
+
+    // Bateria parcialmente carregada: esgotar falha a missão
+    power: { charge: 0.25 },
     objectives: [
       {
         id: "launch",
@@ -18,6 +18,13 @@ export const TRAINING_SCENARIOS = {
     description:
       "TREINAMENTO: Primeiro dia como piloto ROV. Aprenda os controles básicos navegando por checkpoints em águas calmas e claras.",
     environmentType: "training",
+
+    // Primeira regra do piloto: longe do fundo e abaixo da superfície
+    rules: {
+      minAltitude: 5,
+      noSurfacing: true,
+    },
+
     objectives: [
       {
         id: "launch",
@@ -252,11 +259,12 @@ export const TRAINING_SCENARIOS = {
       {
         id: "document",
         name: "📸 Documentar Estado",
-        desc: "Aproxime 10m e fotografe",
+        desc: "Fotografe a ferramenta a menos de 10m",
         points: 150,
-        type: "distance",
-        target: { x: -90, y: -82, z: -55 },
-        radius: 3,
+        type: "photo",
+        target: { x: -80, y: -83, z: -50 },
+        radius: 10,
+        normal: { x: -1, y: 0, z: -0.5 },
       },
       {
         id: "clear",
@@ -391,6 +399,13 @@ export const TRAINING_SCENARIOS = {
     description:
       "Arena de treinamento 60x60m. Pratique navegação, controle de profundidade e desvio de obstáculos em ambiente controlado.",
     environmentType: "training",
+
+    // Circuito de precisão: cada toque nos obstáculos pesa mais
+    grading: {
+      collision: 5,
+      speedLimit: 1.5,
+    },
+
     objectives: [
       {
         id: "start",
@@ -506,6 +521,8 @@ export const TRAINING_SCENARIOS = {
         type: "distance",
         target: { x: 0, y: -10, z: 0 },
         radius: 6,
+        // O centro é também a largada
+        requires: ["checkpoint_12"],
       },
     ],
   },
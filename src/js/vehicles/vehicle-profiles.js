@@ -0,0 +1,216 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ALPHA SUBSEA - ROV SIMULATOR
+// Perfis Hidrodinâmicos dos Veículos
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Eixos do corpo: frente +X (surge), cima +Y (heave), direita +Z (sway).
+// Os valores são calibrados na escala do simulador (velocidades de treino
+// aceleradas), não nas fichas técnicas dos fabricantes.
+//
+// Arrasto por eixo: F = -(linear·v + quadratic·v·|v|)
+//   linear: N/(m/s) ou N·m/(rad/s) | quadratic: N/(m/s)² ou N·m/(rad/s)²
+
+export const DEFAULT_VEHICLE = "rov_pi";
+
+export const VEHICLE_PROFILES = {
+  // ═══════════════════════════════════════════════════════════════
+  // ROV PI - observação, compacto e ágil
+  // ═══════════════════════════════════════════════════════════════
+  rov_pi: {
+    name: "ROV PI",
+    mass: 150, // kg (no ar)
+
+    // Massa adicionada pela água (kg)
+    addedMass: { surge: 50, sway: 60, heave: 80 },
+
+    // Momentos de inércia com inércia adicionada (kg·m²)
+    inertia: { roll: 127, yaw: 150, pitch: 155 },
+
+    drag: {
+      linear: {
+        surge: 100,
+        sway: 130,
+        heave: 150,
+        roll: 250,
+        yaw: 200,
+        pitch: 300,
+      },
+      quadratic: {
+        surge: 5,
+        sway: 7,
+        heave: 8,
+        roll: 180,
+        yaw: 66,
+        pitch: 215,
+      },
+    },
+
+    // Arranjo vetorizado: 4 horizontais inclinados + 4 verticais nos cantos
+    thrusters: {
+      count: 8,
+      maxThrust: 1060, // N por propulsor
+      length: 0.22, // Distância longitudinal até o CG (m)
+      width: 0.18, // Distância lateral até o CG (m)
+      angle: Math.PI / 4, // Inclinação dos horizontais (rad)
+    },
+
+    // Volume deslocado: com o tanque de lastro pela metade o veículo fica
+    // ~1,5 kg positivo. CB acima do CG gera o momento restaurador; na escala
+    // do simulador ele precisa superar o momento dos verticais para o
+    // pitch/roll comandado estabilizar em ~20° em vez de capotar o veículo
+    buoyancy: {
+      displacedVolume: 0.1528, // m³
+      metacentricHeight: 0.9, // m (distância CB-CG)
+      centerOfPressureHeight: 0.1, // m (onde a corrente atua)
+    },
+
+    // Tanque de lastro variável (src/js/core/ballast.js)
+    ballast: {
+      tankVolume: 0.01, // m³ (~10 kg de água alagado)
+      pumpRate: 0.0005, // m³/s
+      fill: 0.5, // Nível inicial (0 vazio - 1 alagado)
+      neutralTolerance: 0.25, // kg - faixa considerada neutra
+    },
+
+    // Bateria e consumo (src/js/core/power-system.js)
+    power: {
+      capacity: 600, // Wh
+      fullVoltage: 54.6, // V (13S Li-ion)
+      emptyVoltage: 39,
+      cutoffVoltage: 36, // Tensão mínima sob carga
+      internalResistance: 0.08, // Ω
+      thrusterPower: 350, // W por propulsor a 100%
+      hotelLoad: 40, // W - eletrônica, câmeras e sensores
+      lightsPower: 60, // W com lightPower = 1
+      limpThreshold: 0.15, // Carga que ativa o modo de emergência
+      limpThrust: 0.4, // Empuxo máximo no modo de emergência
+    },
+
+    // Eletrônica no casco (src/js/core/thermal-model.js)
+    thermal: {
+      heatCapacity: 1500, // J/°C
+      conductance: 3, // W/°C - troca com a água, ROV parado
+      flowCooling: 0.15, // Aumento da troca por m/s de velocidade
+      driverLosses: 0.12, // Fração da potência dos propulsores virando calor
+      warningTemp: 60, // °C - alerta e início da redução de empuxo
+      criticalTemp: 80, // °C - empuxo no mínimo
+      minThrottle: 0.3,
+      hysteresis: 5, // °C abaixo do limite para normalizar
+    },
+
+    // Dimensões para colisão (proporcional ao rovScaleMultiplier = 0.5)
+    hitbox: {
+      width: 0.5,
+      height: 0.4,
+      depth: 0.6,
+      radius: 0.35,
+      offsetY: 0,
+    },
+
+    // Câmeras de bordo: posição no corpo (m) e campo de visão (graus)
+    cameras: {
+      main: { offset: [0.1, 0, 0], fov: 70 },
+      alt: { offset: [0.1, 0.2, 0], fov: 65 },
+      wide: { offset: [0.1, 0, 0], fov: 100 },
+    },
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // ROV OMEGA - work class, pesado e estável
+  // ═══════════════════════════════════════════════════════════════
+  rov_omega: {
+    name: "ROV OMEGA",
+    mass: 450,
+
+    addedMass: { surge: 200, sway: 300, heave: 400 },
+
+    inertia: { roll: 900, yaw: 1200, pitch: 1100 },
+
+    drag: {
+      linear: {
+        surge: 300,
+        sway: 400,
+        heave: 500,
+        roll: 1600,
+        yaw: 1500,
+        pitch: 2000,
+      },
+      quadratic: {
+        surge: 20,
+        sway: 30,
+        heave: 35,
+        roll: 1200,
+        yaw: 500,
+        pitch: 1500,
+      },
+    },
+
+    // Horizontais mais alinhados com o eixo X: mais surge, menos sway
+    thrusters: {
+      count: 8,
+      maxThrust: 2200,
+      length: 0.6,
+      width: 0.45,
+      angle: Math.PI / 6,
+    },
+
+    buoyancy: {
+      displacedVolume: 0.463, // ~4 kg positivo com o tanque pela metade
+      metacentricHeight: 1.6,
+      centerOfPressureHeight: 0.2,
+    },
+
+    ballast: {
+      tankVolume: 0.04,
+      pumpRate: 0.001,
+      fill: 0.5,
+      neutralTolerance: 0.5,
+    },
+
+    power: {
+      capacity: 4000,
+      fullVoltage: 340,
+      emptyVoltage: 260,
+      cutoffVoltage: 240,
+      internalResistance: 0.4,
+      thrusterPower: 1500,
+      hotelLoad: 300,
+      lightsPower: 400,
+      limpThreshold: 0.15,
+      limpThrust: 0.4,
+    },
+
+    thermal: {
+      heatCapacity: 8000,
+      conductance: 15,
+      flowCooling: 0.15,
+      driverLosses: 0.08,
+      warningTemp: 60,
+      criticalTemp: 80,
+      minThrottle: 0.3,
+      hysteresis: 5,
+    },
+
+    hitbox: {
+      width: 1.2,
+      height: 0.8,
+      depth: 1.6,
+      radius: 1.0,
+      offsetY: 0,
+    },
+
+    cameras: {
+      main: { offset: [0.2, 0.05, 0], fov: 70 },
+      alt: { offset: [0.15, 0.3, 0], fov: 65 },
+      wide: { offset: [0.2, -0.05, 0], fov: 110 },
+    },
+  },
+};
+
+/**
+ * Perfil do veículo (modelos desconhecidos usam o padrão)
+ * @param {string} id - "rov_pi" | "rov_omega"
+ */
+export function getVehicleProfile(id) {
+  return VEHICLE_PROFILES[id] || VEHICLE_PROFILES[DEFAULT_VEHICLE];
+}